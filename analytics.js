@@ -0,0 +1,236 @@
+// ============================================
+// ANALYTICS
+// ============================================
+// Pure calculations over dailyDataStore for the stats view on notes.html.
+// Requires settings.js, days.js, approaches.js and exemptions.js.
+//
+// "Evaluated days" run from the first logged day through yesterday, with
+// days that have no entry counted as 0 approaches. Today is left out of
+// rates and averages while it's still in progress (it's included once
+// complete), but it does show up in the trend charts.
+// "Judged days" are the evaluated days minus exempt days that missed their
+// goal - the same days the streak holds against you. Rates and averages
+// (here and on the group leaderboard) are worked out over judged days.
+
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * List every evaluated day key, oldest first
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} today - Today's day key
+ * @returns {Array} - Day keys
+ */
+function getEvaluatedDays(dailyData, today) {
+  const todayTime = new Date(today).getTime();
+  const dates = Object.keys(dailyData).filter(
+    (date) => new Date(date).getTime() <= todayTime
+  );
+  if (dates.length === 0) return [];
+
+  const earliest = dates.reduce((a, b) => (new Date(a) <= new Date(b) ? a : b));
+  const days = [];
+  for (let day = earliest; day !== today; day = shiftDayKey(day, 1)) {
+    days.push(day);
+  }
+  if (isDayComplete(dailyData[today])) {
+    days.push(today);
+  }
+  return days;
+}
+
+/**
+ * List every judged day key, oldest first
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} today - Today's day key
+ * @param {object} settings - Settings with exemptions
+ * @returns {Array} - Day keys
+ */
+function getJudgedDays(dailyData, today, settings) {
+  const exempt = mapExemptions(dailyData, today, settings);
+  return getEvaluatedDays(dailyData, today).filter(
+    (day) => isDayComplete(dailyData[day]) || !exempt[day]
+  );
+}
+
+/**
+ * Percentage change from one period to the next
+ * @returns {number|null} - Rounded % change, or null when there's no base
+ */
+function percentChange(previous, current) {
+  if (previous === 0) return null;
+  return Math.round(((current - previous) / previous) * 100);
+}
+
+/**
+ * List a number of consecutive day keys, starting from a day
+ */
+function getDaysFrom(start, count) {
+  const days = [];
+  for (let i = 0, day = start; i < count; i++, day = shiftDayKey(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Sum approaches and completed days over a run of day keys
+ */
+function summarizeDays(dailyData, days) {
+  return {
+    approaches: days.reduce((t, d) => t + getApproachCount(dailyData[d]), 0),
+    completed: days.filter((d) => isDayComplete(dailyData[d])).length,
+    days: days.length,
+  };
+}
+
+/**
+ * Approaches and completed days per week, oldest first
+ * Weeks start on Sunday; the last one is the current (partial) week
+ * @returns {Array} - [{ start, approaches, completed, days }]
+ */
+function getWeeklyTrend(dailyData, today, weeks = 12) {
+  const thisSunday = shiftDayKey(today, -new Date(today).getDay());
+  const trend = [];
+
+  for (let w = weeks - 1; w >= 0; w--) {
+    const start = shiftDayKey(thisSunday, -7 * w);
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const day = shiftDayKey(start, i);
+      if (new Date(day) > new Date(today)) break;
+      days.push(day);
+    }
+    trend.push({ start: start, ...summarizeDays(dailyData, days) });
+  }
+  return trend;
+}
+
+/**
+ * Approaches and completed days per calendar month, oldest first
+ * The last one is the current (partial) month
+ * @returns {Array} - [{ year, month (0-11), approaches, completed, days }]
+ */
+function getMonthlyTrend(dailyData, today, months = 12) {
+  const { year, month } = parseDayKey(today);
+  const trend = [];
+
+  for (let m = months - 1; m >= 0; m--) {
+    const first = new Date(year, month - m, 1);
+    const days = [];
+    for (
+      let day = first.toDateString();
+      new Date(day).getMonth() === first.getMonth() &&
+      new Date(day) <= new Date(today);
+      day = shiftDayKey(day, 1)
+    ) {
+      days.push(day);
+    }
+    trend.push({
+      year: first.getFullYear(),
+      month: first.getMonth(),
+      ...summarizeDays(dailyData, days),
+    });
+  }
+  return trend;
+}
+
+/**
+ * Average approaches and completion rate for each weekday
+ * @returns {Array} - 7 entries, Sunday first: { name, average, rate, days }
+ */
+function getWeekdayStats(dailyData, evaluatedDays) {
+  const buckets = WEEKDAY_NAMES.map((name) => ({ name: name, days: [] }));
+  evaluatedDays.forEach((day) => {
+    buckets[new Date(day).getDay()].days.push(day);
+  });
+
+  return buckets.map((bucket) => {
+    const summary = summarizeDays(dailyData, bucket.days);
+    return {
+      name: bucket.name,
+      average: summary.days ? summary.approaches / summary.days : 0,
+      rate: summary.days ? summary.completed / summary.days : 0,
+      days: summary.days,
+    };
+  });
+}
+
+/**
+ * Count approaches by hour of day, in the configured timezone
+ * Approaches upgraded from the old counter have no time and are skipped
+ * @returns {Array} - 24 counts, midnight first
+ */
+function getHourlyDistribution(dailyData, timeZone) {
+  const hours = new Array(24).fill(0);
+  Object.keys(dailyData).forEach((date) => {
+    (dailyData[date].approaches || []).forEach((approach) => {
+      if (approach.timestamp) {
+        hours[getWallClock(approach.timestamp, timeZone).hour]++;
+      }
+    });
+  });
+  return hours;
+}
+
+/**
+ * Calculate everything the stats view shows
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} today - Today's day key
+ * @param {object} settings - Settings with timeZone and exemptions
+ * @returns {object} - { completionRate, averageApproaches, evaluatedDays
+ *   (the number of judged days), weekly, monthly, weekOverWeek,
+ *   monthOverMonth, weekdays, bestWeekday, worstWeekday, hours }
+ */
+function computeAnalytics(dailyData, today, settings) {
+  const judgedDays = getJudgedDays(dailyData, today, settings);
+  const summary = summarizeDays(dailyData, judgedDays);
+
+  const weekly = getWeeklyTrend(dailyData, today);
+  const monthly = getMonthlyTrend(dailyData, today);
+
+  // The current week and month are still going, so they're compared with
+  // the same number of days from the start of the one before
+  const thisWeek = weekly[weekly.length - 1];
+  const lastWeek = summarizeDays(
+    dailyData,
+    getDaysFrom(shiftDayKey(thisWeek.start, -7), thisWeek.days)
+  );
+  const [lastMonth, thisMonth] = monthly.slice(-2);
+  const lastMonthToDate = summarizeDays(
+    dailyData,
+    getDaysFrom(
+      new Date(lastMonth.year, lastMonth.month, 1).toDateString(),
+      Math.min(thisMonth.days, lastMonth.days)
+    )
+  );
+
+  // Only weekdays that have actually come up can be best or worst
+  const weekdays = getWeekdayStats(dailyData, judgedDays);
+  const seen = weekdays.filter((w) => w.days > 0);
+  const byAverage = [...seen].sort((a, b) => b.average - a.average);
+
+  return {
+    evaluatedDays: summary.days,
+    completionRate: summary.days ? summary.completed / summary.days : 0,
+    averageApproaches: summary.days ? summary.approaches / summary.days : 0,
+    weekly: weekly,
+    monthly: monthly,
+    weekOverWeek: percentChange(lastWeek.approaches, thisWeek.approaches),
+    monthOverMonth: percentChange(
+      lastMonthToDate.approaches,
+      thisMonth.approaches
+    ),
+    weekdays: weekdays,
+    bestWeekday: byAverage[0] || null,
+    worstWeekday: byAverage[byAverage.length - 1] || null,
+    hours: getHourlyDistribution(dailyData, settings.timeZone),
+  };
+}
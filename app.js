@@ -9,19 +9,79 @@ const approachBtn = document.getElementById("approachBtn");
 const resetBtn = document.getElementById("resetBtn");
 const streakCount = document.getElementById("streakCount");
 const punishmentBanner = document.getElementById("punishmentBanner");
+const punishmentDebt = document.getElementById("punishmentDebt");
+const punishmentList = document.getElementById("punishmentList");
 const successBanner = document.getElementById("successBanner");
+const exemptNotice = document.getElementById("exemptNotice");
 const timerElement = document.getElementById("timeLeft");
+const goalText = document.getElementById("goalText");
+const settingsBtn = document.getElementById("settingsBtn");
+const settingsPanel = document.getElementById("settingsPanel");
+const goalInput = document.getElementById("goalInput");
+const ruleItemsList = document.getElementById("ruleItemsList");
+const scaleByShortfallInput = document.getElementById("scaleByShortfallInput");
+const escalationInput = document.getElementById("escalationInput");
+const remindersEnabledInput = document.getElementById("remindersEnabledInput");
+const reminderOffsetsInput = document.getElementById("reminderOffsetsInput");
+const goalMissedInput = document.getElementById("goalMissedInput");
+const sessionIdleInput = document.getElementById("sessionIdleInput");
+const restDaysInput = document.getElementById("restDaysInput");
+const timeOffList = document.getElementById("timeOffList");
+const freezesInput = document.getElementById("freezesInput");
+const syncServerInput = document.getElementById("syncServerInput");
+const syncUserInput = document.getElementById("syncUserInput");
+const syncTokenInput = document.getElementById("syncTokenInput");
+const syncStatus = document.getElementById("syncStatus");
+const sessionStartForm = document.getElementById("sessionStartForm");
+const sessionLocationInput = document.getElementById("sessionLocationInput");
+const sessionActive = document.getElementById("sessionActive");
+const sessionLocation = document.getElementById("sessionLocation");
+const sessionElapsed = document.getElementById("sessionElapsed");
+const sessionSinceLast = document.getElementById("sessionSinceLast");
+const sessionApproachCount = document.getElementById("sessionApproachCount");
+const deadlineInput = document.getElementById("deadlineInput");
+const timeZoneInput = document.getElementById("timeZoneInput");
+const deadlineText = document.getElementById("deadlineText");
+const undoBtn = document.getElementById("undoBtn");
+const todayApproachesList = document.getElementById("todayApproachesList");
+const approachDetails = document.getElementById("approachDetails");
+const approachDetailsTitle = document.getElementById("approachDetailsTitle");
+const approachLocation = document.getElementById("approachLocation");
+const approachOutcome = document.getElementById("approachOutcome");
+const approachRating = document.getElementById("approachRating");
+const approachNote = document.getElementById("approachNote");
 
 // ============================================
 // STATE VARIABLES
 // ============================================
-let streak = 0; // Current streak of consecutive days (stored separately, top-level only)
-
 // Daily data storage structure:
-// dailyDataStore[date] = { date, approachCount, notes: [...] }
-// This is loaded from localStorage on page init
+// dailyDataStore[date] = { date, approaches: [...], goal, notes: [...],
+//   exempt }
+// goal is the daily goal that applied on that date (see settings.js)
+// exempt is the day's rest day, time off or freeze, or null (see
+// exemptions.js)
+// approaches are individual records, the count is derived (see approaches.js)
+// This is loaded through storage.js on page init, and again whenever
+// another tab saves
 let dailyDataStore = {};
 
+// Punishment ledger (see punishments.js), one record per failed day
+let punishments = loadPunishments();
+
+// Id of the approach the details form is editing (null when hidden)
+let editingApproachId = null;
+
+// Id of the note being edited in place (null when none is)
+let editingNoteId = null;
+
+// Time of the last session activity the idle nudge was already sent for,
+// so each idle stretch nudges once
+let idleNudgeSentFor = null;
+
+// User settings (daily goal, deadline, timezone) shared with notes.html
+// via settings.js
+let settings = loadSettings();
+
 // ============================================
 // DATE & TIME UTILITIES
 // ============================================
@@ -29,48 +89,11 @@ let dailyDataStore = {};
 /**
  * Get today's date as a string for comparison
  * Example: "Mon Dec 16 2024"
- * Using toDateString() ensures we ignore time and only compare dates
+ * Which day "today" is depends on the deadline and timezone settings,
+ * so this goes through the shared day boundary model in days.js
  */
 function getTodayString() {
-  return new Date().toDateString();
-}
-
-/**
- * Get timestamp for end of day (8 PM today or tomorrow)
- * Returns: Unix timestamp in milliseconds
- * This is used to check if a day has passed
- */
-function getDayEndTimestamp() {
-  const end = new Date();
-  end.setHours(20, 0, 0, 0); // Set to 8 PM today
-
-  // If it's already past 8 PM, move to 8 PM tomorrow
-  if (end < new Date()) {
-    end.setDate(end.getDate() + 1);
-  }
-
-  return end.getTime(); // Return as timestamp (number)
-}
-
-/**
- * Check if a given date string was yesterday
- * This is KEY for streak logic - determines if streak continues
- * @param {string} dateString - Date in format "Mon Dec 16 2024"
- * @returns {boolean} - True if date was yesterday
- */
-function wasYesterday(dateString) {
-  if (!dateString) return false;
-
-  const lastDate = new Date(dateString);
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-
-  // Reset time to midnight for both dates so we only compare the DATE part
-  // Without this, times would interfere with comparison
-  lastDate.setHours(0, 0, 0, 0);
-  yesterday.setHours(0, 0, 0, 0);
-
-  return lastDate.getTime() === yesterday.getTime();
+  return getDayKey(Date.now(), settings);
 }
 
 // ============================================
@@ -79,58 +102,38 @@ function wasYesterday(dateString) {
 
 /**
  * Update countdown timer every second
- * Shows time remaining until 8 PM deadline
- * At deadline: checks if user failed and resets streak if needed
- * Creates tomorrow's entry with approachCount: 0 for the new day
+ * Shows time remaining until today's deadline
+ * Once the deadline passes, getTodayString() returns the next day, so the
+ * rollover goes through startDay() exactly like a fresh page load would:
+ * the day that just ended is judged and the new day's entry is created
  */
-let deadlinePassed = false; // Flag to track if we've already handled deadline for today
-
 function updateTimer() {
-  const target = new Date();
-  target.setHours(20, 0, 0, 0); // 8 PM today
-
-  // If already past 8 PM, target tomorrow's 8 PM
-  if (target < new Date()) {
-    target.setDate(target.getDate() + 1);
-  }
-
-  const diff = target - new Date();
   const today = getTodayString();
 
-  if (diff <= 0) {
-    timerElement.textContent = "00:00:00";
-
-    // Only handle deadline once per day
-    if (!deadlinePassed) {
-      deadlinePassed = true;
+  if (!dailyDataStore[today]) {
+    startDay(today);
+    displayDate();
+    updateUI();
+    saveData();
+  }
 
-      // Check if user failed today (didn't hit 10 approaches)
-      if (dailyDataStore[today].approachCount < 10) {
-        punishmentBanner.classList.remove("hidden");
-        streak = 0; // Reset streak on failure
-      }
-      // No need to create tomorrow's entry here - it will be created when
-      // the page loads tomorrow via loadData() logic
+  const diff = Math.max(0, getDeadline(today, settings) - Date.now());
 
-      updateUI();
-      saveData();
-    }
-  } else {
-    // Recalculate hours, minutes, seconds remaining
-    const hours = Math.floor((diff / (1000 * 60 * 60)) % 24);
-    const minutes = Math.floor((diff / (1000 * 60)) % 60);
-    const seconds = Math.floor((diff / 1000) % 60);
+  // Recalculate hours, minutes, seconds remaining
+  // (no % 24 on hours - a day can run 25 hours across a DST change)
+  const hours = Math.floor(diff / (1000 * 60 * 60));
+  const minutes = Math.floor((diff / (1000 * 60)) % 60);
+  const seconds = Math.floor((diff / 1000) % 60);
 
-    // Format with leading zeros (e.g., "03:05:09")
-    const h = hours.toString().padStart(2, "0");
-    const m = minutes.toString().padStart(2, "0");
-    const s = seconds.toString().padStart(2, "0");
+  // Format with leading zeros (e.g., "03:05:09")
+  const h = hours.toString().padStart(2, "0");
+  const m = minutes.toString().padStart(2, "0");
+  const s = seconds.toString().padStart(2, "0");
 
-    timerElement.textContent = `${h}:${m}:${s}`;
+  timerElement.textContent = `${h}:${m}:${s}`;
 
-    // Reset deadline flag if we cross midnight (new day)
-    deadlinePassed = false;
-  }
+  updateSessionTimer();
+  checkReminders(dailyDataStore, settings);
 }
 
 // Timer initialization moved to INITIALIZATION section
@@ -140,126 +143,51 @@ function updateTimer() {
 // ============================================
 
 /**
- * Save all app state to localStorage
+ * Save all app state (through storage.js - IndexedDB, or localStorage)
  * dailyDataStore: Object with all daily data keyed by date
- * streak: Top-level value for current streak only
+ * Only the days that changed are actually written, and queued for the
+ * sync server if there is one (see sync.js)
+ * Streaks aren't saved - they're always recalculated from dailyDataStore
  */
 function saveData() {
-  // Save the entire dailyDataStore
-  localStorage.setItem("dailyDataStore", JSON.stringify(dailyDataStore));
-
-  // Save streak separately (top-level)
-  localStorage.setItem("currentStreak", JSON.stringify(streak));
-}
-
-/**
- * Run one-time data migration from old storage format to new dailyDataStore
- * Imports old notes from "allTimeNotes" key into the new dailyDataStore structure
- */
-function migrateOldData() {
-  // Check if old notes data exists
-  const oldNotes = localStorage.getItem("allTimeNotes");
-  if (oldNotes) {
-    try {
-      const oldNotesData = JSON.parse(oldNotes);
-
-      // Import old notes into dailyDataStore
-      Object.keys(oldNotesData).forEach((date) => {
-        if (!dailyDataStore[date]) {
-          dailyDataStore[date] = {
-            date: date,
-            approachCount: 0, // No historical count data available
-            notes: oldNotesData[date] ?? [],
-          };
-        } else {
-          // Merge notes if date already exists
-          dailyDataStore[date].notes = oldNotesData[date] ?? [];
-        }
-      });
-
-      // IMPORTANT: Save the migrated data back to localStorage
-      localStorage.setItem("dailyDataStore", JSON.stringify(dailyDataStore));
-
-      // Delete old notes key
-      localStorage.removeItem("allTimeNotes");
-      console.log("Data migration complete");
-    } catch (error) {
-      console.error("Error during data migration:", error);
-    }
-  }
+  saveDailyData(dailyDataStore);
+  queueSync(dailyDataStore, runSync);
 }
 
 /**
- * Load saved data from localStorage and restore state
+ * Load saved data and restore state
  * This runs when page loads to restore previous session
- *
- * CRITICAL STREAK LOGIC:
- * - If today's entry doesn't exist (new day), evaluate yesterday for streak continuation
- * - If yesterday completed (approachCount >= 10): continue streak
- * - If yesterday failed (approachCount < 10): reset streak to 0
- * - Create today's entry with approachCount: 0 if it's a new day
+ * loadDailyData() validates the stored data and runs any pending schema
+ * migrations (old allTimeNotes key, approach counters, ...) first.
+ * If today's entry doesn't exist yet, startDay() handles the new day
+ * @returns {Promise<void>} - Resolves once dailyDataStore is ready
  */
 function loadData() {
-  const today = getTodayString();
-
-  // Load dailyDataStore from localStorage
-  const storedDailyData = localStorage.getItem("dailyDataStore");
-  if (storedDailyData) {
-    try {
-      dailyDataStore = JSON.parse(storedDailyData);
-    } catch (error) {
-      console.error("Error loading dailyDataStore:", error);
-      dailyDataStore = {};
-    }
-  }
-
-  // Load streak from localStorage
-  const storedStreak = localStorage.getItem("currentStreak");
-  if (storedStreak) {
-    try {
-      streak = JSON.parse(storedStreak);
-    } catch (error) {
-      console.error("Error loading streak:", error);
-      streak = 0;
-    }
-  }
-
-  // Get yesterday's date string for streak logic
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayString = yesterday.toDateString();
-
-  // Check if this is a new day (today's entry doesn't exist)
-  const isNewDay = !dailyDataStore[today];
-
-  if (isNewDay) {
-    // NEW DAY: Evaluate yesterday's performance for streak
-    if (dailyDataStore[yesterdayString]) {
-      const yesterdayApproaches =
-        dailyDataStore[yesterdayString].approachCount || 0;
+  return loadDailyData().then((storedData) => {
+    const today = getTodayString();
+    dailyDataStore = storedData;
 
-      // They failed yesterday - reset streak
-      if (yesterdayApproaches < 10) {
-        streak = 0;
-        punishmentBanner.classList.remove("hidden");
-      }
-      // Otherwise streak continues as-is
-    } else {
-      // No yesterday entry means streak should reset
-      streak = 0;
+    // Check if this is a new day (today's entry doesn't exist)
+    if (!dailyDataStore[today]) {
+      startDay(today);
     }
 
-    // Initialize today's entry
-    dailyDataStore[today] = {
-      date: today,
-      approachCount: 0,
-      notes: [],
-    };
-
-  }
+    updateUI();
+    saveData(); // Save the potentially updated state
+  });
+}
 
-  updateUI();
-  saveData(); // Save the potentially updated state
+/**
+ * Start a new day: judge the days since the last entry and create today's
+ * Called on page load and when the countdown crosses the deadline (see
+ * judgeDaysBefore() in punishments.js and createDayEntry() in
+ * exemptions.js). The streak needs no bookkeeping here -
+ * calculateStreaks() sees the failed or missing days on its own
+ * @param {string} today - Day key of the day being started
+ */
+function startDay(today) {
+  judgeDaysBefore(dailyDataStore, punishments, today, settings);
+  dailyDataStore[today] = createDayEntry(dailyDataStore, today, settings);
 }
 
 // ============================================
@@ -268,24 +196,27 @@ function loadData() {
 
 /**
  * Update all UI elements to reflect current state
- * This is called whenever approachCount or streak changes
+ * This is called whenever today's approaches change
  * Centralizing UI updates prevents inconsistencies
  */
 function updateUI() {
   const today = getTodayString();
-  const todayApproachCount = dailyDataStore[today]?.approachCount || 0;
+  const todayApproachCount = getApproachCount(dailyDataStore[today]);
+  const goal = getDayGoal(dailyDataStore[today]);
 
   // Update counter text (e.g., "7/10")
-  counter.textContent = `${todayApproachCount}/10`;
+  counter.textContent = `${todayApproachCount}/${goal}`;
+  goalText.textContent = goal;
+  deadlineText.textContent = formatDeadlineHour(settings.deadlineHour);
 
   // Update progress bar width (0% to 100%)
-  progressFill.style.width = `${(todayApproachCount / 10) * 100}%`;
+  progressFill.style.width = `${Math.min(todayApproachCount / goal, 1) * 100}%`;
 
-  // Update streak display
-  streakCount.textContent = streak;
+  // Update streak display (recalculated from the data every time)
+  streakCount.textContent = calculateStreaks(dailyDataStore, today).current;
 
   // Check if daily goal completed
-  const isComplete = todayApproachCount >= 10;
+  const isComplete = todayApproachCount >= goal;
 
   if (isComplete) {
     // Add "complete" styling (green colors)
@@ -311,6 +242,22 @@ function updateUI() {
     successBanner.classList.add("hidden");
   }
 
+  // A rest day or time off only needs saying while the goal isn't met
+  const exemption = dailyDataStore[today]?.exempt;
+  exemptNotice.textContent = exemption
+    ? `${describeExemption(
+        exemption
+      )} - today can't break your streak or earn a punishment`
+    : "";
+  exemptNotice.classList.toggle("hidden", !exemption || isComplete);
+
+  // Nothing to undo on an empty day
+  undoBtn.disabled = todayApproachCount === 0;
+
+  displayTodayApproaches();
+  displayPunishments();
+  displaySession();
+
   // Update today's approach count display
   displayTodayApproachCount();
 }
@@ -321,20 +268,163 @@ function updateUI() {
  */
 function displayTodayApproachCount() {
   const today = getTodayString();
-  const todayApproachCount = dailyDataStore[today]?.approachCount || 0;
+  const todayApproachCount = getApproachCount(dailyDataStore[today]);
+  const goal = getDayGoal(dailyDataStore[today]);
 
   const todayApproachCountElement =
     document.getElementById("todayApproachCount");
   if (todayApproachCountElement) {
-    todayApproachCountElement.textContent = `${todayApproachCount}/10`;
+    todayApproachCountElement.textContent = `${todayApproachCount}/${goal}`;
   }
 
   displayTodayNotes();
 }
 
+/**
+ * Display today's approaches with edit/delete controls
+ * Newest first, since the one you just logged is usually the one to fix
+ */
+function displayTodayApproaches() {
+  const approaches = dailyDataStore[getTodayString()]?.approaches ?? [];
+
+  if (approaches.length === 0) {
+    todayApproachesList.innerHTML =
+      '<p class="no-notes-today">No approaches logged yet today.</p>';
+    return;
+  }
+
+  let html = '<ol class="approach-timeline">';
+  [...approaches].reverse().forEach((approach) => {
+    const details = [
+      getOutcomeLabel(approach.outcome),
+      approach.location ? `@ ${escapeHtml(approach.location)}` : "",
+      approach.rating ? `${escapeMarkup(approach.rating)}/5` : "",
+    ].filter(Boolean);
+
+    html += `
+      <li class="approach-item" data-approach-id="${escapeMarkup(approach.id)}">
+        <span class="approach-time">${formatApproachTime(
+          approach.timestamp
+        )}</span>
+        <span class="approach-details">${
+          details.length > 0 ? details.join(" · ") : "Approach"
+        }</span>
+        <span class="approach-actions">
+          <button class="approach-action" data-action="edit">Edit</button>
+          <button class="approach-action" data-action="delete">Delete</button>
+        </span>
+        ${
+          approach.note
+            ? `<p class="approach-note">${escapeHtml(approach.note)}</p>`
+            : ""
+        }
+      </li>
+    `;
+  });
+  html += "</ol>";
+
+  todayApproachesList.innerHTML = html;
+}
+
+/**
+ * Display outstanding punishments in the banner
+ * The banner stays up until every item of every punishment is checked off
+ */
+function displayPunishments() {
+  const outstanding = getOutstandingPunishments(punishments);
+
+  if (outstanding.length === 0) {
+    punishmentBanner.classList.add("hidden");
+    return;
+  }
+
+  const debt = getPunishmentDebt(punishments);
+  punishmentDebt.textContent = `${debt.items} ${
+    debt.items === 1 ? "item" : "items"
+  } outstanding across ${debt.punishments} missed ${
+    debt.punishments === 1 ? "day" : "days"
+  }${debt.overdue > 0 ? ` (${debt.overdue} overdue)` : ""}`;
+
+  let html = "";
+  outstanding.forEach((punishment) => {
+    const dueAt = new Date(getDeadline(punishment.dueDay, settings));
+    html += `
+      <div class="punishment-record" data-punishment-id="${escapeMarkup(
+        punishment.id
+      )}">
+        <p class="punishment-day">
+          Missed ${formatShortDay(punishment.day)} · due
+          ${formatShortDay(punishment.dueDay)}
+          ${dueAt.toLocaleTimeString("en-US", {
+            hour: "numeric",
+            minute: "2-digit",
+            timeZone: settings.timeZone || undefined,
+          })}
+          ${
+            isPunishmentOverdue(punishment)
+              ? '<span class="overdue-badge">Overdue</span>'
+              : ""
+          }
+        </p>
+        <p class="punishment-reason">${escapeMarkup(
+          describePunishmentReason(punishment)
+        )}</p>
+        <ul>
+          ${punishment.items
+            .map(
+              (item) => `
+            <li class="punishment-item ${
+              item.done ? "done" : ""
+            }" data-item-id="${escapeMarkup(item.id)}">
+              <label>
+                <input type="checkbox" data-action="toggle" ${
+                  item.done ? "checked" : ""
+                } />
+                ${escapeHtml(item.text)}
+              </label>
+              <label class="approach-action">
+                ${item.attachmentId ? "Replace proof" : "Attach proof"}
+                <input
+                  type="file"
+                  accept="image/*,video/*"
+                  data-action="attach"
+                  hidden
+                />
+              </label>
+              ${
+                item.attachmentId
+                  ? '<button class="approach-action" data-action="view">View proof</button>'
+                  : ""
+              }
+            </li>
+          `
+            )
+            .join("")}
+        </ul>
+      </div>
+    `;
+  });
+
+  punishmentList.innerHTML = html;
+  punishmentBanner.classList.remove("hidden");
+}
+
+/**
+ * Format a day key for compact display, e.g. "Mon, Dec 16"
+ */
+function formatShortDay(dayKey) {
+  return new Date(dayKey).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+}
+
 /**
  * Display today's notes from dailyDataStore
- * Shows all notes saved for today in the todayNotesList container
+ * Shows all notes saved for today in the todayNotesList container, with
+ * their tags, what they're linked to and edit/delete controls. The note
+ * being edited is swapped for an inline editor.
  */
 function displayTodayNotes() {
   const today = getTodayString();
@@ -355,16 +445,56 @@ function displayTodayNotes() {
   // Build HTML for today's notes
   let html = '<div class="today-notes-list">';
   notes.forEach((note) => {
+    if (String(note.id) === String(editingNoteId)) {
+      html += `
+      <div class="note-card-today note-editing" data-note-id="${escapeMarkup(
+        note.id
+      )}">
+        ${renderNoteEditor()}
+      </div>
+    `;
+      return;
+    }
+
+    const linkLabel = describeNoteLink(todayData, note.link);
     html += `
-      <div class="note-card-today">
-        <p class="note-text">${escapeHtml(note.text)}</p>
-        <span class="note-time">${note.timestamp}</span>
+      <div class="note-card-today" data-note-id="${escapeMarkup(note.id)}">
+        <div class="note-text">${renderMarkdown(note.text)}</div>
+        ${renderNoteTags(note)}
+        ${
+          linkLabel ? `<p class="note-link">↳ ${escapeHtml(linkLabel)}</p>` : ""
+        }
+        <span class="note-time">${escapeMarkup(note.timestamp)}${
+      note.editedAt ? " · edited" : ""
+    }</span>
+        <span class="note-actions">
+          <button class="note-action" data-action="edit">Edit</button>
+          <button class="note-action" data-action="delete">Delete</button>
+        </span>
       </div>
     `;
   });
   html += "</div>";
 
   notesListContainer.innerHTML = html;
+
+  const editor = notesListContainer.querySelector(".note-editing");
+  if (editor) {
+    fillNoteEditor(editor, findNote(todayData, editingNoteId), todayData);
+  }
+}
+
+/**
+ * Build a note's tag chips
+ * @returns {string} - HTML ("" if the note has no tags)
+ */
+function renderNoteTags(note) {
+  const tags = getNoteTags(note);
+  if (tags.length === 0) return "";
+
+  return `<div class="note-tags">${tags
+    .map((tag) => `<span class="note-tag">#${escapeHtml(tag)}</span>`)
+    .join("")}</div>`;
 }
 
 /**
@@ -382,26 +512,30 @@ function escapeHtml(text) {
 
 /**
  * Handle approach button click
- * Increments approachCount directly and saves to localStorage immediately
+ * Logs a new approach record right away (one tap, no typing needed) and
+ * saves to localStorage immediately. The details form then opens so
+ * location, outcome, rating and a note can optionally be added.
  */
 approachBtn.addEventListener("click", () => {
   const today = getTodayString();
-
-  // Only increment if under 10
-  if (dailyDataStore[today].approachCount < 10) {
-    dailyDataStore[today].approachCount++;
-
-    // If just completed daily goal (hit 10), increment streak
-    if (dailyDataStore[today].approachCount === 10) {
-      streak++;
-    }
-
-    // Hide punishment banner when user starts making progress
-    punishmentBanner.classList.add("hidden");
-
-    // Update display and save to localStorage immediately
-    updateUI();
-    saveData();
+  const goal = getDayGoal(dailyDataStore[today]);
+
+  // Only log if under today's goal
+  if (getApproachCount(dailyDataStore[today]) < goal) {
+    // During a session the approach belongs to it, and starts out with
+    // the session's location
+    const active = getActiveSession();
+    const approach = createApproach(
+      active
+        ? { sessionId: active.session.id, location: active.session.location }
+        : {}
+    );
+
+    changeToday(() => {
+      dailyDataStore[today].approaches.push(approach);
+    });
+
+    showApproachDetails(approach.id);
   }
 
   // Add animation effect
@@ -412,18 +546,634 @@ approachBtn.addEventListener("click", () => {
 
 /**
  * Handle reset button click
- * Resets approachCount for today (but keeps streak intact)
+ * Clears today's approach log
  */
 resetBtn.addEventListener("click", () => {
-  if (confirm("Reset today's count? This won't affect your streak.")) {
-    const today = getTodayString();
-    dailyDataStore[today].approachCount = 0;
-    punishmentBanner.classList.add("hidden");
-    updateUI();
-    saveData();
+  if (confirm("Reset today's count? All of today's approaches are cleared.")) {
+    changeToday(() => {
+      dailyDataStore[getTodayString()].approaches = [];
+    });
+    hideApproachDetails();
+  }
+});
+
+/**
+ * Handle undo button click
+ * Removes the most recently logged approach
+ */
+undoBtn.addEventListener("click", () => {
+  const approaches = dailyDataStore[getTodayString()].approaches;
+  if (approaches.length === 0) return;
+
+  deleteApproach(approaches[approaches.length - 1].id);
+});
+
+/**
+ * Handle edit/delete buttons in today's approach list
+ * One delegated listener, since the list is re-rendered on every change
+ */
+todayApproachesList.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-action]");
+  if (!button) return;
+
+  const approachId = button.closest("[data-approach-id]").dataset.approachId;
+
+  if (button.dataset.action === "edit") {
+    showApproachDetails(approachId);
+  } else if (button.dataset.action === "delete") {
+    if (confirm("Delete this approach?")) {
+      deleteApproach(approachId);
+    }
   }
 });
 
+// ============================================
+// PUNISHMENT LEDGER
+// ============================================
+
+/**
+ * Find the punishment record and item an event came from
+ * @returns {object} - { punishment, item } (either may be undefined)
+ */
+function getPunishmentTarget(element) {
+  const punishment = findPunishment(
+    punishments,
+    element.closest("[data-punishment-id]").dataset.punishmentId
+  );
+  const itemId = element.closest("[data-item-id]").dataset.itemId;
+  const item = punishment?.items.find((i) => String(i.id) === itemId);
+  return { punishment, item };
+}
+
+/**
+ * Check items off as they're done
+ */
+punishmentList.addEventListener("change", (event) => {
+  const action = event.target.dataset.action;
+  const { punishment, item } = getPunishmentTarget(event.target);
+  if (!item) return;
+
+  if (action === "toggle") {
+    setPunishmentItemDone(punishment, item.id, event.target.checked);
+    savePunishments(punishments);
+    displayPunishments();
+  } else if (action === "attach") {
+    attachPunishmentProof(punishment, item, event.target.files[0]);
+  }
+});
+
+/**
+ * Open an item's proof
+ */
+punishmentList.addEventListener("click", (event) => {
+  if (event.target.dataset.action !== "view") return;
+
+  const { item } = getPunishmentTarget(event.target);
+  if (item?.attachmentId) {
+    openAttachment(item.attachmentId);
+  }
+});
+
+/**
+ * Store a photo/video as proof for one punishment item
+ * The file goes into IndexedDB; the item only keeps its id. A replaced
+ * file is deleted so old proof doesn't pile up on the device.
+ */
+function attachPunishmentProof(punishment, item, file) {
+  if (!file) return;
+
+  const previousId = item.attachmentId;
+  saveAttachment(file)
+    .then((attachmentId) => {
+      item.attachmentId = attachmentId;
+      savePunishments(punishments);
+      displayPunishments();
+
+      if (previousId) {
+        return deleteAttachment(previousId);
+      }
+    })
+    .catch((error) => {
+      console.error("Error saving proof:", error);
+      alert("Couldn't save that file on this device");
+    });
+}
+
+// ============================================
+// APPROACH LOG CHANGES
+// ============================================
+
+/**
+ * Apply a change to today's entry, then save and refresh the UI
+ * Completion and the streak are both recalculated from the data, so a day
+ * dropping back below its goal after an undo is reflected right away
+ * @param {Function} change - Mutates today's approaches or goal
+ */
+function changeToday(change) {
+  change();
+  updateUI();
+  saveData();
+}
+
+/**
+ * Find one of today's approaches by id
+ * Ids come back from data attributes as strings, so compare as strings
+ * @param {string|number} approachId - Approach id
+ * @returns {object|undefined} - The approach record
+ */
+function findTodayApproach(approachId) {
+  return dailyDataStore[getTodayString()].approaches.find(
+    (approach) => String(approach.id) === String(approachId)
+  );
+}
+
+/**
+ * Remove one of today's approaches
+ * @param {string|number} approachId - Approach id
+ */
+function deleteApproach(approachId) {
+  const todayEntry = dailyDataStore[getTodayString()];
+
+  changeToday(() => {
+    todayEntry.approaches = todayEntry.approaches.filter(
+      (approach) => String(approach.id) !== String(approachId)
+    );
+  });
+
+  // Don't leave the form open on an approach that no longer exists
+  if (String(editingApproachId) === String(approachId)) {
+    hideApproachDetails();
+  }
+}
+
+// ============================================
+// SESSION MODE
+// ============================================
+
+/**
+ * Get the session that's running, if any
+ * @returns {object|null} - { day, session } (see findActiveSession)
+ */
+function getActiveSession() {
+  return findActiveSession(dailyDataStore, getTodayString());
+}
+
+/**
+ * Show the start form or the running session
+ */
+function displaySession() {
+  const active = getActiveSession();
+
+  sessionStartForm.classList.toggle("hidden", Boolean(active));
+  sessionActive.classList.toggle("hidden", !active);
+  if (!active) return;
+
+  sessionLocation.textContent = active.session.location
+    ? ` @ ${active.session.location}`
+    : "";
+  updateSessionTimer();
+}
+
+/**
+ * Update the running session's clocks, and nudge once it's gone idle
+ * Called every second from updateTimer()
+ * The nudge is a notification when they're allowed (see reminders.js),
+ * otherwise just the highlighted "since last approach" clock.
+ */
+function updateSessionTimer() {
+  const active = getActiveSession();
+  if (!active) return;
+
+  const now = Date.now();
+  const approaches = getSessionApproaches(
+    dailyDataStore,
+    active.day,
+    active.session
+  );
+  const lastActivity =
+    approaches.length > 0
+      ? approaches[approaches.length - 1].timestamp
+      : active.session.start;
+  const idleTime = now - lastActivity;
+
+  sessionElapsed.textContent = formatClock(
+    getSessionDuration(active.session, now)
+  );
+  sessionSinceLast.textContent = formatClock(idleTime);
+  sessionApproachCount.textContent = approaches.length;
+
+  const idleLimit = settings.sessionIdleMinutes * 60 * 1000;
+  const isIdle = idleLimit > 0 && idleTime >= idleLimit;
+  sessionSinceLast.classList.toggle("idle", isIdle);
+
+  if (isIdle && idleNudgeSentFor !== lastActivity) {
+    idleNudgeSentFor = lastActivity;
+    if ("Notification" in window && Notification.permission === "granted") {
+      showReminder(
+        "10 or DIE - keep moving",
+        `${formatDuration(idleTime)} since your last approach`,
+        `session-${active.session.id}-idle`
+      );
+    }
+  }
+}
+
+/**
+ * Start a session at the location typed in (optional)
+ */
+document.getElementById("startSessionBtn").addEventListener("click", () => {
+  if (getActiveSession()) return;
+
+  const today = getTodayString();
+  const session = createSession(sessionLocationInput.value.trim());
+
+  changeToday(() => {
+    const entry = dailyDataStore[today];
+    entry.sessions = entry.sessions || [];
+    entry.sessions.push(session);
+  });
+  sessionLocationInput.value = "";
+
+  // Idle nudges are notifications, so ask now, while there's a click
+  if (settings.sessionIdleMinutes > 0) {
+    requestReminderPermission();
+  }
+});
+
+/**
+ * End the running session
+ * It may have started yesterday (before the deadline), so this saves
+ * whichever day it's stored on
+ */
+document.getElementById("endSessionBtn").addEventListener("click", () => {
+  const active = getActiveSession();
+  if (!active) return;
+
+  active.session.end = Date.now();
+  updateUI();
+  saveData();
+});
+
+// ============================================
+// APPROACH DETAILS
+// ============================================
+
+/**
+ * Fill the outcome dropdown from the shared outcome list
+ */
+function populateOutcomeOptions() {
+  APPROACH_OUTCOMES.forEach((outcome) => {
+    const option = document.createElement("option");
+    option.value = outcome.value;
+    option.textContent = outcome.label;
+    approachOutcome.appendChild(option);
+  });
+}
+
+/**
+ * Show the details form for one of today's approaches
+ * A freshly logged approach has no location yet, so the previous
+ * approach's location is carried over - approaches usually happen in
+ * batches at the same spot
+ * @param {string|number} approachId - Approach id
+ */
+function showApproachDetails(approachId) {
+  const approaches = dailyDataStore[getTodayString()].approaches;
+  const approach = findTodayApproach(approachId);
+  if (!approach) return;
+
+  const index = approaches.indexOf(approach);
+  const previous = approaches[index - 1];
+  const isNew = index === approaches.length - 1 && !approach.location;
+
+  editingApproachId = approach.id;
+  approachDetailsTitle.textContent = `Approach #${index + 1} details`;
+  approachLocation.value = isNew ? previous?.location ?? "" : approach.location;
+  approachOutcome.value = approach.outcome;
+  approachRating.value = approach.rating ?? "";
+  approachNote.value = approach.note;
+  approachDetails.classList.remove("hidden");
+}
+
+/**
+ * Hide the details form
+ */
+function hideApproachDetails() {
+  editingApproachId = null;
+  approachDetails.classList.add("hidden");
+}
+
+/**
+ * Save the details form onto the approach being edited
+ */
+function saveApproachDetails() {
+  const approach = findTodayApproach(editingApproachId);
+  if (!approach) {
+    hideApproachDetails();
+    return;
+  }
+
+  approach.location = approachLocation.value.trim();
+  approach.outcome = approachOutcome.value;
+  approach.rating = approachRating.value ? Number(approachRating.value) : null;
+  approach.note = approachNote.value.trim();
+
+  saveData();
+  hideApproachDetails();
+  displayTodayApproaches();
+}
+
+document
+  .getElementById("saveApproachBtn")
+  .addEventListener("click", saveApproachDetails);
+document
+  .getElementById("skipApproachBtn")
+  .addEventListener("click", hideApproachDetails);
+
+// ============================================
+// SETTINGS PANEL
+// ============================================
+
+/**
+ * Fill the deadline dropdown, timezone suggestions and rest day checkboxes
+ * Deadlines run from noon to the early hours of the next morning
+ */
+function populateSettingsOptions() {
+  for (let hour = MIN_DEADLINE_HOUR; hour <= MAX_DEADLINE_HOUR; hour++) {
+    const option = document.createElement("option");
+    option.value = hour;
+    option.textContent = formatDeadlineHour(hour);
+    deadlineInput.appendChild(option);
+  }
+
+  // Not every browser can list its timezones - free text still works there
+  if (typeof Intl.supportedValuesOf === "function") {
+    const timeZoneList = document.getElementById("timeZoneList");
+    Intl.supportedValuesOf("timeZone").forEach((timeZone) => {
+      const option = document.createElement("option");
+      option.value = timeZone;
+      timeZoneList.appendChild(option);
+    });
+  }
+
+  restDaysInput.innerHTML = WEEKDAY_SHORT_NAMES.map(
+    (name, weekday) => `
+      <label class="rest-day">
+        <input type="checkbox" value="${weekday}" />${name}
+      </label>
+    `
+  ).join("");
+}
+
+/**
+ * Toggle the settings panel, pre-filling the current values
+ */
+settingsBtn.addEventListener("click", () => {
+  goalInput.value = settings.dailyGoal;
+  deadlineInput.value = settings.deadlineHour;
+  timeZoneInput.value = settings.timeZone;
+  displayRuleItems(settings.punishmentRules.items);
+  scaleByShortfallInput.checked = settings.punishmentRules.scaleByShortfall;
+  escalationInput.value = settings.punishmentRules.escalationPercent;
+  sessionIdleInput.value = settings.sessionIdleMinutes;
+  remindersEnabledInput.checked = settings.reminders.enabled;
+  reminderOffsetsInput.value = settings.reminders.offsets
+    .map(formatReminderOffset)
+    .join(", ");
+  goalMissedInput.checked = settings.reminders.goalMissed;
+  restDaysInput.querySelectorAll("input").forEach((checkbox) => {
+    checkbox.checked = settings.exemptions.restDays.includes(
+      Number(checkbox.value)
+    );
+  });
+  displayTimeOff(settings.exemptions.ranges);
+  freezesInput.value = settings.exemptions.freezesPerMonth;
+  const syncConfig = loadSyncConfig();
+  syncServerInput.value = syncConfig.serverUrl;
+  syncUserInput.value = syncConfig.userId;
+  syncTokenInput.value = syncConfig.token;
+  displaySyncStatus();
+  settingsPanel.classList.toggle("hidden");
+});
+
+// ============================================
+// PUNISHMENT RULES EDITOR
+// ============================================
+
+/**
+ * Render one editable row per punishment rule item
+ * Labels are set through .value rather than the markup, so quotes in a
+ * label can't break out of the attribute
+ * @param {Array} items - [{ amount, label }]
+ */
+function displayRuleItems(items) {
+  ruleItemsList.innerHTML = items
+    .map(
+      (item) => `
+      <div class="rule-item">
+        <input type="number" class="rule-amount" min="1" value="${item.amount}" />
+        <input type="text" class="rule-label" />
+        <button class="approach-action" data-action="remove-rule">✕</button>
+      </div>
+    `
+    )
+    .join("");
+
+  ruleItemsList.querySelectorAll(".rule-label").forEach((input, index) => {
+    input.value = items[index].label;
+  });
+}
+
+/**
+ * Read the rule rows back out of the editor
+ * @returns {Array} - [{ amount, label }] (not yet validated)
+ */
+function readRuleItems() {
+  return [...ruleItemsList.querySelectorAll(".rule-item")].map((row) => ({
+    amount: row.querySelector(".rule-amount").value,
+    label: row.querySelector(".rule-label").value,
+  }));
+}
+
+document.getElementById("addRuleBtn").addEventListener("click", () => {
+  displayRuleItems([...readRuleItems(), { amount: 10, label: "" }]);
+});
+
+ruleItemsList.addEventListener("click", (event) => {
+  if (event.target.dataset.action !== "remove-rule") return;
+  event.target.closest(".rule-item").remove();
+});
+
+// ============================================
+// TIME OFF EDITOR
+// ============================================
+
+/**
+ * Render one editable row per scheduled time off
+ * @param {Array} ranges - [{ start, end, reason, label }]
+ */
+function displayTimeOff(ranges) {
+  timeOffList.innerHTML = ranges
+    .map(
+      (range) => `
+      <div class="rule-item time-off-item">
+        <input type="date" class="time-off-start" value="${range.start}" />
+        <input type="date" class="time-off-end" value="${range.end}" />
+        <select class="time-off-reason">
+          ${TIME_OFF_REASONS.map(
+            (reason) =>
+              `<option value="${reason}" ${
+                reason === range.reason ? "selected" : ""
+              }>${EXEMPTION_LABELS[reason]}</option>`
+          ).join("")}
+        </select>
+        <input type="text" class="time-off-label" placeholder="Note" value="${escapeMarkup(
+          range.label
+        )}" />
+        <button class="approach-action" data-action="remove-time-off">✕</button>
+      </div>
+    `
+    )
+    .join("");
+}
+
+/**
+ * Read the time off rows back out of the editor
+ * @returns {Array} - [{ start, end, reason, label }] (not yet validated)
+ */
+function readTimeOff() {
+  return [...timeOffList.querySelectorAll(".time-off-item")].map((row) => ({
+    start: row.querySelector(".time-off-start").value,
+    end: row.querySelector(".time-off-end").value,
+    reason: row.querySelector(".time-off-reason").value,
+    label: row.querySelector(".time-off-label").value,
+  }));
+}
+
+document.getElementById("addTimeOffBtn").addEventListener("click", () => {
+  const tomorrow = toIsoDate(shiftDayKey(getTodayString(), 1));
+  displayTimeOff([
+    ...readTimeOff(),
+    { start: tomorrow, end: tomorrow, reason: "vacation", label: "" },
+  ]);
+});
+
+timeOffList.addEventListener("click", (event) => {
+  if (event.target.dataset.action !== "remove-time-off") return;
+  event.target.closest(".time-off-item").remove();
+});
+
+document.getElementById("cancelSettingsBtn").addEventListener("click", () => {
+  settingsPanel.classList.add("hidden");
+});
+
+/**
+ * Save settings
+ * A new deadline or timezone can move "today" onto a different day, in
+ * which case that day is started (and the one before it judged) right away.
+ * The new goal and exempt days apply to today's entry too; past days keep
+ * the goal and exemption stored on their own entry.
+ */
+document.getElementById("saveSettingsBtn").addEventListener("click", () => {
+  const goal = normalizeGoal(goalInput.value);
+  if (goal === null) {
+    alert("Please enter a daily goal");
+    return;
+  }
+
+  const timeZone = timeZoneInput.value.trim();
+  if (!isValidTimeZone(timeZone)) {
+    alert(`Unknown timezone "${timeZone}"`);
+    return;
+  }
+
+  const punishmentRules = normalizePunishmentRules({
+    items: readRuleItems(),
+    scaleByShortfall: scaleByShortfallInput.checked,
+    escalationPercent: escalationInput.value,
+  });
+  if (punishmentRules.items.length === 0) {
+    alert("Add at least one punishment item");
+    return;
+  }
+
+  const reminderOffsets = parseReminderOffsets(reminderOffsetsInput.value);
+  if (reminderOffsets === null) {
+    alert('Enter reminder times like "3h, 1h, 15m" (up to 24h)');
+    return;
+  }
+  if (remindersEnabledInput.checked && reminderOffsets.length === 0) {
+    alert("Enter at least one reminder time");
+    return;
+  }
+
+  const syncConfig = {
+    serverUrl: syncServerInput.value.trim(),
+    userId: syncUserInput.value.trim(),
+    token: syncTokenInput.value.trim(),
+  };
+  if (syncConfig.serverUrl && !/^https?:\/\/\S+$/i.test(syncConfig.serverUrl)) {
+    alert("Enter the sync server's address, e.g. http://192.168.1.20:8787");
+    return;
+  }
+  if (syncConfig.serverUrl && !/^[a-z0-9_-]{1,40}$/i.test(syncConfig.userId)) {
+    alert("Pick a sync user name: 1-40 letters, numbers, - or _");
+    return;
+  }
+
+  const timeOff = readTimeOff();
+  if (timeOff.some((range) => !range.start || !range.end)) {
+    alert("Enter a start and end date for each time off");
+    return;
+  }
+  const exemptions = normalizeExemptions({
+    restDays: [...restDaysInput.querySelectorAll("input:checked")].map(
+      (checkbox) => checkbox.value
+    ),
+    ranges: timeOff,
+    freezesPerMonth: freezesInput.value,
+  });
+
+  settings.dailyGoal = goal;
+  settings.deadlineHour = normalizeDeadlineHour(deadlineInput.value);
+  settings.timeZone = timeZone;
+  settings.punishmentRules = punishmentRules;
+  settings.sessionIdleMinutes = normalizeIdleMinutes(sessionIdleInput.value);
+  settings.reminders = {
+    enabled: remindersEnabledInput.checked,
+    offsets: reminderOffsets,
+    goalMissed: goalMissedInput.checked,
+  };
+  settings.exemptions = exemptions;
+  saveSettings(settings);
+  saveSyncConfig(syncConfig);
+
+  if (settings.reminders.enabled || settings.reminders.goalMissed) {
+    requestReminderPermission().then((granted) => {
+      if (!granted) {
+        alert(
+          "Notifications are blocked for this site - allow them in your browser settings to get reminders"
+        );
+      }
+    });
+  }
+
+  const today = getTodayString();
+  if (!dailyDataStore[today]) {
+    startDay(today);
+  }
+
+  // A different goal can flip today between complete and incomplete too
+  changeToday(() => {
+    dailyDataStore[today].goal = goal;
+    dailyDataStore[today].exempt = getScheduledExemption(today, settings);
+  });
+
+  settingsPanel.classList.add("hidden");
+  updateTimer();
+  startSyncLoop(runSync);
+});
+
 // ============================================
 // NOTES FUNCTIONALITY
 // ============================================
@@ -448,10 +1198,12 @@ document.addEventListener("DOMContentLoaded", function () {
 
 /**
  * Display current date in readable format
+ * Shows the day being logged (getTodayString()), which follows the
+ * deadline and time zone settings rather than the device's calendar
  */
 function displayDate() {
   const dateElement = document.querySelector(".date-display");
-  const today = new Date().toLocaleDateString("en-US", {
+  const today = new Date(getTodayString()).toLocaleDateString("en-US", {
     weekday: "long",
     year: "numeric",
     month: "long",
@@ -462,8 +1214,14 @@ function displayDate() {
 
 /**
  * Show the note input form
+ * The link picker offers today's approaches and sessions
  */
 function showNoteInput() {
+  fillTagSuggestions(dailyDataStore);
+  fillLinkPicker(
+    document.getElementById("noteLink"),
+    dailyDataStore[getTodayString()]
+  );
   document.getElementById("noteInput").style.display = "block";
   document.getElementById("addNoteBtn").style.display = "none";
   document.getElementById("noteText").focus();
@@ -476,6 +1234,7 @@ function hideNoteInput() {
   document.getElementById("noteInput").style.display = "none";
   document.getElementById("addNoteBtn").style.display = "block";
   document.getElementById("noteText").value = "";
+  document.getElementById("noteTags").value = "";
 }
 
 /**
@@ -495,23 +1254,18 @@ function saveNote() {
 
   // Ensure today's dailyData exists
   if (!dailyDataStore[today]) {
-    dailyDataStore[today] = {
-      date: today,
-      approachCount: 0,
-      notes: [],
-    };
+    startDay(today);
   }
 
   // Create new note object with unique ID
-  const newNote = {
-    id: Date.now(), // Unix timestamp ensures uniqueness
-    text: noteText,
-    timestamp: new Date().toLocaleTimeString("en-US", {
-      hour: "numeric",
-      minute: "2-digit",
-      hour12: true,
-    }),
-  };
+  const newNote = createNote(
+    noteText,
+    parseTagInput(document.getElementById("noteTags").value),
+    parseLinkValue(
+      document.getElementById("noteLink").value,
+      dailyDataStore[today]
+    )
+  );
 
   // Add note to today's dailyData
   dailyDataStore[today].notes.push(newNote);
@@ -526,6 +1280,109 @@ function saveNote() {
   hideNoteInput();
 }
 
+/**
+ * Save the inline editor onto the note being edited
+ */
+function saveNoteEdit(editor) {
+  const todayEntry = dailyDataStore[getTodayString()];
+  const note = findNote(todayEntry, editingNoteId);
+  const edit = readNoteEditor(editor, todayEntry);
+
+  if (!edit.text) {
+    alert("Please enter a note");
+    return;
+  }
+
+  if (note) {
+    updateNote(note, edit.text, edit.tags, edit.link);
+    saveData();
+  }
+  editingNoteId = null;
+  displayTodayNotes();
+}
+
+/**
+ * Handle edit/delete/save/cancel buttons in today's notes
+ * One delegated listener, since the list is re-rendered on every change
+ */
+document.getElementById("todayNotesList").addEventListener("click", (event) => {
+  const button = event.target.closest("[data-action]");
+  if (!button) return;
+
+  const noteId = button.closest("[data-note-id]").dataset.noteId;
+
+  if (button.dataset.action === "edit") {
+    fillTagSuggestions(dailyDataStore);
+    editingNoteId = noteId;
+    displayTodayNotes();
+  } else if (button.dataset.action === "delete") {
+    if (confirm("Delete this note?")) {
+      removeNote(dailyDataStore[getTodayString()], noteId);
+      saveData();
+      displayTodayNotes();
+    }
+  } else if (button.dataset.action === "save") {
+    saveNoteEdit(button.closest(".note-editing"));
+  } else if (button.dataset.action === "cancel") {
+    editingNoteId = null;
+    displayTodayNotes();
+  }
+});
+
+// ============================================
+// SERVER SYNC
+// ============================================
+
+/**
+ * Sync with the server (see sync.js) and take in other devices' changes
+ * @returns {Promise<void>}
+ */
+function runSync() {
+  return syncNow(dailyDataStore, (records) => {
+    records.forEach((record) => applySyncRecord(dailyDataStore, record));
+    updateUI();
+    return saveDailyData(dailyDataStore);
+  }).then(displaySyncStatus);
+}
+
+/**
+ * Show how sync is doing in the settings panel
+ */
+function displaySyncStatus() {
+  syncStatus.textContent = describeSyncStatus();
+}
+
+document.getElementById("syncNowBtn").addEventListener("click", () => {
+  if (!isSyncConfigured()) {
+    alert("Save a sync server and user name first");
+    return;
+  }
+  syncStatus.textContent = "Syncing...";
+  runSync();
+});
+
+// ============================================
+// CROSS-TAB SYNC
+// ============================================
+
+/**
+ * Pick up a change saved by another tab (dashboard or history page)
+ * Every change is saved straight away and storage.js merges saves per
+ * day, so re-reading is all it takes to show both tabs' approaches
+ * @param {string} key - What changed (see onStorageChange in storage.js)
+ */
+function handleStorageChange(key) {
+  if (key === "settings") {
+    settings = loadSettings();
+    updateUI();
+  } else if (key === "punishments") {
+    punishments = loadPunishments();
+    updateUI();
+  } else {
+    loadData();
+  }
+}
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -534,7 +1391,18 @@ function saveNote() {
  * Load saved data when page first loads
  * This runs immediately when script loads
  */
-migrateOldData(); // One-time migration of old data structure
-loadData();
-updateTimer(); // Initialize timer display immediately
-setInterval(updateTimer, 1000); // Update timer every second
+populateSettingsOptions();
+populateOutcomeOptions();
+// Loading is asynchronous (IndexedDB) - the timer mustn't start a new day
+// before the stored one has been read
+loadData() // Also migrates older data (see storage.js)
+  .catch((error) => {
+    console.error("Error loading data:", error);
+    alert("Couldn't load your saved data");
+  })
+  .then(() => {
+    updateTimer(); // Initialize timer display immediately
+    setInterval(updateTimer, 1000); // Update timer every second
+    onStorageChange(handleStorageChange);
+    startSyncLoop(runSync);
+  });
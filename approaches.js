@@ -0,0 +1,127 @@
+// ============================================
+// APPROACH LOG
+// ============================================
+// Shared by index.html and notes.html. Requires settings.js.
+//
+// Each day stores its approaches as individual records:
+// dailyDataStore[date].approaches = [
+//   { id, timestamp, location, outcome, rating, note, sessionId }, ...
+// ]
+// sessionId links the approach to the session it was logged in, if any
+// (see sessions.js).
+// The day's approach count is derived from this list. Entries saved before
+// the log existed only have a bare approachCount number, which
+// getApproachCount() still understands until upgradeApproachLog() runs.
+
+/**
+ * Outcomes an approach can be tagged with, in order of how far it went
+ * value is what gets stored, label is what gets shown
+ */
+const APPROACH_OUTCOMES = [
+  { value: "blown-out", label: "Blown out" },
+  { value: "conversation", label: "Conversation" },
+  { value: "number", label: "Number" },
+  { value: "date", label: "Date" },
+];
+
+/**
+ * Create a new approach record
+ * Only id and timestamp are required - every other field is optional
+ * and left empty ("" / null) until the user fills it in.
+ * @param {object} details - Optional { location, outcome, rating, note,
+ *   sessionId }
+ * @returns {object} - Approach record ready to push into a day's list
+ */
+function createApproach(details = {}) {
+  const now = Date.now();
+  return {
+    id: now, // Unix timestamp ensures uniqueness, same as note ids
+    timestamp: now,
+    location: details.location ?? "",
+    outcome: details.outcome ?? "",
+    rating: details.rating ?? null,
+    note: details.note ?? "",
+    sessionId: details.sessionId ?? null,
+  };
+}
+
+/**
+ * Get how many approaches a day has
+ * @param {object} entry - dailyDataStore entry
+ * @returns {number} - Number of logged approaches
+ */
+function getApproachCount(entry) {
+  if (!entry) return 0;
+  if (Array.isArray(entry.approaches)) return entry.approaches.length;
+  return entry.approachCount || 0; // Pre-log entry
+}
+
+/**
+ * Check whether a day met its own goal
+ * @param {object} entry - dailyDataStore entry
+ * @returns {boolean} - True if the day's approaches reached its goal
+ */
+function isDayComplete(entry) {
+  return getApproachCount(entry) >= getDayGoal(entry);
+}
+
+/**
+ * Look up the display label for an outcome value
+ * @param {string} value - Stored outcome, e.g. "number"
+ * @returns {string} - Label, e.g. "Number" ("" when no outcome was set)
+ */
+function getOutcomeLabel(value) {
+  const outcome = APPROACH_OUTCOMES.find((o) => o.value === value);
+  return outcome ? outcome.label : "";
+}
+
+/**
+ * Format an approach's time for display, e.g. "3:04 PM"
+ * Uses the configured timezone so times line up with the day boundaries
+ * @param {number|null} timestamp - Unix timestamp in milliseconds
+ * @returns {string} - Time label ("Time unknown" for upgraded records)
+ */
+function formatApproachTime(timestamp) {
+  if (!timestamp) return "Time unknown";
+
+  const timeZone = loadSettings().timeZone;
+  return new Date(timestamp).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+    timeZone: timeZone || undefined,
+  });
+}
+
+/**
+ * Convert bare approachCount numbers into approach records
+ * The old counter never recorded when approaches happened, so each one
+ * becomes a record with a null timestamp.
+ * @param {object} dailyData - The full dailyDataStore (modified in place)
+ * @returns {boolean} - True if any entry was changed
+ */
+function upgradeApproachLog(dailyData) {
+  let changed = false;
+
+  Object.keys(dailyData).forEach((date) => {
+    const entry = dailyData[date];
+    if (Array.isArray(entry.approaches)) return;
+
+    const count = entry.approachCount || 0;
+    entry.approaches = [];
+    for (let i = 0; i < count; i++) {
+      entry.approaches.push({
+        id: `${date}-${i}`,
+        timestamp: null,
+        location: "",
+        outcome: "",
+        rating: null,
+        note: "",
+      });
+    }
+    delete entry.approachCount;
+    changed = true;
+  });
+
+  return changed;
+}
@@ -0,0 +1,100 @@
+// ============================================
+// LOCAL ATTACHMENTS (photos / videos)
+// ============================================
+// Media is far too big for localStorage, so files are kept in IndexedDB
+// and referenced from other records by id. Nothing ever leaves the device.
+// Requires storage.js.
+//
+// Object store "attachments" in the app's database (see storage.js):
+// { id, name, type, size, createdAt, blob }
+
+const ATTACHMENT_STORE = "attachments";
+
+/**
+ * Open the database holding attachments
+ * Daily data lives in the same database, so storage.js opens it for both
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAttachmentDb() {
+  return openDatabase().catch(() => {
+    throw new Error("This browser can't store attachments");
+  });
+}
+
+/**
+ * Run one request against the attachments store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} - The request's result
+ */
+function withAttachmentStore(mode, makeRequest) {
+  return openAttachmentDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const transaction = db.transaction(ATTACHMENT_STORE, mode);
+        const request = makeRequest(transaction.objectStore(ATTACHMENT_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      })
+  );
+}
+
+/**
+ * Store a file picked by the user
+ * @param {File} file - Photo or video from an <input type="file">
+ * @returns {Promise<number>} - Id of the stored attachment
+ */
+function saveAttachment(file) {
+  const id = Date.now();
+  return withAttachmentStore("readwrite", (store) =>
+    store.put({
+      id: id,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      createdAt: id,
+      blob: file,
+    })
+  ).then(() => id);
+}
+
+/**
+ * Load a stored attachment
+ * @param {number} id - Attachment id
+ * @returns {Promise<object|undefined>} - Attachment record with its blob
+ */
+function getAttachment(id) {
+  return withAttachmentStore("readonly", (store) => store.get(id));
+}
+
+/**
+ * Delete a stored attachment
+ * @param {number} id - Attachment id
+ * @returns {Promise<void>}
+ */
+function deleteAttachment(id) {
+  return withAttachmentStore("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Open a stored attachment in a new tab
+ * @param {number} id - Attachment id
+ */
+function openAttachment(id) {
+  getAttachment(id)
+    .then((attachment) => {
+      if (!attachment) {
+        alert("That file is no longer stored on this device");
+        return;
+      }
+      const url = URL.createObjectURL(attachment.blob);
+      window.open(url, "_blank");
+      // Give the new tab time to load before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    })
+    .catch((error) => {
+      console.error("Error opening attachment:", error);
+      alert("Couldn't open that file");
+    });
+}
@@ -0,0 +1,143 @@
+// ============================================
+// PAST-DAY EDITS & AUDIT TRAIL
+// ============================================
+// Backfilling and correcting days other than today from notes.html.
+// Requires settings.js, days.js, approaches.js, notebook.js and
+// exemptions.js.
+//
+// Every change to a past day is written down in that day's audit trail:
+// dailyDataStore[date].edits = [
+//   { id, at, changes: ["Added 3 approaches (7 → 10)", ...] }, ...
+// ]
+// at: Unix timestamp in milliseconds of when the edit was made
+// Edits are records like notes, so storage.js merges them across tabs by id.
+//
+// Streaks are derived from the data (see streak.js), so they follow the
+// edit on their own. Punishments aren't: a day that was already judged
+// keeps its punishment unless the user chooses to cancel it, and a judged
+// day that drops below its goal gets one (noted in its audit trail).
+
+/**
+ * Work out when a backfilled approach happened
+ * The time is read on the day's own calendar date first, then on the next
+ * morning (for deadlines past midnight), and must land inside that day.
+ * @param {string} date - Day key the approach belongs to
+ * @param {string} time - "HH:MM" from <input type="time">, or "" if unknown
+ * @param {object} settings - Settings with deadlineHour and timeZone
+ * @returns {number|null} - Unix timestamp in milliseconds, null for an
+ *   unknown time
+ * @throws {Error} - If the time falls outside the day
+ */
+function getBackfillTimestamp(date, time, settings = loadSettings()) {
+  if (!time) return null;
+
+  const [hours, minutes] = time.split(":").map(Number);
+  const { year, month, day } = parseDayKey(date);
+
+  for (const offset of [0, 24 * 60]) {
+    const timestamp = wallClockToTimestamp(
+      year,
+      month,
+      day,
+      hours * 60 + minutes + offset,
+      settings.timeZone
+    );
+    if (getDayKey(timestamp, settings) === date) return timestamp;
+  }
+
+  throw new Error(
+    `${time} isn't part of that day - days end at ${formatDeadlineHour(
+      settings.deadlineHour
+    )}`
+  );
+}
+
+/**
+ * Create approach records for a past day
+ * Ids are strings, so they can't collide with ids taken from Date.now()
+ * @param {number} count - How many to create
+ * @param {number|null} timestamp - When they happened (null if unknown)
+ * @returns {Array} - Approach records
+ */
+function createBackfilledApproaches(count, timestamp) {
+  const now = Date.now();
+  const approaches = [];
+  for (let i = 0; i < count; i++) {
+    approaches.push({
+      ...createApproach(),
+      id: `backfill-${now}-${i}`,
+      timestamp: timestamp,
+    });
+  }
+  return approaches;
+}
+
+/**
+ * Add approaches to a past day's entry
+ * @param {object} entry - dailyDataStore entry (modified in place)
+ * @param {number} count - How many approaches
+ * @param {number|null} timestamp - When they happened (null if unknown)
+ * @returns {string} - What changed, for the audit trail
+ */
+function addBackfilledApproaches(entry, count, timestamp) {
+  const before = getApproachCount(entry);
+  entry.approaches.push(...createBackfilledApproaches(count, timestamp));
+  entry.approaches.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  return `Added ${count} ${count === 1 ? "approach" : "approaches"}${
+    timestamp ? ` at ${formatApproachTime(timestamp)}` : ""
+  } ${describeCountChange(before, getApproachCount(entry))}`;
+}
+
+/**
+ * Add a note to a past day's entry
+ * Its time shows when it was added, since that's all that's known.
+ * @returns {string} - What changed, for the audit trail
+ */
+function addBackfilledNote(entry, text) {
+  entry.notes = entry.notes || [];
+  entry.notes.push({
+    ...createNote(text),
+    timestamp: `Added ${formatEditTime(Date.now())}`,
+  });
+  return `Added a note: ${quoteForAudit(text)}`;
+}
+
+/**
+ * Add an edit to a day's audit trail
+ * @param {object} entry - dailyDataStore entry (modified in place)
+ * @param {Array} changes - What changed, as short sentences
+ */
+function recordDayEdit(entry, changes) {
+  const now = Date.now();
+  entry.edits = entry.edits || [];
+  entry.edits.push({ id: now, at: now, changes: changes });
+}
+
+/**
+ * Summarize how an approach count changed, e.g. "(7 → 10)"
+ */
+function describeCountChange(before, after) {
+  return `(${before} → ${after})`;
+}
+
+/**
+ * Shorten note text for the audit trail
+ */
+function quoteForAudit(text) {
+  const line = String(text).split("\n")[0];
+  return `"${line.length > 40 ? `${line.slice(0, 40)}…` : line}"`;
+}
+
+/**
+ * Format when an edit was made, e.g. "Dec 18, 9:15 AM"
+ */
+function formatEditTime(timestamp) {
+  return new Date(timestamp).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+}
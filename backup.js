@@ -0,0 +1,212 @@
+// ============================================
+// JSON BACKUP - EXPORT & IMPORT
+// ============================================
+// Requires settings.js, approaches.js, storage.js, exemptions.js, streak.js
+// and punishments.js.
+//
+// A backup is one JSON file holding everything this device knows:
+// {
+//   app: "10ordie", version: 1, exportedAt,
+//   dailyDataStore, settings, punishments,
+//   streak: { current, longest }   // informational, recalculated on import
+//   groupFile: true                // only in files made for the group (see
+//                                  // group.js), which can't be restored
+// }
+// Bump BACKUP_VERSION whenever the shape changes, and teach
+// parseBackup() to read the older versions.
+
+const BACKUP_APP_ID = "10ordie";
+const BACKUP_VERSION = 1;
+
+/**
+ * Build a backup object from the current data
+ * @param {object} dailyData - dailyDataStore
+ * @param {object} settings - Settings object
+ * @param {Array} punishments - Punishment ledger
+ * @returns {object} - Backup, ready for JSON.stringify
+ */
+function buildBackup(dailyData, settings, punishments) {
+  const streaks = calculateStreaks(dailyData);
+  return {
+    app: BACKUP_APP_ID,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    dailyDataStore: dailyData,
+    settings: settings,
+    punishments: punishments,
+    streak: { current: streaks.current, longest: streaks.longest },
+  };
+}
+
+/**
+ * Parse and validate the text of a backup file
+ * Throws an Error with a user-facing message if anything is off, so
+ * nothing half-valid is ever written to storage.
+ * @param {string} text - File contents
+ * @returns {object} - { dailyDataStore, settings, punishments, groupFile }
+ */
+function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error("This file isn't valid JSON");
+  }
+
+  if (!backup || backup.app !== BACKUP_APP_ID) {
+    throw new Error("This file isn't a 10 or DIE backup");
+  }
+  if (typeof backup.version !== "number" || backup.version > BACKUP_VERSION) {
+    throw new Error(
+      "This backup was made by a newer version of the app - update first"
+    );
+  }
+
+  const dailyData = backup.dailyDataStore;
+  if (!dailyData || typeof dailyData !== "object" || Array.isArray(dailyData)) {
+    throw new Error("The backup has no daily data");
+  }
+
+  Object.keys(dailyData).forEach((date) => {
+    const entry = dailyData[date];
+    const problem = getEntryProblem(date, entry);
+    if (problem) {
+      throw new Error(`The backup has ${problem}`);
+    }
+    entry.date = date;
+    entry.notes = entry.notes || [];
+  });
+
+  // Backups from before the approach log only carry bare counts
+  upgradeApproachLog(dailyData);
+
+  const punishments = Array.isArray(backup.punishments)
+    ? backup.punishments
+    : [];
+  punishments.forEach((punishment) => {
+    const problem = getPunishmentProblem(punishment);
+    if (problem) {
+      throw new Error(`The backup has ${problem}`);
+    }
+  });
+  const settings =
+    backup.settings && typeof backup.settings === "object"
+      ? normalizeSettings(backup.settings)
+      : null;
+
+  return {
+    dailyDataStore: dailyData,
+    settings,
+    punishments,
+    groupFile: backup.groupFile === true,
+  };
+}
+
+/**
+ * Check a punishment record from a backup before it's imported
+ * Like getEntryProblem() for days: every field the ledger shows or links
+ * to is checked, since imported records are rendered like local ones.
+ * @param {*} punishment - Punishment record from the file
+ * @returns {string|null} - What's wrong with it, or null if it's usable
+ */
+function getPunishmentProblem(punishment) {
+  if (!punishment || typeof punishment !== "object") {
+    return "an invalid punishment";
+  }
+  const isDayKey = (value) =>
+    typeof value === "string" && !isNaN(new Date(value).getTime());
+  if (!isRecordId(punishment.id) || !isDayKey(punishment.day)) {
+    return "a punishment without a valid id or day";
+  }
+
+  const day = punishment.day;
+  const reason = punishment.reason;
+  const isValidReason =
+    reason === null ||
+    reason === undefined ||
+    (typeof reason === "object" &&
+      ["approaches", "goal", "consecutiveFailures", "multiplier"].every(
+        (field) => Number.isFinite(reason[field])
+      ));
+  const isValidItem = (item) =>
+    Boolean(item) &&
+    typeof item === "object" &&
+    isRecordId(item.id) &&
+    typeof item.text === "string" &&
+    typeof item.done === "boolean" &&
+    isOptionalTime(item.doneAt) &&
+    (item.attachmentId === null ||
+      item.attachmentId === undefined ||
+      isRecordId(item.attachmentId));
+
+  if (
+    !isDayKey(punishment.dueDay) ||
+    !Number.isFinite(punishment.createdAt) ||
+    !isOptionalTime(punishment.closedAt)
+  ) {
+    return `invalid dates on the punishment for ${day}`;
+  }
+  if (!isValidReason) {
+    return `an invalid reason on the punishment for ${day}`;
+  }
+  if (
+    !Array.isArray(punishment.items) ||
+    !punishment.items.every(isValidItem)
+  ) {
+    return `invalid items on the punishment for ${day}`;
+  }
+  return null;
+}
+
+/**
+ * Merge backup daily data into local daily data
+ * Days only on one side are kept as-is. When both sides have the same day
+ * its approaches, sessions, notes and edits are combined and de-duplicated
+ * by id (so re-importing your own backup never doubles anything), and the
+ * local goal wins.
+ * @param {object} local - This device's dailyDataStore
+ * @param {object} incoming - dailyDataStore from the backup
+ * @returns {object} - New merged dailyDataStore
+ */
+function mergeDailyData(local, incoming) {
+  const merged = { ...local };
+
+  Object.keys(incoming).forEach((date) => {
+    const theirs = incoming[date];
+    const ours = merged[date];
+
+    if (!ours) {
+      merged[date] = theirs;
+      return;
+    }
+
+    const approaches = mergeById(ours.approaches || [], theirs.approaches);
+    approaches.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    merged[date] = {
+      ...theirs,
+      ...ours,
+      approaches: approaches,
+      sessions: mergeById(ours.sessions || [], theirs.sessions || []),
+      notes: mergeById(ours.notes || [], theirs.notes),
+      edits: mergeById(ours.edits || [], theirs.edits || []),
+    };
+  });
+
+  return merged;
+}
+
+/**
+ * Merge backup punishments into the local ledger
+ * There's one punishment per failed day, so the local record wins when
+ * both sides have one for the same day
+ * @param {Array} local - This device's punishments
+ * @param {Array} incoming - Punishments from the backup
+ * @returns {Array} - Merged ledger, oldest failed day first
+ */
+function mergePunishments(local, incoming) {
+  const days = new Set(local.map((p) => p.day));
+  return [...local, ...incoming.filter((p) => !days.has(p.day))].sort(
+    (a, b) => new Date(a.day) - new Date(b.day)
+  );
+}
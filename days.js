@@ -0,0 +1,192 @@
+// ============================================
+// DAY BOUNDARY MODEL
+// ============================================
+// One definition of "which day does this moment belong to", shared by
+// index.html and notes.html. Requires settings.js to be loaded first.
+//
+// A day ends at its deadline (settings.deadlineHour, measured in hours
+// from that day's midnight, so 26 means 2 AM the following morning).
+// Everything after one deadline and up to the next belongs to the next day.
+// Wall-clock times are read in settings.timeZone, or the device timezone
+// when it's empty.
+//
+// Day keys keep the existing toDateString() format ("Mon Dec 16 2024")
+// so dailyDataStore entries recorded before this model still line up.
+
+/**
+ * Read the wall-clock date and time of a moment in a timezone
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} timeZone - IANA timezone name, or "" for the device timezone
+ * @returns {object} - { year, month (0-11), day, hour, minute }
+ */
+function getWallClock(timestamp, timeZone) {
+  const date = new Date(timestamp);
+
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth(),
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+    };
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone back to a timestamp
+ * Minutes may overflow past midnight (e.g. 26 * 60 for 2 AM next day).
+ * @returns {number} - Unix timestamp in milliseconds
+ */
+function wallClockToTimestamp(year, month, day, minutes, timeZone) {
+  if (!timeZone) {
+    // The Date constructor handles overflow and local DST on its own
+    return new Date(year, month, day, 0, minutes).getTime();
+  }
+
+  // Start by pretending the zone is UTC, then correct by the zone offset.
+  // A second pass settles the answer when the first guess crossed a DST change.
+  const target = Date.UTC(year, month, day, 0, minutes);
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const wall = getWallClock(guess, timeZone);
+    const wallAsUtc = Date.UTC(
+      wall.year,
+      wall.month,
+      wall.day,
+      wall.hour,
+      wall.minute
+    );
+    guess += target - wallAsUtc;
+  }
+  return guess;
+}
+
+/**
+ * Build a day key from calendar parts
+ * Example: (2024, 11, 16) -> "Mon Dec 16 2024"
+ */
+function formatDayKey(year, month, day) {
+  return new Date(year, month, day).toDateString();
+}
+
+/**
+ * Split a day key back into calendar parts
+ * @param {string} dayKey - Date in format "Mon Dec 16 2024"
+ * @returns {object} - { year, month (0-11), day }
+ */
+function parseDayKey(dayKey) {
+  const date = new Date(dayKey);
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth(),
+    day: date.getDate(),
+  };
+}
+
+/**
+ * Convert a day key to an ISO date, e.g. "Mon Dec 16 2024" -> "2024-12-16"
+ * Sorts correctly as plain text and is what spreadsheets and
+ * <input type="date"> expect
+ */
+function toIsoDate(dayKey) {
+  const { year, month, day } = parseDayKey(dayKey);
+  return [
+    year,
+    String(month + 1).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * Move a day key forwards or backwards by whole days
+ * @param {string} dayKey - Date in format "Mon Dec 16 2024"
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - Shifted day key
+ */
+function shiftDayKey(dayKey, days) {
+  const { year, month, day } = parseDayKey(dayKey);
+  return formatDayKey(year, month, day + days);
+}
+
+/**
+ * Get the day a moment counts toward
+ * Shifting the wall clock by (24h - deadline) maps each deadline onto
+ * midnight, so the calendar date of the shifted time is the day key.
+ * @param {number} timestamp - Unix timestamp in milliseconds (default: now)
+ * @param {object} settings - Settings with deadlineHour and timeZone
+ * @returns {string} - Day key, e.g. "Mon Dec 16 2024"
+ */
+function getDayKey(timestamp = Date.now(), settings = loadSettings()) {
+  const wall = getWallClock(timestamp, settings.timeZone);
+  const shifted = new Date(
+    Date.UTC(
+      wall.year,
+      wall.month,
+      wall.day,
+      wall.hour,
+      wall.minute + (24 - settings.deadlineHour) * 60
+    )
+  );
+  return formatDayKey(
+    shifted.getUTCFullYear(),
+    shifted.getUTCMonth(),
+    shifted.getUTCDate()
+  );
+}
+
+/**
+ * Get the deadline of a day
+ * @param {string} dayKey - Date in format "Mon Dec 16 2024"
+ * @param {object} settings - Settings with deadlineHour and timeZone
+ * @returns {number} - Unix timestamp in milliseconds
+ */
+function getDeadline(dayKey, settings = loadSettings()) {
+  const { year, month, day } = parseDayKey(dayKey);
+  return wallClockToTimestamp(
+    year,
+    month,
+    day,
+    settings.deadlineHour * 60,
+    settings.timeZone
+  );
+}
+
+/**
+ * Format a deadline hour for display
+ * Examples: 20 -> "8 PM", 24 -> "midnight", 26 -> "2 AM (next day)"
+ * @param {number} hour - Hours after the day's midnight
+ * @returns {string} - Human-readable label
+ */
+function formatDeadlineHour(hour) {
+  if (hour === 24) return "midnight";
+  if (hour === 12) return "noon";
+
+  const hourOfDay = hour % 24;
+  const hour12 = hourOfDay % 12 === 0 ? 12 : hourOfDay % 12;
+  const label = `${hour12} ${hourOfDay < 12 ? "AM" : "PM"}`;
+  return hour > 24 ? `${label} (next day)` : label;
+}
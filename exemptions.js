@@ -0,0 +1,175 @@
+// ============================================
+// EXEMPT DAYS - REST DAYS, TIME OFF & FREEZES
+// ============================================
+// Shared by index.html and notes.html. Requires settings.js and days.js.
+//
+// An exempt day that misses its goal doesn't break the streak and doesn't
+// earn a punishment. Exemptions come from settings.exemptions:
+//   restDays: weekdays off every week, 0 = Sunday ... 6 = Saturday
+//   ranges: [{ start, end, reason, label }] scheduled time off, start/end
+//     as "YYYY-MM-DD" (inclusive), reason "vacation" | "sick" | "other"
+//   freezesPerMonth: missed days per calendar month that are forgiven
+//     automatically, 0 = none
+//
+// Like the goal, a day's exemption is stored on its own entry:
+// dailyDataStore[date].exempt = { type, label } or null
+// type: "rest" | "vacation" | "sick" | "other" | "freeze"
+// Scheduled exemptions are stamped when the day is created and a freeze
+// when a missed day is judged, so changing the schedule later never
+// re-judges past days. Days with no entry at all (the app wasn't opened)
+// follow the current schedule, then use up any freezes left that month.
+
+const EXEMPTION_LABELS = {
+  rest: "Rest day",
+  vacation: "Vacation",
+  sick: "Sick day",
+  other: "Time off",
+  freeze: "Streak freeze",
+};
+
+const TIME_OFF_REASONS = ["vacation", "sick", "other"];
+
+const WEEKDAY_SHORT_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Work out whether the schedule in settings exempts a day
+ * Time off wins over a rest day, since it carries the reason
+ * @param {string} day - Day key
+ * @param {object} settings - Settings with exemptions
+ * @returns {object|null} - { type, label } or null for a normal day
+ */
+function getScheduledExemption(day, settings = loadSettings()) {
+  const { restDays, ranges } = settings.exemptions;
+  const isoDate = toIsoDate(day);
+
+  const range = ranges.find((r) => r.start <= isoDate && isoDate <= r.end);
+  if (range) return { type: range.reason, label: range.label };
+
+  if (restDays.includes(new Date(day).getDay())) {
+    return { type: "rest", label: "" };
+  }
+  return null;
+}
+
+/**
+ * Work out every day's exemption from the first entry up to today
+ * Missing days are filled in from the schedule, then from the freezes
+ * left in their month (oldest first)
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} today - Today's day key (default: from days.js)
+ * @param {object} settings - Settings with exemptions
+ * @returns {object} - { [dayKey]: { type, label } } for exempt days only
+ */
+function mapExemptions(
+  dailyData,
+  today = getDayKey(),
+  settings = loadSettings()
+) {
+  const todayTime = new Date(today).getTime();
+  const dates = Object.keys(dailyData).filter(
+    (date) => new Date(date).getTime() <= todayTime
+  );
+
+  const exemptions = {};
+  if (dates.length === 0) return exemptions;
+
+  const earliest = dates.reduce((a, b) => (new Date(a) <= new Date(b) ? a : b));
+  const freezesUsed = {};
+
+  for (
+    let day = earliest;
+    new Date(day).getTime() <= todayTime;
+    day = shiftDayKey(day, 1)
+  ) {
+    const month = toIsoDate(day).slice(0, 7);
+    freezesUsed[month] = freezesUsed[month] || 0;
+
+    let exemption = null;
+    if (dailyData[day]) {
+      exemption = dailyData[day].exempt || null;
+    } else if (day !== today) {
+      exemption = getScheduledExemption(day, settings);
+      if (
+        !exemption &&
+        freezesUsed[month] < settings.exemptions.freezesPerMonth
+      ) {
+        exemption = { type: "freeze", label: "" };
+      }
+    }
+
+    if (exemption?.type === "freeze") freezesUsed[month]++;
+    if (exemption) exemptions[day] = exemption;
+  }
+
+  return exemptions;
+}
+
+/**
+ * Count how many freezes are left in a day's month
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} day - Day key
+ * @param {object} settings - Settings with exemptions
+ * @returns {number} - Freezes not yet used that month
+ */
+function getFreezesLeft(dailyData, day, settings = loadSettings()) {
+  const month = toIsoDate(day).slice(0, 7);
+  const exemptions = mapExemptions(dailyData, day, settings);
+  const used = Object.keys(exemptions).filter(
+    (date) =>
+      exemptions[date].type === "freeze" &&
+      toIsoDate(date).slice(0, 7) === month
+  ).length;
+
+  return Math.max(0, settings.exemptions.freezesPerMonth - used);
+}
+
+/**
+ * Spend a freeze on a missed day, if the month has one left
+ * Called when the day is judged, before any punishment is created
+ * @param {object} dailyData - dailyDataStore (the day's entry is modified)
+ * @param {string} day - Day key of the missed day
+ * @param {object} settings - Settings with exemptions
+ * @returns {boolean} - True if the day is now frozen
+ */
+function useStreakFreeze(dailyData, day, settings = loadSettings()) {
+  if (getFreezesLeft(dailyData, day, settings) === 0) return false;
+  dailyData[day].exempt = { type: "freeze", label: "" };
+  return true;
+}
+
+/**
+ * Build a new entry for a day that doesn't have one yet
+ * Today gets its scheduled exemption; a past day keeps whatever exemption
+ * it already had while missing (its scheduled one, or a freeze), so
+ * logging it doesn't change how it's judged. The entry isn't stored.
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} date - Day key
+ * @param {object} settings - Settings (the new day gets today's goal)
+ * @returns {object} - dailyDataStore entry
+ */
+function createDayEntry(dailyData, date, settings = loadSettings()) {
+  const today = getDayKey(Date.now(), settings);
+  const exemption =
+    date === today
+      ? getScheduledExemption(date, settings)
+      : mapExemptions(dailyData, today, settings)[date];
+  return {
+    date: date,
+    approaches: [],
+    goal: settings.dailyGoal,
+    notes: [],
+    sessions: [],
+    exempt: exemption || null,
+  };
+}
+
+/**
+ * Describe an exemption, e.g. "Vacation · Lisbon" or "Rest day"
+ * @param {object|null} exemption - { type, label }
+ * @returns {string} - "" for a normal day
+ */
+function describeExemption(exemption) {
+  if (!exemption) return "";
+  const name = EXEMPTION_LABELS[exemption.type] || EXEMPTION_LABELS.other;
+  return exemption.label ? `${name} · ${exemption.label}` : name;
+}
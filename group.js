@@ -0,0 +1,448 @@
+// ============================================
+// GROUP MODE - LEADERBOARD & CHALLENGES
+// ============================================
+// For crews running the challenge together, each on their own phone.
+// Used by notes.html. Requires settings.js, days.js, approaches.js,
+// storage.js, sync.js, exemptions.js, streak.js, backup.js and
+// analytics.js.
+//
+// Everyone else's data gets here one of two ways:
+//   - their exported files (a full backup, or the smaller group file from
+//     buildGroupFile(), which leaves out notes), imported on this device
+//   - the sync server (server/sync-server.js), where every user id other
+//     than this device's own is a member
+// Members are kept in localStorage "groupMembers":
+// { [memberId]: { name, source: "file" | "server", exemptions, dailyData,
+//   updatedAt } }
+// Their daily data is cut down to what the stats need (goal, exemption and
+// approach count per day), so nobody's notes are ever stored here. Stats
+// are worked out with the same functions as this device's own (streak.js,
+// analytics.js).
+//
+// Challenges live in settings.group.challenges:
+// { id, title, target, unit, scope, start, days }
+//   unit: "approaches" | "days" (completed days)
+//   scope: "together" (the group's total counts) | "each" (everyone has to
+//     reach the target)
+//   start: "YYYY-MM-DD", days: how long it runs
+// They travel in exported files, and importing a member's file adds any
+// challenges they made - that's how a challenge is shared.
+
+const GROUP_MEMBERS_KEY = "groupMembers";
+
+const GROUP_PERIODS = {
+  week: "This week",
+  month: "This month",
+};
+
+const GROUP_RANKINGS = {
+  streak: "Current streak",
+  rate: "Completion rate",
+  approaches: "Approaches",
+};
+
+const CHALLENGE_UNITS = {
+  approaches: "approaches",
+  days: "completed days",
+};
+
+const CHALLENGE_SCOPES = {
+  together: "Together",
+  each: "Each",
+};
+
+/**
+ * Load the group's members
+ * Member ids are names from other people's files, so the lookup has no
+ * prototype - a member called "__proto__" is just another member
+ * @returns {object} - { [memberId]: member }
+ */
+function loadGroupMembers() {
+  const members = Object.create(null);
+  try {
+    const stored = JSON.parse(localStorage.getItem(GROUP_MEMBERS_KEY));
+    if (stored && typeof stored === "object") {
+      Object.keys(stored).forEach((id) => {
+        members[id] = stored[id];
+      });
+    }
+  } catch (error) {
+    console.error("Error loading group members:", error);
+  }
+  return members;
+}
+
+function saveGroupMembers(members) {
+  localStorage.setItem(GROUP_MEMBERS_KEY, JSON.stringify(members));
+}
+
+/**
+ * Members are matched by name, so a newer file from the same person (or
+ * the same person on the server) replaces the old one
+ */
+function getMemberId(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Cut daily data down to what the group stats need
+ * Approaches are kept as a bare count - the same shape as entries from
+ * before the approach log, which getApproachCount() still reads
+ * @param {object} dailyData - A dailyDataStore
+ * @returns {object} - { [date]: { date, goal, exempt, approachCount } }
+ */
+function summarizeForGroup(dailyData) {
+  const summary = {};
+  Object.keys(dailyData).forEach((date) => {
+    const entry = dailyData[date];
+    summary[date] = {
+      date: date,
+      goal: getDayGoal(entry),
+      exempt: entry.exempt || null,
+      approachCount: getApproachCount(entry),
+    };
+  });
+  return summary;
+}
+
+/**
+ * Add or replace a member
+ * @param {object} members - From loadGroupMembers() (modified in place)
+ * @param {object} details - { name, source, dailyData, exemptions }
+ * @returns {string} - The member's id
+ */
+function setGroupMember(members, details) {
+  const id = getMemberId(details.name);
+  members[id] = {
+    name: details.name.trim(),
+    source: details.source,
+    exemptions: details.exemptions || DEFAULT_EXEMPTIONS,
+    dailyData: summarizeForGroup(details.dailyData),
+    updatedAt: Date.now(),
+  };
+  return id;
+}
+
+/**
+ * Build the file to send to the group
+ * A backup (see backup.js) with only the group's share of the data: day
+ * totals, exempt days, the leaderboard name and challenges - no notes,
+ * approach details or punishments
+ * @param {object} dailyData - dailyDataStore
+ * @param {object} settings - Settings object
+ * @returns {object} - Backup, ready for JSON.stringify
+ */
+function buildGroupFile(dailyData, settings) {
+  const days = summarizeForGroup(dailyData);
+  Object.values(days).forEach((entry) => {
+    entry.notes = [];
+  });
+  const backup = buildBackup(
+    days,
+    { exemptions: settings.exemptions, group: settings.group },
+    []
+  );
+  backup.groupFile = true;
+  return backup;
+}
+
+/**
+ * Read a member's exported file (a full backup or a group file)
+ * Throws an Error with a user-facing message if the file isn't usable
+ * @param {string} text - File contents
+ * @returns {object} - { name ("" if the file doesn't say), dailyData,
+ *   exemptions, challenges }
+ */
+function readMemberFile(text) {
+  const backup = parseBackup(text);
+  const settings = backup.settings || DEFAULT_SETTINGS;
+  const group = { ...DEFAULT_GROUP, ...settings.group };
+
+  return {
+    name: String(group.name || "").trim(),
+    dailyData: backup.dailyDataStore,
+    exemptions: normalizeExemptions({
+      ...DEFAULT_EXEMPTIONS,
+      ...settings.exemptions,
+    }),
+    challenges: Array.isArray(group.challenges) ? group.challenges : [],
+  };
+}
+
+/**
+ * Fetch every other user's data from the sync server
+ * Exempt days come from the entries themselves - settings aren't synced,
+ * so days a member never opened the app count as misses
+ * @param {object} config - Sync settings (see sync.js)
+ * @returns {Promise<Array>} - [{ name, dailyData }]
+ */
+function fetchServerMembers(config = loadSyncConfig()) {
+  return callSyncServer("/api/users", null, config).then((result) =>
+    Promise.all(
+      result.users
+        .filter((userId) => userId !== config.userId)
+        .map((userId) =>
+          callSyncServer(
+            `/api/users/${encodeURIComponent(userId)}/records?since=0`,
+            null,
+            config
+          ).then((userResult) => {
+            const dailyData = {};
+            userResult.records.forEach((record) =>
+              applySyncRecord(dailyData, record)
+            );
+            return { name: userId, dailyData: dailyData };
+          })
+        )
+    )
+  );
+}
+
+// ============================================
+// LEADERBOARD
+// ============================================
+
+/**
+ * List the day keys of the current week (from Sunday, like the weekly
+ * chart) or calendar month, up to today
+ * @param {string} period - "week" | "month"
+ * @param {string} today - Today's day key
+ * @returns {Array} - Day keys, oldest first
+ */
+function getPeriodDays(period, today) {
+  const { year, month } = parseDayKey(today);
+  const first =
+    period === "month"
+      ? formatDayKey(year, month, 1)
+      : shiftDayKey(today, -new Date(today).getDay());
+
+  const days = [];
+  for (let day = first; day !== today; day = shiftDayKey(day, 1)) {
+    days.push(day);
+  }
+  days.push(today);
+  return days;
+}
+
+/**
+ * Work out one member's leaderboard stats
+ * The completion rate is over the same judged days as the stats view (see
+ * getJudgedDays() in analytics.js), cut down to the period
+ * @param {object} dailyData - The member's daily data
+ * @param {object} exemptions - The member's settings.exemptions
+ * @param {string} period - "week" | "month"
+ * @param {string} today - Today's day key
+ * @returns {object} - { streak, rate (null with no days to judge),
+ *   completed, judged, approaches }
+ */
+function computeMemberStats(dailyData, exemptions, period, today) {
+  const settings = { ...DEFAULT_SETTINGS, exemptions: exemptions };
+  const judgedDays = new Set(getJudgedDays(dailyData, today, settings));
+  const days = getPeriodDays(period, today);
+
+  const judged = days.filter((day) => judgedDays.has(day));
+  const completed = judged.filter((day) => isDayComplete(dailyData[day]));
+
+  return {
+    streak: calculateStreaks(dailyData, today, settings).current,
+    rate: judged.length ? completed.length / judged.length : null,
+    completed: completed.length,
+    judged: judged.length,
+    approaches: summarizeDays(dailyData, days).approaches,
+  };
+}
+
+/**
+ * Rank everyone in the group
+ * Ties on the chosen stat are broken by the other two; people level on
+ * all three share a rank
+ * @param {Array} players - [{ id, name, dailyData, exemptions, ... }]
+ * @param {string} period - "week" | "month"
+ * @param {string} rankBy - "streak" | "rate" | "approaches"
+ * @param {string} today - Today's day key (default: from days.js)
+ * @returns {Array} - Players with { stats, rank }, best first
+ */
+function buildLeaderboard(players, period, rankBy, today = getDayKey()) {
+  const order = [
+    rankBy,
+    ...Object.keys(GROUP_RANKINGS).filter((key) => key !== rankBy),
+  ];
+  const value = (row, key) => row.stats[key] ?? -1; // No rate goes last
+  const compare = (a, b) => {
+    for (const key of order) {
+      if (value(a, key) !== value(b, key)) return value(b, key) - value(a, key);
+    }
+    return 0;
+  };
+
+  const rows = players
+    .map((player) => ({
+      ...player,
+      stats: computeMemberStats(
+        player.dailyData,
+        player.exemptions,
+        period,
+        today
+      ),
+    }))
+    .sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+
+  rows.forEach((row, index) => {
+    const previous = rows[index - 1];
+    row.rank =
+      previous && compare(previous, row) === 0 ? previous.rank : index + 1;
+  });
+  return rows;
+}
+
+// ============================================
+// CHALLENGES
+// ============================================
+
+/**
+ * Clean up a challenge entered in the form (or read from a file)
+ * Throws an Error with a user-facing message if it can't be used
+ * @param {object} raw - { id, title, target, unit, scope, start, days }
+ * @returns {object} - Challenge safe to save
+ */
+function normalizeChallenge(raw) {
+  const target = parseInt(raw.target, 10);
+  const days = parseInt(raw.days, 10);
+  if (!(target > 0)) {
+    throw new Error("The target has to be at least 1");
+  }
+  if (!(days > 0)) {
+    throw new Error("A challenge has to last at least 1 day");
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw.start) || isNaN(new Date(raw.start))) {
+    throw new Error("Pick the day the challenge starts");
+  }
+
+  // Ids end up in the page's markup, and can come from a friend's file
+  const id = String(raw.id || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, "")
+    .slice(0, 40);
+  const unit = CHALLENGE_UNITS[raw.unit] ? raw.unit : "approaches";
+  const challenge = {
+    id:
+      id ||
+      `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    title: String(raw.title || "")
+      .trim()
+      .slice(0, 60),
+    target: Math.min(100000, target),
+    unit: unit,
+    scope: CHALLENGE_SCOPES[raw.scope] ? raw.scope : "together",
+    start: raw.start,
+    days: Math.min(366, days),
+  };
+  if (!challenge.title) {
+    challenge.title = `${challenge.target} ${CHALLENGE_UNITS[unit]} in ${challenge.days} days`;
+  }
+  return challenge;
+}
+
+/**
+ * Add a member's challenges to this device's
+ * Challenges already here are kept as they are; unusable ones are skipped
+ * @param {Array} local - settings.group.challenges
+ * @param {Array} incoming - Challenges from a member's file
+ * @returns {Array} - Merged challenges
+ */
+function mergeChallenges(local, incoming) {
+  const ids = new Set(local.map((challenge) => challenge.id));
+  const added = [];
+  incoming.forEach((raw) => {
+    try {
+      const challenge = normalizeChallenge(raw);
+      if (!ids.has(challenge.id)) {
+        ids.add(challenge.id);
+        added.push(challenge);
+      }
+    } catch (error) {
+      console.error("Skipping challenge:", error.message);
+    }
+  });
+  return [...local, ...added];
+}
+
+/**
+ * Work out how a challenge is going
+ * @param {object} challenge - From normalizeChallenge()
+ * @param {Array} players - [{ id, name, dailyData, ... }]
+ * @param {string} today - Today's day key (default: from days.js)
+ * @returns {object} - { start, end (day keys), status ("upcoming" |
+ *   "active" | "finished"), daysLeft, total, members: [{ id, name,
+ *   value }] (best first), reached }
+ */
+function getChallengeProgress(challenge, players, today = getDayKey()) {
+  const [year, month, day] = challenge.start.split("-").map(Number);
+  const start = formatDayKey(year, month - 1, day);
+  const end = shiftDayKey(start, challenge.days - 1);
+  const todayTime = new Date(today).getTime();
+
+  let status = "active";
+  if (todayTime < new Date(start).getTime()) status = "upcoming";
+  else if (todayTime > new Date(end).getTime()) status = "finished";
+
+  const days = [];
+  const last = status === "finished" ? end : today;
+  if (status !== "upcoming") {
+    for (let d = start; d !== last; d = shiftDayKey(d, 1)) days.push(d);
+    days.push(last);
+  }
+
+  const members = players
+    .map((player) => {
+      const summary = summarizeDays(player.dailyData, days);
+      return {
+        id: player.id,
+        name: player.name,
+        value:
+          challenge.unit === "days" ? summary.completed : summary.approaches,
+      };
+    })
+    .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+  const total = members.reduce((sum, member) => sum + member.value, 0);
+
+  return {
+    start: start,
+    end: end,
+    status: status,
+    daysLeft:
+      status === "upcoming"
+        ? challenge.days
+        : status === "active"
+        ? challenge.days - days.length + 1
+        : 0,
+    total: total,
+    members: members,
+    reached:
+      challenge.scope === "each"
+        ? members.length > 0 &&
+          members.every((member) => member.value >= challenge.target)
+        : total >= challenge.target,
+  };
+}
+
+/**
+ * Describe where a challenge stands, e.g. "12 days left" or "Missed"
+ * @param {object} progress - From getChallengeProgress()
+ * @returns {string}
+ */
+function describeChallengeStatus(progress) {
+  if (progress.status === "upcoming") {
+    return `Starts ${new Date(progress.start).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+    })}`;
+  }
+  if (progress.status === "finished") {
+    return progress.reached ? "Done" : "Missed";
+  }
+  if (progress.reached) return "Target reached";
+  return `${progress.daysLeft} ${
+    progress.daysLeft === 1 ? "day" : "days"
+  } left, today included`;
+}
@@ -0,0 +1,140 @@
+// ============================================
+// NOTE FORMATTING - SAFE MARKDOWN SUBSET
+// ============================================
+// Renders note text as HTML for index.html and notes.html. No
+// dependencies.
+//
+// Supported:
+//   # Heading, ## Heading, ### Heading
+//   - item / * item / + item       bulleted list
+//   1. item / 1) item              numbered list
+//   **bold** / __bold__, *italic* / _italic_
+//   [label](https://example.com)  link (http, https and mailto only)
+//   A single newline is a line break, a blank line starts a new paragraph.
+//
+// Safety: the whole text is HTML-escaped before any formatting is applied,
+// so the only tags in the output are the ones built here. Anything that
+// isn't supported (raw HTML, images, javascript: links, ...) is shown as
+// plain text.
+
+const MARKDOWN_LINK_PROTOCOLS = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Escape text for use in HTML content and quoted attributes
+ * Unlike the pages' escapeHtml(), quotes are escaped too
+ */
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Apply bold and italic to one piece of already-escaped text
+ * "_" only counts at word edges, so snake_case words stay as they are
+ */
+function renderEmphasis(escaped) {
+  return escaped
+    .replace(/\*\*([^\s*](?:.*?[^\s*])?)\*\*/g, "<strong>$1</strong>")
+    .replace(
+      /(^|\W)__([^\s_](?:.*?[^\s_])?)__(?=\W|$)/g,
+      "$1<strong>$2</strong>"
+    )
+    .replace(/\*([^\s*](?:.*?[^\s*])?)\*/g, "<em>$1</em>")
+    .replace(/(^|\W)_([^\s_](?:.*?[^\s_])?)_(?=\W|$)/g, "$1<em>$2</em>");
+}
+
+/**
+ * Render the inline formatting of one line
+ * Links are cut out first so emphasis never reaches inside a URL
+ * @param {string} escaped - Line text, already escaped
+ * @returns {string} - HTML
+ */
+function renderInline(escaped) {
+  const links = [];
+  const withoutLinks = escaped.replace(
+    /\[([^\]]+)\]\(([^)\s]+)\)/g,
+    (match, label, url) => {
+      if (!MARKDOWN_LINK_PROTOCOLS.test(url)) return match;
+      links.push(
+        `<a href="${url}" target="_blank" rel="noopener noreferrer">${renderEmphasis(
+          label
+        )}</a>`
+      );
+      return `\u0000${links.length - 1}\u0000`;
+    }
+  );
+
+  return renderEmphasis(withoutLinks).replace(
+    /\u0000(\d+)\u0000/g,
+    (match, index) => links[index]
+  );
+}
+
+/**
+ * Work out what kind of block a line belongs to
+ * @returns {object} - { type: "heading" | "ul" | "ol" | "blank" | "text",
+ *   level, text }
+ */
+function classifyLine(line) {
+  const heading = line.match(/^(#{1,3})\s+(.*)$/);
+  if (heading) {
+    return { type: "heading", level: heading[1].length, text: heading[2] };
+  }
+
+  const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+  if (bullet) return { type: "ul", text: bullet[1] };
+
+  const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+  if (numbered) return { type: "ol", text: numbered[1] };
+
+  if (line.trim() === "") return { type: "blank" };
+  return { type: "text", text: line };
+}
+
+/**
+ * Render note text as safe HTML
+ * @param {string} text - Note text as typed
+ * @returns {string} - HTML made only of p, br, ul, ol, li, h4-h6, strong,
+ *   em and a elements
+ */
+function renderMarkdown(text) {
+  // \u0000 marks link placeholders in renderInline(), so it can't be input
+  const lines = escapeMarkup(String(text).replace(/\u0000/g, ""))
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map(classifyLine);
+
+  let html = "";
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.type === "blank") {
+      i++;
+    } else if (line.type === "heading") {
+      // # maps to h4, since the pages already use h1-h3
+      const tag = `h${line.level + 3}`;
+      html += `<${tag}>${renderInline(line.text)}</${tag}>`;
+      i++;
+    } else if (line.type === "ul" || line.type === "ol") {
+      let items = "";
+      while (i < lines.length && lines[i].type === line.type) {
+        items += `<li>${renderInline(lines[i].text)}</li>`;
+        i++;
+      }
+      html += `<${line.type}>${items}</${line.type}>`;
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].type === "text") {
+        paragraph.push(renderInline(lines[i].text));
+        i++;
+      }
+      html += `<p>${paragraph.join("<br />")}</p>`;
+    }
+  }
+  return html;
+}
@@ -0,0 +1,303 @@
+// ============================================
+// NOTE RECORDS
+// ============================================
+// Shared by index.html and notes.html. Requires approaches.js and
+// sessions.js.
+//
+// dailyDataStore[date].notes = [
+//   { id, text, timestamp, tags, link, editedAt }, ...
+// ]
+// timestamp: when the note was written, as display text ("7:05 PM")
+// tags: lowercase, without the "#" - every #hashtag in the text plus any
+//   added in the tag field
+// link: { type: "approach" | "session", id } ties the note to one of the
+//   same day's approaches or sessions, or null
+// editedAt: Unix timestamp in milliseconds of the last edit, or null
+// Notes written before tags existed have no tags or link; getNoteTags()
+// falls back to the hashtags in their text.
+
+/**
+ * Normalize one tag, e.g. "#Cold Approach" -> "cold-approach"
+ * Keeps only the characters a #hashtag can contain (see extractTags)
+ */
+function normalizeTag(tag) {
+  return String(tag)
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^\p{L}\p{N}_-]/gu, "");
+}
+
+/**
+ * Find the #hashtags in a note's text
+ * @param {string} text - Note text
+ * @returns {Array} - Unique normalized tags, in order of appearance
+ */
+function extractTags(text) {
+  const matches = String(text).match(/#[\p{L}\p{N}_-]+/gu) || [];
+  return [...new Set(matches.map(normalizeTag))];
+}
+
+/**
+ * Read the tag field, e.g. "lesson, #opener field" -> ["lesson", ...]
+ * @param {string} value - Raw input (commas or spaces between tags)
+ * @returns {Array} - Unique normalized tags
+ */
+function parseTagInput(value) {
+  return [
+    ...new Set(
+      String(value)
+        .split(/[,\s]+/)
+        .map(normalizeTag)
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Get a note's tags
+ * Stored tags are normalized again, since imported and synced notes
+ * didn't necessarily go through parseTagInput
+ * @param {object} note - Note record
+ * @returns {Array} - Tags (hashtags from the text for older notes)
+ */
+function getNoteTags(note) {
+  if (!Array.isArray(note.tags)) return extractTags(note.text);
+  return [...new Set(note.tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Get the tags that came from the tag field rather than the text
+ * Used to pre-fill the tag field when editing
+ */
+function getPickedTags(note) {
+  const inText = extractTags(note.text);
+  return getNoteTags(note).filter((tag) => !inText.includes(tag));
+}
+
+/**
+ * Create a new note record
+ * @param {string} text - Note text (may contain #hashtags)
+ * @param {Array} pickedTags - Tags from the tag field
+ * @param {object|null} link - { type, id } (see parseLinkValue)
+ * @returns {object} - Note record ready to push into a day's list
+ */
+function createNote(text, pickedTags = [], link = null) {
+  return {
+    id: Date.now(), // Unix timestamp ensures uniqueness
+    text: text,
+    timestamp: new Date().toLocaleTimeString("en-US", {
+      hour: "numeric",
+      minute: "2-digit",
+      hour12: true,
+    }),
+    tags: [...new Set([...extractTags(text), ...pickedTags])],
+    link: link,
+    editedAt: null,
+  };
+}
+
+/**
+ * Apply an edit to a note record
+ * @param {object} note - Note record (modified in place)
+ * @param {string} text - New text
+ * @param {Array} pickedTags - Tags from the tag field
+ * @param {object|null} link - New link
+ */
+function updateNote(note, text, pickedTags, link) {
+  note.text = text;
+  note.tags = [...new Set([...extractTags(text), ...pickedTags])];
+  note.link = link;
+  note.editedAt = Date.now();
+}
+
+/**
+ * Find a note in a day's entry
+ * Ids come back from data attributes as strings, so compare as strings
+ */
+function findNote(entry, noteId) {
+  return (entry?.notes || []).find((n) => String(n.id) === String(noteId));
+}
+
+/**
+ * Delete a note from a day's entry
+ * @param {object} entry - dailyDataStore entry (modified in place)
+ * @param {number|string} noteId - Note id
+ */
+function removeNote(entry, noteId) {
+  entry.notes = entry.notes.filter((n) => String(n.id) !== String(noteId));
+}
+
+/**
+ * Count how often each tag is used
+ * @param {object} dailyData - dailyDataStore
+ * @returns {Array} - [{ tag, count }], most used first
+ */
+function getAllTags(dailyData) {
+  const counts = {};
+  Object.keys(dailyData).forEach((date) => {
+    (dailyData[date].notes || []).forEach((note) => {
+      getNoteTags(note).forEach((tag) => {
+        counts[tag] = (counts[tag] || 0) + 1;
+      });
+    });
+  });
+
+  return Object.keys(counts)
+    .map((tag) => ({ tag: tag, count: counts[tag] }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// ============================================
+// LINKS TO APPROACHES & SESSIONS
+// ============================================
+// The link picker is a <select>; its option values look like
+// "approach:1734376800000" or "session:1734376800000".
+
+/**
+ * List what a note on this day can be linked to
+ * @param {object} entry - dailyDataStore entry
+ * @returns {Array} - [{ value, label, type, id }], sessions first
+ */
+function getLinkOptions(entry) {
+  const sessions = (entry?.sessions || []).map((session) => ({
+    type: "session",
+    id: session.id,
+    label: `Session ${formatApproachTime(session.start)}${
+      session.location ? ` @ ${session.location}` : ""
+    }`,
+  }));
+
+  const approaches = (entry?.approaches || []).map((approach) => ({
+    type: "approach",
+    id: approach.id,
+    label: `Approach ${formatApproachTime(approach.timestamp)}${
+      approach.outcome ? ` · ${getOutcomeLabel(approach.outcome)}` : ""
+    }`,
+  }));
+
+  return [...sessions, ...approaches].map((option) => ({
+    ...option,
+    value: `${option.type}:${option.id}`,
+  }));
+}
+
+/**
+ * Turn a link into its picker value ("" for no link)
+ */
+function formatLinkValue(link) {
+  return link ? `${link.type}:${link.id}` : "";
+}
+
+/**
+ * Turn a picker value back into a link
+ * Looked up in the day's options so the id keeps its original type
+ * @param {string} value - Picker value
+ * @param {object} entry - dailyDataStore entry the note belongs to
+ * @returns {object|null} - { type, id }
+ */
+function parseLinkValue(value, entry) {
+  const option = getLinkOptions(entry).find((o) => o.value === value);
+  return option ? { type: option.type, id: option.id } : null;
+}
+
+/**
+ * Describe what a note is linked to
+ * @returns {string} - e.g. "Approach 7:05 PM · Number" ("" if unlinked or
+ *   the approach/session has since been deleted)
+ */
+function describeNoteLink(entry, link) {
+  if (!link) return "";
+  const option = getLinkOptions(entry).find(
+    (o) => o.value === formatLinkValue(link)
+  );
+  return option ? option.label : "";
+}
+
+// ============================================
+// NOTE FORMS
+// ============================================
+// The add-note form and the inline note editor both have a text box, a tag
+// field (suggestions from <datalist id="tagSuggestions">) and a link
+// picker. Values are set through the DOM rather than in the page's HTML
+// strings, so quotes in a note never need escaping.
+
+/**
+ * Fill a link picker with a day's approaches and sessions
+ * @param {HTMLSelectElement} select - Picker to fill
+ * @param {object} entry - dailyDataStore entry the note belongs to
+ * @param {object|null} link - Link to pre-select
+ */
+function fillLinkPicker(select, entry, link = null) {
+  select.innerHTML = "";
+  select.appendChild(new Option("No link", ""));
+  getLinkOptions(entry).forEach((option) => {
+    select.appendChild(new Option(option.label, option.value));
+  });
+  select.value = describeNoteLink(entry, link) ? formatLinkValue(link) : "";
+}
+
+/**
+ * Offer every tag used so far as a suggestion in the tag fields
+ * @param {object} dailyData - dailyDataStore
+ */
+function fillTagSuggestions(dailyData) {
+  const datalist = document.getElementById("tagSuggestions");
+  if (!datalist) return;
+
+  datalist.innerHTML = "";
+  getAllTags(dailyData).forEach(({ tag }) => {
+    datalist.appendChild(new Option(`#${tag}`));
+  });
+}
+
+/**
+ * Build the inline note editor's fields (filled in by fillNoteEditor)
+ * @returns {string} - HTML to place inside the note's card
+ */
+function renderNoteEditor() {
+  return `
+    <textarea class="note-edit-text"></textarea>
+    <input
+      type="text"
+      class="note-edit-tags"
+      list="tagSuggestions"
+      placeholder="Extra tags"
+    />
+    <select class="note-edit-link"></select>
+    <div class="note-edit-buttons">
+      <button class="note-action" data-action="save">Save</button>
+      <button class="note-action" data-action="cancel">Cancel</button>
+    </div>
+  `;
+}
+
+/**
+ * Put a note's current values into its inline editor
+ * @param {HTMLElement} editor - Element holding .note-edit-text,
+ *   .note-edit-tags and .note-edit-link
+ * @param {object} note - Note record being edited
+ * @param {object} entry - dailyDataStore entry the note belongs to
+ */
+function fillNoteEditor(editor, note, entry) {
+  const textBox = editor.querySelector(".note-edit-text");
+  textBox.value = note.text;
+  editor.querySelector(".note-edit-tags").value = getPickedTags(note)
+    .map((tag) => `#${tag}`)
+    .join(" ");
+  fillLinkPicker(editor.querySelector(".note-edit-link"), entry, note.link);
+  textBox.focus();
+}
+
+/**
+ * Read the inline editor
+ * @returns {object} - { text, tags, link } ready for updateNote()
+ */
+function readNoteEditor(editor, entry) {
+  return {
+    text: editor.querySelector(".note-edit-text").value.trim(),
+    tags: parseTagInput(editor.querySelector(".note-edit-tags").value),
+    link: parseLinkValue(editor.querySelector(".note-edit-link").value, entry),
+  };
+}
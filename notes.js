@@ -4,10 +4,31 @@
 
 /**
  * Store all daily data globally for search/filter
- * dailyDataStore[date] = { date, approachCount, notes: [...] }
+ * dailyDataStore[date] = { date, approaches: [...], goal, notes: [...] }
  */
 let dailyDataStore = {};
 
+/**
+ * Punishment ledger (see punishments.js), reloaded with the daily data
+ */
+let punishments = [];
+
+/**
+ * Past day whose edit panel is open (null when none is)
+ */
+let editingDay = null;
+
+/**
+ * Pending debounced search (see handleSearchInput)
+ */
+let searchTimer = null;
+const SEARCH_DELAY = 250; // ms after the last keystroke
+
+/**
+ * Note being edited in place: { date, id } (null when none is)
+ */
+let editingNote = null;
+
 // ============================================
 // DATE UTILITIES
 // ============================================
@@ -15,15 +36,22 @@ let dailyDataStore = {};
 /**
  * Get today's date as a string
  * Returns: "Mon Dec 16 2024"
+ * Uses the same deadline/timezone day boundaries as the dashboard (days.js)
  */
 function getTodayString() {
-  return new Date().toDateString();
+  return getDayKey();
 }
 
 /**
  * Show the note input form
+ * The link picker offers today's approaches and sessions
  */
 function showNoteInput() {
+  fillTagSuggestions(dailyDataStore);
+  fillLinkPicker(
+    document.getElementById("noteLink"),
+    dailyDataStore[getTodayString()]
+  );
   document.getElementById("noteInput").style.display = "block";
   document.getElementById("addNoteBtn").style.display = "none";
   document.getElementById("noteText").focus();
@@ -36,6 +64,7 @@ function hideNoteInput() {
   document.getElementById("noteInput").style.display = "none";
   document.getElementById("addNoteBtn").style.display = "block";
   document.getElementById("noteText").value = "";
+  document.getElementById("noteTags").value = "";
 }
 
 /**
@@ -53,31 +82,28 @@ function saveNote() {
   // Get today's date string
   const today = getTodayString();
 
-  // Ensure today's dailyData exists
+  // Ensure today's dailyData exists, starting the day like index.html does
   if (!dailyDataStore[today]) {
-    dailyDataStore[today] = {
-      date: today,
-      approachCount: 0,
-      notes: [],
-    };
+    judgeDaysBefore(dailyDataStore, punishments, today);
+    dailyDataStore[today] = createDayEntry(dailyDataStore, today);
   }
 
   // Create new note object with unique ID
-  const newNote = {
-    id: Date.now(), // Unix timestamp ensures uniqueness
-    text: noteText,
-    timestamp: new Date().toLocaleTimeString("en-US", {
-      hour: "numeric",
-      minute: "2-digit",
-      hour12: true,
-    }),
-  };
+  const newNote = createNote(
+    noteText,
+    parseTagInput(document.getElementById("noteTags").value),
+    parseLinkValue(
+      document.getElementById("noteLink").value,
+      dailyDataStore[today]
+    )
+  );
 
   // Add note to today's dailyData
   dailyDataStore[today].notes.push(newNote);
 
-  // Save to localStorage
-  localStorage.setItem("dailyDataStore", JSON.stringify(dailyDataStore));
+  // Save (only today's records are rewritten)
+  saveDailyData(dailyDataStore);
+  queueSync(dailyDataStore, runSync);
 
   // Reload and display notes
   loadNotesHistory();
@@ -100,9 +126,7 @@ function getDayLabel(dateString) {
   }
 
   // Check if it's yesterday
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  if (dateString === yesterday.toDateString()) {
+  if (dateString === shiftDayKey(today, -1)) {
     return "Yesterday";
   }
 
@@ -130,35 +154,39 @@ function getDayLabel(dateString) {
 // ============================================
 
 /**
- * Load all daily data from localStorage
+ * Load all daily data (through storage.js - IndexedDB, or localStorage)
  * This runs when the page loads
- * Daily data is stored as dailyDataStore: { "Mon Dec 16 2024": { date, approachCount, notes } }
+ * Daily data is stored as dailyDataStore: { "Mon Dec 16 2024": { date, approaches, goal, notes } }
+ * @returns {Promise<void>} - Resolves once everything is displayed
  */
 function loadNotesHistory() {
-  const stored = localStorage.getItem("dailyDataStore");
-
-  if (!stored) {
-    // No daily data exists yet
-    displayNoNotes();
-    updateStats(0, 0, 0, 0, 0);
-    return;
-  }
-
-  try {
-    dailyDataStore = JSON.parse(stored);
-
-    // Validate that dailyDataStore is a proper object
-    if (typeof dailyDataStore !== "object" || Array.isArray(dailyDataStore)) {
-      throw new Error("Invalid daily data format");
-    }
+  punishments = loadPunishments();
+  displayPunishmentDebt();
+
+  // Validated and migrated to the current schema by storage.js
+  return loadDailyData()
+    .then((storedData) => {
+      dailyDataStore = storedData;
+      displayReport();
+      displayGroup();
+
+      if (Object.keys(dailyDataStore).length === 0) {
+        // No daily data exists yet
+        displayNoNotes();
+        updateStats(0, 0, 0, 0, 0);
+        return;
+      }
 
-    displayAllDailyData(dailyDataStore);
-    calculateAndDisplayStats(dailyDataStore);
-  } catch (error) {
-    console.error("Error loading daily data:", error);
-    displayNoNotes();
-    updateStats(0, 0, 0, 0, 0);
-  }
+      filterNotes(); // Keeps any search that's in progress
+      calculateAndDisplayStats(dailyDataStore);
+      displayHeatmap();
+      displayAnalytics();
+    })
+    .catch((error) => {
+      console.error("Error loading daily data:", error);
+      displayNoNotes();
+      updateStats(0, 0, 0, 0, 0);
+    });
 }
 
 /**
@@ -169,7 +197,7 @@ function calculateTotalApproaches() {
   let total = 0;
   Object.keys(dailyDataStore).forEach((date) => {
     const entry = dailyDataStore[date];
-    total += entry.approachCount || 0;
+    total += getApproachCount(entry);
   });
   return total;
 }
@@ -196,18 +224,38 @@ function displayAllDailyData(dailyData) {
   // Build HTML for each day
   dates.forEach((date) => {
     const dailyEntry = dailyData[date];
-    const approachCount = dailyEntry.approachCount || 0;
+    const approachCount = getApproachCount(dailyEntry);
     const notes = dailyEntry.notes || [];
-
-    // Skip if no data for this day
-    if (notes.length === 0 && approachCount === 0) return;
+    const sessions = dailyEntry.sessions || [];
+    const edits = dailyEntry.edits || [];
+
+    // Skip if no data for this day (a failed day with a punishment, an
+    // exempt day, or one that was edited down to nothing, still shows)
+    const hasPunishment = punishments.some((p) => p.day === date);
+    if (
+      notes.length === 0 &&
+      approachCount === 0 &&
+      sessions.length === 0 &&
+      edits.length === 0 &&
+      !hasPunishment &&
+      !dailyEntry.exempt &&
+      date !== editingDay
+    ) {
+      return;
+    }
+    const isEditing = date === editingDay;
 
     const dayLabel = getDayLabel(date);
     const noteCount = notes.length;
+    const goal = getDayGoal(dailyEntry);
 
-    // Determine completion status styling
-    const isComplete = approachCount >= 10;
-    const completionClass = isComplete ? "day-complete" : "";
+    // Determine completion status styling (against that day's own goal)
+    const isComplete = isDayComplete(dailyEntry);
+    const completionClass = isComplete
+      ? "day-complete"
+      : dailyEntry.exempt
+      ? "day-exempt"
+      : "";
 
     html += `
       <div class="day-section ${completionClass}" data-date="${date}">
@@ -216,24 +264,34 @@ function displayAllDailyData(dailyData) {
             <span>${dayLabel}</span>
           </h3>
           <div class="day-info">
-            <span class="approach-badge">${approachCount}/10 approaches</span>
+            <span class="approach-badge">${approachCount}/${goal} approaches</span>
             <span class="day-count">${noteCount} ${
       noteCount === 1 ? "note" : "notes"
     }</span>
+            ${renderPunishmentBadge(date)}
+            ${
+              dailyEntry.exempt
+                ? `<span class="day-count exempt-badge">${escapeHtml(
+                    describeExemption(dailyEntry.exempt)
+                  )}</span>`
+                : ""
+            }
+            ${
+              date !== getTodayString() && !isEditing
+                ? '<button class="note-action" data-day-action="edit">Edit day</button>'
+                : ""
+            }
           </div>
         </div>
+        ${isEditing ? renderDayEditor() : ""}
+        ${renderSessionList(date, sessions)}
+        ${renderApproachTimeline(dailyEntry.approaches || [], isEditing)}
+        ${renderEditHistory(edits)}
         <div class="day-notes">
           ${
             notes.length > 0
               ? notes
-                  .map(
-                    (note) => `
-            <div class="note-card-history" data-note-id="${note.id}">
-              <p class="note-text-history">${escapeHtml(note.text)}</p>
-              <span class="note-time-history">${note.timestamp}</span>
-            </div>
-          `
-                  )
+                  .map((note) => renderHistoryNote(date, dailyEntry, note))
                   .join("")
               : '<p class="no-notes-for-day">No notes recorded this day</p>'
           }
@@ -243,6 +301,305 @@ function displayAllDailyData(dailyData) {
   });
 
   container.innerHTML = html;
+
+  const editor = container.querySelector(".note-editing");
+  if (editor) {
+    const entry = dailyDataStore[editingNote.date];
+    fillNoteEditor(editor, findNote(entry, editingNote.id), entry);
+  }
+}
+
+/**
+ * Build one note card, or the inline editor if it's the note being edited
+ * @param {string} date - Day key the note belongs to
+ * @param {object} entry - That day's entry (for the link label)
+ * @param {object} note - Note record
+ * @returns {string} - HTML
+ */
+function renderHistoryNote(date, entry, note) {
+  if (
+    editingNote &&
+    editingNote.date === date &&
+    String(editingNote.id) === String(note.id)
+  ) {
+    return `
+            <div class="note-card-history note-editing" data-note-id="${escapeMarkup(
+              note.id
+            )}">
+              ${renderNoteEditor()}
+            </div>
+          `;
+  }
+
+  const tags = getNoteTags(note);
+  const linkLabel = describeNoteLink(entry, note.link);
+
+  return `
+            <div class="note-card-history" data-note-id="${escapeMarkup(
+              note.id
+            )}">
+              <div class="note-text-history">${renderMarkdown(note.text)}</div>
+              ${
+                tags.length > 0
+                  ? `<div class="note-tags">${tags
+                      .map(
+                        (tag) =>
+                          `<button class="note-tag" data-tag="${escapeMarkup(
+                            tag
+                          )}">#${escapeHtml(tag)}</button>`
+                      )
+                      .join("")}</div>`
+                  : ""
+              }
+              ${
+                linkLabel
+                  ? `<p class="note-link">↳ ${escapeHtml(linkLabel)}</p>`
+                  : ""
+              }
+              <span class="note-time-history">${escapeMarkup(note.timestamp)}${
+    note.editedAt ? " · edited" : ""
+  }</span>
+              <span class="note-actions">
+                <button class="note-action" data-action="edit">Edit</button>
+                <button class="note-action" data-action="delete">Delete</button>
+              </span>
+            </div>
+          `;
+}
+
+/**
+ * Build the list of a day's sessions with duration and pace
+ * Approaches are counted from the full dailyDataStore, since a session
+ * that ran past the deadline has some of them on the next day
+ * @param {string} date - Day key the sessions started on
+ * @param {Array} sessions - The day's session records
+ * @returns {string} - HTML ("" if the day has no sessions)
+ */
+function renderSessionList(date, sessions) {
+  if (sessions.length === 0) return "";
+
+  const active = findActiveSession(dailyDataStore, getTodayString());
+
+  return `
+    <ul class="session-list">
+      ${sessions
+        .map((session) => {
+          const approaches = getSessionApproaches(
+            dailyDataStore,
+            date,
+            session
+          );
+          const isRunning = active && active.session.id === session.id;
+
+          // A session that was never ended is measured up to its last approach
+          const lastApproach = approaches[approaches.length - 1];
+          const duration =
+            session.end || isRunning
+              ? getSessionDuration(session)
+              : Math.max(0, (lastApproach?.timestamp || 0) - session.start);
+
+          let endLabel = "now";
+          if (session.end) {
+            endLabel = formatApproachTime(session.end);
+          } else if (!isRunning) {
+            endLabel = "not ended";
+          }
+
+          const details = [
+            session.location ? `@ ${escapeHtml(session.location)}` : "Session",
+            formatDuration(duration),
+            `${approaches.length} ${
+              approaches.length === 1 ? "approach" : "approaches"
+            }`,
+            `${getApproachesPerHour(approaches.length, duration)}/h`,
+          ];
+
+          return `
+        <li class="session-item" data-session-id="${escapeMarkup(session.id)}">
+          <span class="approach-time">${formatApproachTime(
+            session.start
+          )} – ${endLabel}</span>
+          <span class="approach-details">${details.join(" · ")}</span>
+        </li>
+      `;
+        })
+        .join("")}
+    </ul>
+  `;
+}
+
+/**
+ * Build the timeline of a day's approaches, in the order they happened
+ * Records upgraded from the old counter have no time and are listed first
+ * @param {Array} approaches - The day's approach records
+ * @param {boolean} editable - Show a remove button on each approach
+ * @returns {string} - HTML ("" if the day has no approaches)
+ */
+function renderApproachTimeline(approaches, editable = false) {
+  if (approaches.length === 0) return "";
+
+  const sorted = [...approaches].sort(
+    (a, b) => (a.timestamp || 0) - (b.timestamp || 0)
+  );
+
+  return `
+    <ol class="approach-timeline">
+      ${sorted
+        .map((approach) => {
+          const details = [
+            getOutcomeLabel(approach.outcome),
+            approach.location ? `@ ${escapeHtml(approach.location)}` : "",
+            approach.rating ? `${escapeMarkup(approach.rating)}/5` : "",
+          ].filter(Boolean);
+
+          return `
+        <li class="approach-item" data-approach-id="${escapeMarkup(
+          approach.id
+        )}">
+          <span class="approach-time">${formatApproachTime(
+            approach.timestamp
+          )}</span>
+          <span class="approach-details">${
+            details.length > 0 ? details.join(" · ") : "Approach"
+          }</span>
+          ${
+            editable
+              ? `<span class="approach-actions">
+            <button class="approach-action" data-day-action="remove-approach">Remove</button>
+          </span>`
+              : ""
+          }
+          ${
+            approach.note
+              ? `<p class="approach-note">${escapeHtml(approach.note)}</p>`
+              : ""
+          }
+        </li>
+      `;
+        })
+        .join("")}
+    </ol>
+  `;
+}
+
+/**
+ * Build the edit panel shown on a past day while it's being edited
+ * @returns {string} - HTML
+ */
+function renderDayEditor() {
+  return `
+    <div class="day-editor">
+      <div class="backup-row">
+        <label>
+          Add
+          <input type="number" class="backfill-count backup-date" min="1" max="100" value="1" />
+          approaches at
+          <input type="time" class="backfill-time backup-date" />
+        </label>
+        <button class="backup-btn" data-day-action="add-approaches">Add</button>
+      </div>
+      <p class="settings-hint">
+        Leave the time empty if you don't remember it.
+      </p>
+      <textarea class="backfill-note note-edit-text" placeholder="Add a note to this day..."></textarea>
+      <div class="backup-row">
+        <button class="backup-btn" data-day-action="add-note">Add note</button>
+        <button class="backup-btn" data-day-action="close">Done</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Build a day's audit trail: every edit made after the day was over
+ * @param {Array} edits - The day's edit records
+ * @returns {string} - HTML ("" if the day was never edited)
+ */
+function renderEditHistory(edits) {
+  if (edits.length === 0) return "";
+
+  return `
+    <details class="edit-history">
+      <summary>Edited ${edits.length} ${
+    edits.length === 1 ? "time" : "times"
+  }</summary>
+      <ul>
+        ${[...edits]
+          .sort((a, b) => b.at - a.at)
+          .map(
+            (edit) => `
+          <li>
+            <span class="approach-time">${formatEditTime(edit.at)}</span>
+            ${edit.changes.map((change) => escapeHtml(change)).join("; ")}
+          </li>
+        `
+          )
+          .join("")}
+      </ul>
+    </details>
+  `;
+}
+
+/**
+ * Build the punishment status badge for a day, if that day failed
+ * @param {string} date - Day key
+ * @returns {string} - HTML ("" if the day has no punishment)
+ */
+function renderPunishmentBadge(date) {
+  const punishment = punishments.find((p) => p.day === date);
+  if (!punishment) return "";
+
+  if (punishment.closedAt) {
+    return '<span class="day-count punishment-paid">Punishment done</span>';
+  }
+  return '<span class="day-count punishment-owed">Punishment due</span>';
+}
+
+/**
+ * Display outstanding punishment debt at the top of the page
+ * Lists each open punishment with the items still to do
+ */
+function displayPunishmentDebt() {
+  const section = document.getElementById("punishmentDebtSection");
+  const outstanding = getOutstandingPunishments(punishments);
+
+  if (outstanding.length === 0) {
+    section.classList.add("hidden");
+    return;
+  }
+
+  const debt = getPunishmentDebt(punishments);
+  document.getElementById("punishmentDebtSummary").textContent = `${
+    debt.items
+  } ${debt.items === 1 ? "item" : "items"} outstanding across ${
+    debt.punishments
+  } missed ${debt.punishments === 1 ? "day" : "days"}${
+    debt.overdue > 0 ? ` (${debt.overdue} overdue)` : ""
+  }. Check them off on the dashboard.`;
+
+  document.getElementById("punishmentDebtList").innerHTML = outstanding
+    .map(
+      (punishment) => `
+      <li>
+        <strong>${getDayLabel(punishment.day)}</strong>
+        <span class="punishment-reason">${escapeMarkup(
+          describePunishmentReason(punishment)
+        )}</span>:
+        ${punishment.items
+          .filter((item) => !item.done)
+          .map((item) => escapeHtml(item.text))
+          .join(", ")}
+        ${
+          isPunishmentOverdue(punishment)
+            ? '<span class="overdue-badge">Overdue</span>'
+            : ""
+        }
+      </li>
+    `
+    )
+    .join("");
+
+  section.classList.remove("hidden");
 }
 
 /**
@@ -268,7 +625,7 @@ function displayNoNotes() {
 
 /**
  * Calculate and display statistics
- * Total notes, total days, average per day, days completed (10/10)
+ * Total notes, total days, average per day, days completed (goal met)
  */
 function calculateAndDisplayStats(dailyData) {
   let totalNotes = 0;
@@ -279,13 +636,13 @@ function calculateAndDisplayStats(dailyData) {
   Object.keys(dailyData).forEach((date) => {
     const entry = dailyData[date];
     const notes = entry.notes || [];
-    const approachCount = entry.approachCount || 0;
+    const approachCount = getApproachCount(entry);
 
     if (notes.length > 0 || approachCount > 0) {
       totalDays++;
       totalNotes += notes.length;
 
-      if (approachCount >= 10) {
+      if (isDayComplete(entry)) {
         daysCompleted++;
       }
     }
@@ -302,6 +659,17 @@ function calculateAndDisplayStats(dailyData) {
     daysCompleted,
     calculateTotalApproaches()
   );
+  displayStreakStats(dailyData);
+}
+
+/**
+ * Display current and longest streak
+ * Uses the same calculator as the dashboard so both pages always agree
+ */
+function displayStreakStats(dailyData) {
+  const streaks = calculateStreaks(dailyData);
+  document.getElementById("currentStreak").textContent = streaks.current;
+  document.getElementById("longestStreak").textContent = streaks.longest;
 }
 
 /**
@@ -333,182 +701,1677 @@ function updateStats(
 }
 
 // ============================================
-// SEARCH/FILTER FUNCTIONALITY
+// ANALYTICS
 // ============================================
 
 /**
- * Filter daily data based on search input
- * Searches through note text content
+ * Draw a bar chart as an SVG string
+ * Everything is drawn locally - no chart library or external service
+ * @param {Array} points - [{ label, value, highlight }]
+ * @param {object} options - { labelEvery: show every Nth label, decimals }
+ * @returns {string} - SVG markup
  */
-function filterNotes() {
-  const searchTerm = document
-    .getElementById("searchInput")
-    .value.toLowerCase()
-    .trim();
+function renderBarChart(points, options = {}) {
+  const labelEvery = options.labelEvery || 1;
+  const decimals = options.decimals || 0;
+  const slot = 28; // Horizontal space per bar
+  const barWidth = 20;
+  const plotHeight = 100;
+  const top = 14; // Room for value labels above the tallest bar
+  const height = top + plotHeight + 16;
+  const max = Math.max(1, ...points.map((p) => p.value));
+
+  const bars = points
+    .map((point, index) => {
+      const x = index * slot + (slot - barWidth) / 2;
+      const barHeight = (point.value / max) * plotHeight;
+      const y = top + plotHeight - barHeight;
+      const value = Number(point.value.toFixed(decimals));
+
+      return `
+        <rect class="chart-bar ${point.highlight ? "highlight" : ""}"
+          x="${x}" y="${y}" width="${barWidth}" height="${barHeight}">
+          <title>${escapeHtml(point.label)}: ${value}</title>
+        </rect>
+        ${
+          point.value > 0
+            ? `<text class="chart-value" x="${x + barWidth / 2}" y="${
+                y - 3
+              }">${value}</text>`
+            : ""
+        }
+        ${
+          index % labelEvery === 0
+            ? `<text class="chart-label" x="${x + barWidth / 2}" y="${
+                height - 3
+              }">${escapeHtml(point.label)}</text>`
+            : ""
+        }
+      `;
+    })
+    .join("");
+
+  return `
+    <svg class="bar-chart" viewBox="0 0 ${points.length * slot} ${height}"
+      role="img" preserveAspectRatio="xMinYMin meet">
+      ${bars}
+    </svg>
+  `;
+}
 
-  // If no search term, show all daily data
-  if (!searchTerm) {
-    displayAllDailyData(dailyDataStore);
-    return;
-  }
+/**
+ * Format a period-over-period change, e.g. "+25% vs last week"
+ */
+function formatChange(change, period) {
+  if (change === null) return "";
+  return `${change > 0 ? "+" : ""}${change}% vs last ${period}`;
+}
 
-  // Filter daily entries that have matching notes
-  const filteredData = {};
+/**
+ * Display the analytics section
+ * All numbers come from computeAnalytics() in analytics.js
+ */
+function displayAnalytics() {
+  const analytics = computeAnalytics(
+    dailyDataStore,
+    getTodayString(),
+    loadSettings()
+  );
 
-  Object.keys(dailyDataStore).forEach((date) => {
-    const entry = dailyDataStore[date];
-    const notes = entry.notes || [];
+  document.getElementById("completionRate").textContent = `${Math.round(
+    analytics.completionRate * 100
+  )}%`;
+  document.getElementById("avgApproaches").textContent =
+    analytics.averageApproaches.toFixed(1);
+  document.getElementById("bestWeekday").textContent = analytics.bestWeekday
+    ? analytics.bestWeekday.name.slice(0, 3)
+    : "-";
+  document.getElementById("worstWeekday").textContent = analytics.worstWeekday
+    ? analytics.worstWeekday.name.slice(0, 3)
+    : "-";
+  document.getElementById("evaluatedDays").textContent =
+    analytics.evaluatedDays;
+
+  const weekChange = document.getElementById("weekOverWeek");
+  weekChange.textContent = formatChange(analytics.weekOverWeek, "week");
+  weekChange.classList.toggle("down", analytics.weekOverWeek < 0);
+
+  const monthChange = document.getElementById("monthOverMonth");
+  monthChange.textContent = formatChange(analytics.monthOverMonth, "month");
+  monthChange.classList.toggle("down", analytics.monthOverMonth < 0);
+
+  document.getElementById("weeklyChart").innerHTML = renderBarChart(
+    analytics.weekly.map((week, index) => ({
+      label: new Date(week.start).toLocaleDateString("en-US", {
+        month: "numeric",
+        day: "numeric",
+      }),
+      value: week.approaches,
+      highlight: index === analytics.weekly.length - 1,
+    })),
+    { labelEvery: 2 }
+  );
 
-    const matchingNotes = notes.filter((note) =>
-      note.text.toLowerCase().includes(searchTerm)
-    );
+  document.getElementById("monthlyChart").innerHTML = renderBarChart(
+    analytics.monthly.map((month, index) => ({
+      label: new Date(month.year, month.month, 1).toLocaleDateString("en-US", {
+        month: "short",
+      }),
+      value: month.approaches,
+      highlight: index === analytics.monthly.length - 1,
+    }))
+  );
 
-    // Only include dates that have matching notes
-    if (matchingNotes.length > 0) {
-      filteredData[date] = {
-        date: entry.date,
-        approachCount: entry.approachCount,
-        notes: matchingNotes,
-      };
-    }
-  });
+  document.getElementById("weekdayChart").innerHTML = renderBarChart(
+    analytics.weekdays.map((weekday) => ({
+      label: weekday.name.slice(0, 3),
+      value: weekday.average,
+      highlight: weekday === analytics.bestWeekday,
+    })),
+    { decimals: 1 }
+  );
 
-  // Display filtered results
-  if (Object.keys(filteredData).length === 0) {
-    const container = document.getElementById("notesHistory");
-    container.innerHTML = `
-      <div class="no-notes-history">
-        <p>No notes found matching "${escapeHtml(searchTerm)}"</p>
-      </div>
-    `;
-  } else {
-    displayAllDailyData(filteredData);
-  }
+  document.getElementById("hourlyChart").innerHTML = renderBarChart(
+    analytics.hours.map((count, hour) => ({
+      label: formatDeadlineHour(hour === 0 ? 24 : hour).replace(
+        "midnight",
+        "12 AM"
+      ),
+      value: count,
+    })),
+    { labelEvery: 3 }
+  );
 }
 
 // ============================================
-// UTILITY FUNCTIONS
+// CALENDAR HEATMAP
 // ============================================
 
 /**
- * Escape HTML to prevent XSS attacks
- * Converts special characters to HTML entities
+ * Number of weeks the heatmap covers, ending with the current week
  */
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+const HEATMAP_WEEKS = 26;
+
+/**
+ * Shade level (0-4) for a day, by approaches relative to that day's goal
+ * 4 is reserved for days that met their goal
+ */
+function getHeatmapLevel(entry) {
+  const approaches = getApproachCount(entry);
+  if (approaches === 0) return 0;
+  if (isDayComplete(entry)) return 4;
+  return Math.min(3, Math.ceil((approaches / getDayGoal(entry)) * 3));
 }
 
 /**
- * Optional: Export daily data as text file
- * Includes approach counts and notes for each day
+ * Draw a GitHub-style calendar: one column per week (Sunday at the top),
+ * one cell per day, shaded by approaches vs. goal.
+ * Failed days, exempt days, days with a punishment still due and today
+ * get markers. Past days after the first logged day count as failed even
+ * without an entry, the same way the streak calculator treats them -
+ * unless they're exempt (see exemptions.js).
  */
-function exportNotesAsText() {
-  if (Object.keys(dailyDataStore).length === 0) {
-    alert("No data to export");
-    return;
-  }
+function displayHeatmap() {
+  const container = document.getElementById("heatmap");
+  const today = getTodayString();
+  const todayTime = new Date(today).getTime();
 
-  let textContent = "10 OR DIE - DAILY DATA EXPORT\n";
-  textContent += "Generated: " + new Date().toLocaleString() + "\n";
-  textContent += "=".repeat(50) + "\n\n";
+  const dates = Object.keys(dailyDataStore);
+  const firstLogged = dates.length
+    ? Math.min(...dates.map((date) => new Date(date).getTime()))
+    : todayTime;
 
-  // Sort dates (newest first)
-  const dates = Object.keys(dailyDataStore).sort((a, b) => {
-    return new Date(b) - new Date(a);
-  });
+  const owedDays = new Set(
+    getOutstandingPunishments(punishments).map((p) => p.day)
+  );
+  const exemptions = mapExemptions(dailyDataStore, today);
 
-  // Build text content
-  dates.forEach((date) => {
-    const entry = dailyDataStore[date];
-    const approachCount = entry.approachCount || 0;
-    const notes = entry.notes || [];
+  // Start on the Sunday HEATMAP_WEEKS - 1 weeks before this week's Sunday
+  const todayWeekday = new Date(today).getDay();
+  let day = shiftDayKey(today, -todayWeekday - (HEATMAP_WEEKS - 1) * 7);
 
-    textContent += getDayLabel(date) + "\n";
-    textContent += "-".repeat(30) + "\n";
-    textContent += `Approaches: ${approachCount}/10\n`;
+  let html = "";
+  for (let i = 0; i < HEATMAP_WEEKS * 7; i++, day = shiftDayKey(day, 1)) {
+    const dayTime = new Date(day).getTime();
+    if (dayTime > todayTime) {
+      // Rest of the current week - keep the grid shape, nothing to show
+      html += '<span class="heatmap-cell future"></span>';
+      continue;
+    }
 
-    if (notes.length > 0) {
-      textContent += `Notes (${notes.length}):\n`;
-      notes.forEach((note, index) => {
-        textContent += `  ${index + 1}. [${note.timestamp}] ${note.text}\n`;
-      });
-    } else {
-      textContent += "No notes recorded.\n";
+    const entry = dailyDataStore[day];
+    const classes = [`level-${getHeatmapLevel(entry)}`];
+    if (day === today) {
+      classes.push("today");
+    } else if (exemptions[day] && !isDayComplete(entry)) {
+      classes.push("exempt");
+    } else if (dayTime >= firstLogged && !isDayComplete(entry)) {
+      classes.push("failed");
+    }
+    if (owedDays.has(day)) {
+      classes.push("owed");
     }
 
-    textContent += "\n";
-  });
+    const label = `${new Date(day).toLocaleDateString("en-US", {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+    })}: ${getApproachCount(entry)}/${getDayGoal(entry)}${
+      exemptions[day] ? ` (${describeExemption(exemptions[day])})` : ""
+    }`;
+
+    html += `<button class="heatmap-cell ${classes.join(
+      " "
+    )}" data-date="${day}" title="${escapeMarkup(
+      label
+    )}" aria-label="${escapeMarkup(label)}"></button>`;
+  }
 
-  // Create download
-  const blob = new Blob([textContent], { type: "text/plain" });
-  const url = window.URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = `10ordie-export-${new Date().toISOString().split("T")[0]}.txt`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  window.URL.revokeObjectURL(url);
+  container.innerHTML = html;
 }
 
 /**
- * Optional: Clear all daily data (with confirmation)
- * Permanently deletes all stored daily data
+ * Jump to a day's section when its heatmap cell is clicked
+ * If a search is hiding that day, the search is cleared first
  */
-function clearAllNotes() {
-  const confirmed = confirm(
-    "Are you sure you want to delete ALL data? This cannot be undone."
-  );
+function showDayFromHeatmap(date) {
+  let section = document.querySelector(`.day-section[data-date="${date}"]`);
 
-  if (confirmed) {
-    const doubleCheck = confirm(
-      "This will permanently delete all your daily data (approaches and notes). Are you absolutely sure?"
-    );
+  if (!section && !isEmptySearchQuery(getSearchQuery())) {
+    setSearchText("");
+    section = document.querySelector(`.day-section[data-date="${date}"]`);
+  }
 
-    if (doubleCheck) {
-      localStorage.removeItem("dailyDataStore");
-      dailyDataStore = {};
-      displayNoNotes();
-      updateStats(0, 0, 0, 0);
-    }
+  if (!section) {
+    alert("Nothing was logged that day");
+    return;
   }
+
+  section.scrollIntoView({ behavior: "smooth", block: "start" });
+  section.classList.remove("highlighted");
+  void section.offsetWidth; // Force reflow so the highlight replays
+  section.classList.add("highlighted");
 }
 
 // ============================================
-// INITIALIZATION
+// SEARCH/FILTER FUNCTIONALITY
 // ============================================
 
 /**
- * Initialize the page when DOM is ready
- * Load notes and set up any event listeners
+ * Read and parse the search box (see search.js for the syntax)
  */
-document.addEventListener("DOMContentLoaded", function () {
-  loadNotesHistory();
+function getSearchQuery() {
+  return parseSearchQuery(document.getElementById("searchInput").value);
+}
 
-  // Attach event listeners for notes
-  document
-    .getElementById("addNoteBtn")
-    .addEventListener("click", showNoteInput);
-  document.getElementById("saveNoteBtn").addEventListener("click", saveNote);
-  document
-    .getElementById("cancelNoteBtn")
-    .addEventListener("click", hideNoteInput);
+/**
+ * Get the daily data matching the current search
+ * @returns {object} - Filtered copy shaped like dailyDataStore
+ */
+function getFilteredData() {
+  return filterDailyData(dailyDataStore, getSearchQuery());
+}
 
-  // Optional: Add keyboard shortcut for search (Ctrl/Cmd + F)
-  document.addEventListener("keydown", function (e) {
-    if ((e.ctrlKey || e.metaKey) && e.key === "f") {
-      e.preventDefault();
-      document.getElementById("searchInput").focus();
-    }
-  });
-});
+/**
+ * Filter daily data based on the search box
+ * Matching words and phrases are highlighted in the notes that are shown
+ */
+function filterNotes() {
+  const query = getSearchQuery();
+  displaySearchHint(query);
+  displayTagFilter(query);
 
-// Optional: Reload notes when page becomes visible again
-// (In case notes were added from another tab)
-document.addEventListener("visibilitychange", function () {
-  if (!document.hidden) {
-    loadNotesHistory();
+  // If nothing is being searched for, show all daily data
+  if (isEmptySearchQuery(query)) {
+    displayAllDailyData(dailyDataStore);
+    return;
   }
-});
+
+  const filteredData = getFilteredData();
+
+  // Display filtered results
+  if (Object.keys(filteredData).length === 0) {
+    const container = document.getElementById("notesHistory");
+    container.innerHTML = `
+      <div class="no-notes-history">
+        <p>No days or notes match "${escapeHtml(
+          document.getElementById("searchInput").value.trim()
+        )}"</p>
+      </div>
+    `;
+  } else {
+    displayAllDailyData(filteredData);
+    document.querySelectorAll(".note-text-history").forEach((element) => {
+      highlightMatches(element, query.terms);
+    });
+  }
+}
+
+/**
+ * Run the search once typing pauses, and remember it in the URL
+ */
+function handleSearchInput() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    updateSearchUrl();
+    filterNotes();
+  }, SEARCH_DELAY);
+}
+
+/**
+ * Replace the search box contents and search right away
+ */
+function setSearchText(text) {
+  clearTimeout(searchTimer);
+  document.getElementById("searchInput").value = text;
+  updateSearchUrl();
+  filterNotes();
+}
+
+/**
+ * Keep the search in the page URL (?q=...) so filtered views can be
+ * bookmarked or shared. replaceState, so searching doesn't flood the
+ * back button.
+ */
+function updateSearchUrl() {
+  const text = document.getElementById("searchInput").value.trim();
+  const url = new URL(window.location.href);
+  if (text) {
+    url.searchParams.set("q", text);
+  } else {
+    url.searchParams.delete("q");
+  }
+  history.replaceState(null, "", url);
+}
+
+/**
+ * Fill the search box from the URL when the page opens
+ */
+function readSearchFromUrl() {
+  const text = new URLSearchParams(window.location.search).get("q");
+  if (text) {
+    document.getElementById("searchInput").value = text;
+  }
+}
+
+/**
+ * Show the syntax help under the search box, or what couldn't be read
+ */
+function displaySearchHint(query) {
+  const hint = document.getElementById("searchHint");
+  if (query.errors.length > 0) {
+    hint.textContent = `Ignored ${query.errors.join(
+      ", "
+    )} - dates are YYYY-MM-DD, completed is yes or no, approaches is like >=5`;
+    hint.classList.add("search-error");
+  } else {
+    hint.textContent =
+      'Try "exact phrase", -exclude, tag:opener, after:2024-12-01, before:2024-12-31, completed:no or approaches:>=5';
+    hint.classList.remove("search-error");
+  }
+}
+
+/**
+ * Display the tag filter bar: every tag with how many notes use it
+ * Tags that are part of the search are shown as active
+ * Hidden until at least one note has a tag
+ * @param {object} query - Parsed search query
+ */
+function displayTagFilter(query) {
+  const container = document.getElementById("tagFilter");
+  const tags = getAllTags(dailyDataStore);
+
+  if (tags.length === 0) {
+    container.innerHTML = "";
+    return;
+  }
+
+  container.innerHTML = tags
+    .map(
+      ({ tag, count }) => `
+      <button class="tag-chip${
+        query.tags.includes(tag) ? " active" : ""
+      }" data-tag="${escapeMarkup(tag)}">#${escapeHtml(
+        tag
+      )} <span class="tag-count">${count}</span></button>
+    `
+    )
+    .join("");
+}
+
+/**
+ * Add a tag to the search, or take it out again if it's already there
+ * @param {string} tag - Tag clicked in the filter bar or on a note
+ */
+function toggleTagFilter(tag) {
+  setSearchText(
+    toggleTagInQuery(document.getElementById("searchInput").value, tag)
+  );
+}
+
+// ============================================
+// NOTE EDITING
+// ============================================
+
+/**
+ * Open the inline editor on one note
+ */
+function editHistoryNote(date, noteId) {
+  editingNote = { date: date, id: noteId };
+  fillTagSuggestions(dailyDataStore);
+  filterNotes();
+}
+
+/**
+ * Save the inline editor onto the note being edited
+ */
+function saveHistoryNote(editor) {
+  const entry = dailyDataStore[editingNote.date];
+  const note = findNote(entry, editingNote.id);
+  const edit = readNoteEditor(editor, entry);
+
+  if (!edit.text) {
+    alert("Please enter a note");
+    return;
+  }
+
+  const date = editingNote.date;
+  editingNote = null;
+  if (!note) {
+    loadNotesHistory();
+    return;
+  }
+
+  changeDay(date, () => {
+    updateNote(note, edit.text, edit.tags, edit.link);
+    return [`Edited a note: ${quoteForAudit(edit.text)}`];
+  });
+}
+
+/**
+ * Delete a note from any day, after confirming
+ */
+function deleteHistoryNote(date, noteId) {
+  if (!confirm("Delete this note?")) return;
+
+  changeDay(date, (entry) => {
+    const note = findNote(entry, noteId);
+    removeNote(entry, noteId);
+    return [`Deleted a note: ${quoteForAudit(note?.text ?? "")}`];
+  });
+}
+
+// ============================================
+// BACKFILL & PAST-DAY EDITS
+// ============================================
+
+/**
+ * Apply a change to any day, then save and redraw
+ * Changes to a day other than today go into its audit trail (see
+ * backfill.js). If a change makes a judged day meet its goal, the user is
+ * offered to cancel that day's open punishment; if it makes a judged,
+ * non-exempt day fall short, the day gets its punishment like it would
+ * have when it was judged. Streaks are recalculated from the saved data
+ * when the page redraws.
+ * @param {string} date - Day key
+ * @param {Function} change - Receives the day's entry, changes it and
+ *   returns what changed as sentences (empty if nothing did)
+ * @returns {Promise<void>} - Resolves once the page is redrawn
+ */
+function changeDay(date, change) {
+  const isPast = date !== getTodayString();
+  const isNew = !dailyDataStore[date];
+  const entry = isNew
+    ? createDayEntry(dailyDataStore, date)
+    : dailyDataStore[date];
+  const wasComplete = isDayComplete(entry);
+
+  const changes = change(entry);
+  if (changes.length === 0) return Promise.resolve();
+
+  // A day that was never logged is only stored once something changes
+  if (isNew) {
+    if (!isPast) {
+      judgeDaysBefore(dailyDataStore, punishments, date);
+    }
+    dailyDataStore[date] = entry;
+  }
+
+  if (isPast && !wasComplete && isDayComplete(entry)) {
+    if (cancelPunishmentForDay(date)) {
+      changes.push("Cancelled the open punishment");
+    }
+  }
+  if (isPast && wasComplete && !isDayComplete(entry)) {
+    const punishment = addPunishmentForDay(date);
+    if (punishment) {
+      changes.push(
+        `Added a punishment (${punishment.items
+          .map((item) => item.text)
+          .join(", ")})`
+      );
+    }
+  }
+  if (isPast) {
+    recordDayEdit(entry, changes);
+  }
+
+  saveDailyData(dailyDataStore);
+  queueSync(dailyDataStore, runSync);
+  return loadNotesHistory();
+}
+
+/**
+ * Offer to cancel a day's open punishment, now that the day met its goal
+ * Punishments that were already done stay in the ledger as history
+ * @returns {boolean} - True if it was cancelled
+ */
+function cancelPunishmentForDay(date) {
+  const punishment = punishments.find((p) => p.day === date && !p.closedAt);
+  if (!punishment) return false;
+
+  if (
+    !confirm(
+      `${getDayLabel(date)} now meets its goal. Cancel its open punishment?`
+    )
+  ) {
+    return false;
+  }
+
+  punishments = punishments.filter((p) => p !== punishment);
+  savePunishments(punishments);
+  return true;
+}
+
+/**
+ * Punish a judged day that no longer meets its goal
+ * Exempt days and days not judged yet (today, future days) are left
+ * alone, and a day that already has a punishment keeps that one
+ * @returns {object|null} - The new punishment, or null if none was added
+ */
+function addPunishmentForDay(date) {
+  const entry = dailyDataStore[date];
+  if (
+    entry.exempt ||
+    new Date(date).getTime() >= new Date(getTodayString()).getTime() ||
+    punishments.some((p) => p.day === date)
+  ) {
+    return null;
+  }
+
+  const punishment = createPunishment(
+    punishments,
+    date,
+    loadSettings().punishmentRules,
+    dailyDataStore
+  );
+  savePunishments(punishments);
+  return punishment;
+}
+
+/**
+ * Check the approach count and time typed for a backfill
+ * @param {string} date - Day key the approaches are for
+ * @param {number} count - How many approaches
+ * @param {string} time - "HH:MM", or "" if unknown
+ * @returns {object|null} - { timestamp } (null timestamp for an unknown
+ *   time), or null after telling the user what's wrong
+ */
+function readBackfillInput(date, count, time) {
+  if (!Number.isInteger(count) || count < 1 || count > 100) {
+    alert("Enter between 1 and 100 approaches");
+    return null;
+  }
+
+  try {
+    return { timestamp: getBackfillTimestamp(date, time) };
+  } catch (error) {
+    alert(error.message);
+    return null;
+  }
+}
+
+/**
+ * Add approaches to a past day from its edit panel
+ */
+function backfillApproaches(date, count, time) {
+  const input = readBackfillInput(date, count, time);
+  if (!input) return;
+
+  changeDay(date, (entry) => [
+    addBackfilledApproaches(entry, count, input.timestamp),
+  ]);
+}
+
+/**
+ * Remove one approach from a past day, after confirming
+ */
+function removePastApproach(date, approachId) {
+  if (!confirm("Remove this approach?")) return;
+
+  changeDay(date, (entry) => {
+    const approach = entry.approaches.find(
+      (a) => String(a.id) === String(approachId)
+    );
+    if (!approach) return [];
+
+    const before = getApproachCount(entry);
+    entry.approaches = entry.approaches.filter((a) => a !== approach);
+    return [
+      `Removed ${
+        approach.timestamp
+          ? `the approach from ${formatApproachTime(approach.timestamp)}`
+          : "an approach with no time"
+      } ${describeCountChange(before, getApproachCount(entry))}`,
+    ];
+  });
+}
+
+/**
+ * Add a note to a past day from its edit panel
+ */
+function addPastNote(date, text) {
+  if (!text) {
+    alert("Please enter a note");
+    return;
+  }
+
+  changeDay(date, (entry) => [addBackfilledNote(entry, text)]);
+}
+
+/**
+ * Handle the buttons in a day's edit panel and timeline
+ */
+function handleDayAction(button) {
+  const section = button.closest(".day-section");
+  const date = section.dataset.date;
+  const action = button.dataset.dayAction;
+
+  if (action === "edit") {
+    editingDay = date;
+    filterNotes();
+  } else if (action === "close") {
+    editingDay = null;
+    filterNotes();
+  } else if (action === "add-approaches") {
+    backfillApproaches(
+      date,
+      Number(section.querySelector(".backfill-count").value),
+      section.querySelector(".backfill-time").value
+    );
+  } else if (action === "add-note") {
+    addPastNote(date, section.querySelector(".backfill-note").value.trim());
+  } else if (action === "remove-approach") {
+    removePastApproach(
+      date,
+      button.closest("[data-approach-id]").dataset.approachId
+    );
+  }
+}
+
+// ============================================
+// LOG A MISSED DAY
+// ============================================
+
+/**
+ * Show the missed-day form
+ * Only days before today can be picked - today is logged on the dashboard
+ */
+function showMissedDayForm() {
+  const yesterday = toIsoDate(shiftDayKey(getTodayString(), -1));
+  const dateInput = document.getElementById("missedDate");
+  dateInput.max = yesterday;
+  dateInput.value = dateInput.value || yesterday;
+
+  document.getElementById("missedDayForm").classList.remove("hidden");
+  document.getElementById("logMissedDayBtn").classList.add("hidden");
+}
+
+/**
+ * Hide and reset the missed-day form
+ */
+function hideMissedDayForm() {
+  document.getElementById("missedDayForm").classList.add("hidden");
+  document.getElementById("logMissedDayBtn").classList.remove("hidden");
+  document.getElementById("missedDate").value = "";
+  document.getElementById("missedCount").value = "";
+  document.getElementById("missedTime").value = "";
+  document.getElementById("missedNote").value = "";
+}
+
+/**
+ * Log approaches (and optionally a note) for a day that was never logged
+ * A day that already has an entry gets them added to it. The day's edit
+ * panel is then opened so more can be fixed up.
+ */
+function saveMissedDay() {
+  const isoDate = document.getElementById("missedDate").value;
+  const count = Number(document.getElementById("missedCount").value);
+  const time = document.getElementById("missedTime").value;
+  const note = document.getElementById("missedNote").value.trim();
+
+  if (!isoDate) {
+    alert("Pick the day you missed");
+    return;
+  }
+  const [year, month, day] = isoDate.split("-").map(Number);
+  const date = formatDayKey(year, month - 1, day);
+  if (new Date(date) >= new Date(getTodayString())) {
+    alert("Only past days can be backfilled - log today on the dashboard");
+    return;
+  }
+  if (!count && !note) {
+    alert("Enter how many approaches you did, or a note");
+    return;
+  }
+
+  const input = count ? readBackfillInput(date, count, time) : null;
+  if (count && !input) return;
+
+  const isNew = !dailyDataStore[date];
+  hideMissedDayForm();
+  editingDay = date;
+
+  changeDay(date, (entry) => [
+    ...(isNew ? ["Logged a missed day"] : []),
+    ...(count ? [addBackfilledApproaches(entry, count, input.timestamp)] : []),
+    ...(note ? [addBackfilledNote(entry, note)] : []),
+  ]).then(() => {
+    document
+      .querySelector(`.day-section[data-date="${date}"]`)
+      ?.scrollIntoView({ behavior: "smooth", block: "start" });
+  });
+}
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Escape HTML to prevent XSS attacks
+ * Converts special characters to HTML entities
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Optional: Export daily data as text file
+ * Includes approach counts and notes for each day
+ */
+function exportNotesAsText() {
+  if (Object.keys(dailyDataStore).length === 0) {
+    alert("No data to export");
+    return;
+  }
+
+  let textContent = "10 OR DIE - DAILY DATA EXPORT\n";
+  textContent += "Generated: " + new Date().toLocaleString() + "\n";
+  textContent += "=".repeat(50) + "\n\n";
+
+  // Sort dates (newest first)
+  const dates = Object.keys(dailyDataStore).sort((a, b) => {
+    return new Date(b) - new Date(a);
+  });
+
+  // Build text content
+  dates.forEach((date) => {
+    const entry = dailyDataStore[date];
+    const approachCount = getApproachCount(entry);
+    const notes = entry.notes || [];
+
+    textContent += getDayLabel(date) + "\n";
+    textContent += "-".repeat(30) + "\n";
+    textContent += `Approaches: ${approachCount}/${getDayGoal(entry)}\n`;
+    if (entry.exempt) {
+      textContent += `Exempt: ${describeExemption(entry.exempt)}\n`;
+    }
+
+    if (notes.length > 0) {
+      textContent += `Notes (${notes.length}):\n`;
+      notes.forEach((note, index) => {
+        textContent += `  ${index + 1}. [${note.timestamp}] ${note.text}\n`;
+      });
+    } else {
+      textContent += "No notes recorded.\n";
+    }
+
+    textContent += "\n";
+  });
+
+  downloadFile(
+    textContent,
+    `10ordie-export-${new Date().toISOString().split("T")[0]}.txt`,
+    "text/plain"
+  );
+}
+
+/**
+ * Trigger a browser download of generated content
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type: type });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+}
+
+// ============================================
+// CSV EXPORT
+// ============================================
+
+/**
+ * Quote one CSV field per RFC 4180
+ * Fields containing commas, quotes or line breaks are wrapped in quotes,
+ * with any quotes inside doubled: He said "hi" -> "He said ""hi"""
+ * Text starting with =, +, -, @, a tab or a carriage return gets a leading
+ * ' so spreadsheet apps show it instead of running it as a formula
+ */
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Turn rows of values into CSV text
+ * Starts with a byte order mark so spreadsheet apps read it as UTF-8
+ * @param {Array} header - Column names
+ * @param {Array} rows - Arrays of values, one per row
+ * @returns {string} - CSV file contents
+ */
+function toCsv(header, rows) {
+  const lines = [header, ...rows].map((row) =>
+    row.map(escapeCsvField).join(",")
+  );
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Get the days to export: the current search, narrowed to the chosen range
+ * Range bounds are ISO dates from the date inputs; either may be empty
+ * @returns {Array} - [dayKey, entry] pairs, oldest first
+ */
+function getExportDays() {
+  const from = document.getElementById("exportFrom").value;
+  const to = document.getElementById("exportTo").value;
+  const filteredData = getFilteredData();
+
+  return Object.keys(filteredData)
+    .filter((date) => {
+      const isoDate = toIsoDate(date);
+      return (!from || isoDate >= from) && (!to || isoDate <= to);
+    })
+    .sort((a, b) => new Date(a) - new Date(b))
+    .map((date) => [date, filteredData[date]]);
+}
+
+/**
+ * Export one row per day: date, goal, approaches, completed, exempt, notes
+ * Counts come from the full day, even when a search narrowed its notes
+ * exempt is the exemption type ("rest", "vacation", "sick", "other",
+ * "freeze") or empty for a normal day
+ */
+function exportDaysAsCsv() {
+  const days = getExportDays();
+  if (days.length === 0) {
+    alert("No days match the current search and date range");
+    return;
+  }
+
+  const rows = days.map(([date]) => {
+    const entry = dailyDataStore[date];
+    return [
+      toIsoDate(date),
+      getDayGoal(entry),
+      getApproachCount(entry),
+      isDayComplete(entry) ? "yes" : "no",
+      entry.exempt ? entry.exempt.type : "",
+      (entry.notes || []).length,
+    ];
+  });
+
+  downloadFile(
+    toCsv(["date", "goal", "approaches", "completed", "exempt", "notes"], rows),
+    `10ordie-days-${new Date().toISOString().split("T")[0]}.csv`,
+    "text/csv"
+  );
+}
+
+/**
+ * Export one row per note: date, time, text, tags
+ * Only notes matching the current search are included
+ */
+function exportNotesAsCsv() {
+  const rows = [];
+  getExportDays().forEach(([date, entry]) => {
+    (entry.notes || []).forEach((note) => {
+      rows.push([
+        toIsoDate(date),
+        note.timestamp,
+        note.text,
+        getNoteTags(note).join(" "),
+      ]);
+    });
+  });
+
+  if (rows.length === 0) {
+    alert("No notes match the current search and date range");
+    return;
+  }
+
+  downloadFile(
+    toCsv(["date", "time", "text", "tags"], rows),
+    `10ordie-notes-${new Date().toISOString().split("T")[0]}.csv`,
+    "text/csv"
+  );
+}
+
+// ============================================
+// ACCOUNTABILITY REPORT
+// ============================================
+
+/**
+ * Fill the report options from the last ones used
+ */
+function setUpReportOptions() {
+  const { wingman, days } = loadSettings().report;
+  const daysSelect = document.getElementById("reportDays");
+
+  REPORT_DAY_OPTIONS.forEach((count) => {
+    daysSelect.appendChild(new Option(count, count));
+  });
+  daysSelect.value = REPORT_DAY_OPTIONS.includes(days) ? days : 7;
+  document.getElementById("reportWingman").value = wingman;
+}
+
+/**
+ * Read the report options
+ * @returns {object} - { wingman, days }
+ */
+function readReportOptions() {
+  return {
+    wingman: document.getElementById("reportWingman").value.trim(),
+    days: Number(document.getElementById("reportDays").value),
+  };
+}
+
+/**
+ * Remember the report options for next time (see settings.js)
+ */
+function saveReportOptions() {
+  const settings = loadSettings();
+  settings.report = readReportOptions();
+  saveSettings(settings);
+  displayReport();
+}
+
+/**
+ * Show the text report for the current options
+ * @returns {string} - The report text
+ */
+function displayReport() {
+  const { wingman, days } = readReportOptions();
+  const text = formatReportText(
+    buildReport(dailyDataStore, punishments, days),
+    wingman
+  );
+  document.getElementById("reportText").value = text;
+  return text;
+}
+
+/**
+ * Copy the text report to the clipboard
+ * Where the clipboard isn't available the text is selected instead, so
+ * it can still be copied by hand
+ */
+function copyReport() {
+  const text = displayReport();
+  const textBox = document.getElementById("reportText");
+
+  const copied = navigator.clipboard
+    ? navigator.clipboard.writeText(text)
+    : Promise.reject(new Error("Clipboard not available"));
+
+  copied
+    .then(() => alert("Report copied - paste it into any message"))
+    .catch((error) => {
+      console.error("Error copying report:", error);
+      textBox.focus();
+      textBox.select();
+      alert("Couldn't copy automatically - the report is selected below");
+    });
+}
+
+/**
+ * Draw the report as an image and download it as a PNG
+ */
+function saveReportImage() {
+  const { wingman, days } = readReportOptions();
+
+  try {
+    const canvas = document.createElement("canvas");
+    drawReportImage(
+      canvas,
+      buildReport(dailyDataStore, punishments, days),
+      wingman
+    );
+    canvas.toBlob((blob) => {
+      downloadFile(
+        blob,
+        `10ordie-report-${new Date().toISOString().split("T")[0]}.png`,
+        "image/png"
+      );
+    }, "image/png");
+  } catch (error) {
+    console.error("Error drawing report:", error);
+    alert("Couldn't create the report image");
+  }
+}
+
+// ============================================
+// GROUP MODE
+// ============================================
+
+/**
+ * Fill the group options from settings
+ */
+function setUpGroupOptions() {
+  const { name, period, rankBy } = loadSettings().group;
+  const periodSelect = document.getElementById("groupPeriod");
+  const rankSelect = document.getElementById("groupRankBy");
+  const unitSelect = document.getElementById("challengeUnit");
+  const scopeSelect = document.getElementById("challengeScope");
+
+  Object.keys(GROUP_PERIODS).forEach((key) => {
+    periodSelect.appendChild(new Option(GROUP_PERIODS[key], key));
+  });
+  Object.keys(GROUP_RANKINGS).forEach((key) => {
+    rankSelect.appendChild(new Option(GROUP_RANKINGS[key], key));
+  });
+  Object.keys(CHALLENGE_UNITS).forEach((key) => {
+    unitSelect.appendChild(new Option(CHALLENGE_UNITS[key], key));
+  });
+  Object.keys(CHALLENGE_SCOPES).forEach((key) => {
+    scopeSelect.appendChild(new Option(CHALLENGE_SCOPES[key], key));
+  });
+
+  periodSelect.value = GROUP_PERIODS[period] ? period : "week";
+  rankSelect.value = GROUP_RANKINGS[rankBy] ? rankBy : "streak";
+  document.getElementById("groupName").value = name;
+  document.getElementById("challengeStart").value = toIsoDate(getTodayString());
+  document
+    .getElementById("refreshGroupBtn")
+    .classList.toggle("hidden", !isSyncConfigured());
+}
+
+/**
+ * Remember the group options (see settings.js)
+ */
+function saveGroupOptions() {
+  const settings = loadSettings();
+  settings.group = {
+    ...DEFAULT_GROUP,
+    ...settings.group,
+    name: document.getElementById("groupName").value.trim(),
+    period: document.getElementById("groupPeriod").value,
+    rankBy: document.getElementById("groupRankBy").value,
+  };
+  saveSettings(settings);
+  displayGroup();
+}
+
+/**
+ * Everyone on the leaderboard: this device, then the members
+ * @returns {Array} - [{ id, name, dailyData, exemptions, source, isMe }]
+ */
+function getGroupPlayers() {
+  const settings = loadSettings();
+  const members = loadGroupMembers();
+  return [
+    {
+      id: "",
+      name: settings.group.name || "You",
+      dailyData: dailyDataStore,
+      exemptions: settings.exemptions,
+      source: "",
+      isMe: true,
+    },
+    ...Object.keys(members).map((id) => ({ id: id, ...members[id] })),
+  ];
+}
+
+/**
+ * Show the leaderboard and challenges
+ */
+function displayGroup() {
+  const { period, rankBy, challenges } = loadSettings().group;
+  const players = getGroupPlayers();
+
+  const rows = buildLeaderboard(players, period, rankBy)
+    .map((row) => {
+      const { stats } = row;
+      const updated = row.isMe
+        ? "This device"
+        : `${row.source === "server" ? "Sync server" : "Imported file"}, ${
+            row.updatedAt ? new Date(row.updatedAt).toLocaleString() : ""
+          }`;
+      return `
+        <tr class="${row.isMe ? "leaderboard-me" : ""}">
+          <td class="leaderboard-rank">${row.rank}</td>
+          <td title="${escapeMarkup(updated)}">${escapeHtml(row.name)}</td>
+          <td>${stats.streak}</td>
+          <td>${
+            stats.rate === null ? "-" : `${Math.round(stats.rate * 100)}%`
+          }</td>
+          <td>${stats.approaches}</td>
+          <td>${
+            row.isMe
+              ? ""
+              : `<button class="note-action" data-remove-member="${escapeMarkup(
+                  row.id
+                )}" title="Remove ${escapeMarkup(row.name)}">✕</button>`
+          }</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  document.getElementById("leaderboard").innerHTML = `
+    <thead>
+      <tr>
+        <th>#</th>
+        <th>Name</th>
+        <th>Streak</th>
+        <th>Rate</th>
+        <th>Approaches</th>
+        <th></th>
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>
+  `;
+
+  displayChallenges(challenges, players);
+}
+
+/**
+ * Show each challenge with everyone's progress
+ */
+function displayChallenges(challenges, players) {
+  const list = document.getElementById("challengeList");
+  if (challenges.length === 0) {
+    list.innerHTML = `<p class="settings-hint">No challenges yet.</p>`;
+    return;
+  }
+
+  list.innerHTML = challenges
+    .map((challenge) => {
+      const progress = getChallengeProgress(challenge, players);
+      const percent = (value) =>
+        Math.min(100, Math.round((value / challenge.target) * 100));
+      const bar = (value) => `
+        <div class="challenge-bar">
+          <div class="challenge-fill" style="width: ${percent(value)}%"></div>
+        </div>
+      `;
+
+      const each = challenge.scope === "each";
+      const dates = `${formatReportDate(progress.start)} - ${formatReportDate(
+        progress.end
+      )}`;
+
+      const members = progress.members
+        .map(
+          (member) => `
+            <li>
+              <span>${escapeHtml(member.name)}</span>
+              <span>${
+                each ? `${member.value} / ${challenge.target}` : member.value
+              }</span>
+              ${each ? bar(member.value) : ""}
+            </li>
+          `
+        )
+        .join("");
+
+      return `
+        <div class="challenge-item ${
+          progress.reached ? "challenge-reached" : ""
+        }">
+          <div class="challenge-header">
+            <strong>${escapeHtml(challenge.title)}</strong>
+            <button class="note-action" data-remove-challenge="${escapeMarkup(
+              challenge.id
+            )}" title="Remove challenge">✕</button>
+          </div>
+          <p class="settings-hint">
+            ${CHALLENGE_SCOPES[challenge.scope]}: ${challenge.target}
+            ${CHALLENGE_UNITS[challenge.unit]} · ${dates} ·
+            ${describeChallengeStatus(progress)}
+          </p>
+          ${
+            each
+              ? ""
+              : `<p class="challenge-total">${progress.total} / ${
+                  challenge.target
+                }</p>
+                ${bar(progress.total)}`
+          }
+          <ul class="challenge-members">${members}</ul>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+/**
+ * Add the challenge from the form
+ */
+function addChallenge() {
+  let challenge;
+  try {
+    challenge = normalizeChallenge({
+      title: document.getElementById("challengeTitle").value,
+      target: document.getElementById("challengeTarget").value,
+      unit: document.getElementById("challengeUnit").value,
+      scope: document.getElementById("challengeScope").value,
+      start: document.getElementById("challengeStart").value,
+      days: document.getElementById("challengeDays").value,
+    });
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  const settings = loadSettings();
+  settings.group = {
+    ...DEFAULT_GROUP,
+    ...settings.group,
+    challenges: [...settings.group.challenges, challenge],
+  };
+  saveSettings(settings);
+
+  document.getElementById("challengeTitle").value = "";
+  document.getElementById("challengeTarget").value = "";
+  displayGroup();
+}
+
+function removeChallenge(id) {
+  const settings = loadSettings();
+  const challenge = settings.group.challenges.find((c) => c.id === id);
+  if (!challenge || !confirm(`Remove the challenge "${challenge.title}"?`)) {
+    return;
+  }
+  settings.group = {
+    ...settings.group,
+    challenges: settings.group.challenges.filter((c) => c.id !== id),
+  };
+  saveSettings(settings);
+  displayGroup();
+}
+
+function removeGroupMember(id) {
+  const members = loadGroupMembers();
+  if (!members[id] || !confirm(`Remove ${members[id].name} from the group?`)) {
+    return;
+  }
+  delete members[id];
+  saveGroupMembers(members);
+  displayGroup();
+}
+
+/**
+ * Add members from the exported files chosen in the file input
+ * Each file's name comes from its owner's group settings; files without
+ * one ask for it. Any challenges in the files are added too.
+ */
+function importGroupMembers() {
+  const files = [...document.getElementById("memberFiles").files];
+  if (files.length === 0) {
+    alert("Choose your group's exported files first");
+    return;
+  }
+
+  const myId = getMemberId(loadSettings().group.name || "You");
+  const members = loadGroupMembers();
+  let challenges = loadSettings().group.challenges;
+  const added = [];
+
+  files
+    .reduce(
+      (previous, file) =>
+        previous.then(() =>
+          file.text().then((text) => {
+            const member = readMemberFile(text);
+            const name =
+              member.name ||
+              (prompt(`Whose file is ${file.name}?`) || "").trim();
+            if (!name) return;
+            if (getMemberId(name) === myId) {
+              throw new Error(`${file.name} is named ${name}, like you`);
+            }
+
+            setGroupMember(members, { ...member, name, source: "file" });
+            challenges = mergeChallenges(challenges, member.challenges);
+            added.push(name);
+          })
+        ),
+      Promise.resolve()
+    )
+    .then(() => {
+      saveGroupMembers(members);
+      const settings = loadSettings();
+      settings.group = { ...DEFAULT_GROUP, ...settings.group, challenges };
+      saveSettings(settings);
+
+      document.getElementById("memberFiles").value = "";
+      displayGroup();
+      if (added.length > 0) alert(`Added to the group: ${added.join(", ")}`);
+    })
+    .catch((error) => {
+      console.error("Error importing group files:", error);
+      alert(`Import failed: ${error.message}`);
+    });
+}
+
+/**
+ * Replace the members from the sync server with what it has now
+ * @param {boolean} quiet - Skip the alerts (for the refresh on page load)
+ * @returns {Promise<void>}
+ */
+function refreshGroupFromServer(quiet = false) {
+  if (!isSyncConfigured()) return Promise.resolve();
+
+  return fetchServerMembers()
+    .then((serverMembers) => {
+      const members = loadGroupMembers();
+      Object.keys(members).forEach((id) => {
+        if (members[id].source === "server") delete members[id];
+      });
+      serverMembers.forEach((member) =>
+        setGroupMember(members, { ...member, source: "server" })
+      );
+      saveGroupMembers(members);
+      displayGroup();
+      if (!quiet) {
+        alert(
+          `${serverMembers.length} ${
+            serverMembers.length === 1 ? "member" : "members"
+          } on the sync server`
+        );
+      }
+    })
+    .catch((error) => {
+      console.error("Error loading the group from the server:", error);
+      if (!quiet) alert(`Couldn't reach the sync server: ${error.message}`);
+    });
+}
+
+/**
+ * Download this device's group file, to send to the group
+ */
+function exportGroupFile() {
+  downloadFile(
+    JSON.stringify(buildGroupFile(dailyDataStore, loadSettings()), null, 2),
+    `10ordie-group-${new Date().toISOString().split("T")[0]}.json`,
+    "application/json"
+  );
+}
+
+// ============================================
+// JSON BACKUP
+// ============================================
+
+/**
+ * Export everything (daily data, settings, punishments) as a JSON backup
+ * Unlike the text export, this file can be imported again (see backup.js)
+ */
+function exportBackupAsJson() {
+  const backup = buildBackup(dailyDataStore, loadSettings(), punishments);
+  downloadFile(
+    JSON.stringify(backup, null, 2),
+    `10ordie-backup-${new Date().toISOString().split("T")[0]}.json`,
+    "application/json"
+  );
+}
+
+/**
+ * Import a JSON backup chosen in the file input
+ * Merge: combines the backup with this device's data (nothing is lost)
+ * Replace: this device's data, settings and punishments become the backup's
+ */
+function importBackup() {
+  const file = document.getElementById("importFile").files[0];
+  if (!file) {
+    alert("Choose a backup file first");
+    return;
+  }
+
+  const mode = document.querySelector('input[name="importMode"]:checked').value;
+
+  file
+    .text()
+    .then((text) => {
+      const backup = parseBackup(text);
+      if (backup.groupFile) {
+        throw new Error(
+          "This is a group file - add it to the leaderboard under Group"
+        );
+      }
+      const dayCount = Object.keys(backup.dailyDataStore).length;
+
+      if (mode === "replace") {
+        const confirmed = confirm(
+          `Replace ALL data on this device with the backup (${dayCount} ${
+            dayCount === 1 ? "day" : "days"
+          })? This cannot be undone.`
+        );
+        if (!confirmed) return;
+
+        dailyDataStore = backup.dailyDataStore;
+        punishments = backup.punishments;
+        if (backup.settings) {
+          const group = backup.settings.group;
+          group.challenges = mergeChallenges([], group.challenges);
+          saveSettings(backup.settings);
+        }
+      } else {
+        dailyDataStore = mergeDailyData(dailyDataStore, backup.dailyDataStore);
+        punishments = mergePunishments(punishments, backup.punishments);
+      }
+
+      saveDailyData(dailyDataStore);
+      queueSync(dailyDataStore, runSync);
+      savePunishments(punishments);
+      loadNotesHistory();
+
+      document.getElementById("importFile").value = "";
+      alert(
+        `Backup ${mode === "replace" ? "restored" : "merged"}: ${dayCount} ${
+          dayCount === 1 ? "day" : "days"
+        }`
+      );
+    })
+    .catch((error) => {
+      console.error("Error importing backup:", error);
+      alert(`Import failed: ${error.message}`);
+    });
+}
+
+/**
+ * Optional: Clear all daily data (with confirmation)
+ * Permanently deletes all stored daily data
+ */
+function clearAllNotes() {
+  const confirmed = confirm(
+    "Are you sure you want to delete ALL data? This cannot be undone."
+  );
+
+  if (confirmed) {
+    const doubleCheck = confirm(
+      "This will permanently delete all your daily data (approaches and notes). Are you absolutely sure?"
+    );
+
+    if (doubleCheck) {
+      clearDailyData();
+      dailyDataStore = {};
+      displayNoNotes();
+      updateStats(0, 0, 0, 0, 0);
+    }
+  }
+}
+
+// ============================================
+// SERVER SYNC
+// ============================================
+
+/**
+ * Sync with the server (see sync.js) and take in other devices' changes
+ * @returns {Promise<void>}
+ */
+function runSync() {
+  return syncNow(dailyDataStore, (records) => {
+    records.forEach((record) => applySyncRecord(dailyDataStore, record));
+    return saveDailyData(dailyDataStore).then(() => loadNotesHistory());
+  });
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Initialize the page when DOM is ready
+ * Load notes and set up any event listeners
+ */
+document.addEventListener("DOMContentLoaded", function () {
+  readSearchFromUrl();
+  loadNotesHistory().then(() => startSyncLoop(runSync));
+
+  document
+    .getElementById("searchInput")
+    .addEventListener("input", handleSearchInput);
+
+  // Attach event listeners for notes
+  document
+    .getElementById("addNoteBtn")
+    .addEventListener("click", showNoteInput);
+  document.getElementById("saveNoteBtn").addEventListener("click", saveNote);
+  document
+    .getElementById("cancelNoteBtn")
+    .addEventListener("click", hideNoteInput);
+
+  // Tag chips (in the filter bar or on a note) filter the history
+  document.getElementById("tagFilter").addEventListener("click", (event) => {
+    const chip = event.target.closest("[data-tag]");
+    if (chip) {
+      toggleTagFilter(chip.dataset.tag);
+    }
+  });
+
+  // Edit/delete/save/cancel on notes and past days - one delegated
+  // listener, since the history is re-rendered on every change
+  document.getElementById("notesHistory").addEventListener("click", (event) => {
+    const chip = event.target.closest("[data-tag]");
+    if (chip) {
+      toggleTagFilter(chip.dataset.tag);
+      return;
+    }
+
+    const dayButton = event.target.closest("[data-day-action]");
+    if (dayButton) {
+      handleDayAction(dayButton);
+      return;
+    }
+
+    const button = event.target.closest(".note-action");
+    if (!button) return;
+
+    const date = button.closest("[data-date]").dataset.date;
+    const noteId = button.closest("[data-note-id]").dataset.noteId;
+
+    if (button.dataset.action === "edit") {
+      editHistoryNote(date, noteId);
+    } else if (button.dataset.action === "delete") {
+      deleteHistoryNote(date, noteId);
+    } else if (button.dataset.action === "save") {
+      saveHistoryNote(button.closest(".note-editing"));
+    } else if (button.dataset.action === "cancel") {
+      editingNote = null;
+      filterNotes();
+    }
+  });
+
+  // Missed-day form
+  document
+    .getElementById("logMissedDayBtn")
+    .addEventListener("click", showMissedDayForm);
+  document
+    .getElementById("saveMissedBtn")
+    .addEventListener("click", saveMissedDay);
+  document
+    .getElementById("cancelMissedBtn")
+    .addEventListener("click", hideMissedDayForm);
+
+  // Heatmap cells jump to their day
+  document.getElementById("heatmap").addEventListener("click", (event) => {
+    const cell = event.target.closest("[data-date]");
+    if (cell) {
+      showDayFromHeatmap(cell.dataset.date);
+    }
+  });
+
+  // Backup and export buttons
+  document
+    .getElementById("exportJsonBtn")
+    .addEventListener("click", exportBackupAsJson);
+  document
+    .getElementById("exportTextBtn")
+    .addEventListener("click", exportNotesAsText);
+  document.getElementById("importBtn").addEventListener("click", importBackup);
+  document
+    .getElementById("exportDaysCsvBtn")
+    .addEventListener("click", exportDaysAsCsv);
+  document
+    .getElementById("exportNotesCsvBtn")
+    .addEventListener("click", exportNotesAsCsv);
+
+  // Accountability report
+  setUpReportOptions();
+  document
+    .getElementById("reportWingman")
+    .addEventListener("input", displayReport);
+  document
+    .getElementById("reportWingman")
+    .addEventListener("change", saveReportOptions);
+  document
+    .getElementById("reportDays")
+    .addEventListener("change", saveReportOptions);
+  document
+    .getElementById("copyReportBtn")
+    .addEventListener("click", copyReport);
+  document
+    .getElementById("saveReportImageBtn")
+    .addEventListener("click", saveReportImage);
+
+  // Group mode
+  setUpGroupOptions();
+  document
+    .getElementById("groupName")
+    .addEventListener("change", saveGroupOptions);
+  document
+    .getElementById("groupPeriod")
+    .addEventListener("change", saveGroupOptions);
+  document
+    .getElementById("groupRankBy")
+    .addEventListener("change", saveGroupOptions);
+  document
+    .getElementById("importMembersBtn")
+    .addEventListener("click", importGroupMembers);
+  document
+    .getElementById("refreshGroupBtn")
+    .addEventListener("click", () => refreshGroupFromServer());
+  document
+    .getElementById("exportGroupBtn")
+    .addEventListener("click", exportGroupFile);
+  document
+    .getElementById("addChallengeBtn")
+    .addEventListener("click", addChallenge);
+  document.getElementById("leaderboard").addEventListener("click", (event) => {
+    const button = event.target.closest("[data-remove-member]");
+    if (button) removeGroupMember(button.dataset.removeMember);
+  });
+  document
+    .getElementById("challengeList")
+    .addEventListener("click", (event) => {
+      const button = event.target.closest("[data-remove-challenge]");
+      if (button) removeChallenge(button.dataset.removeChallenge);
+    });
+  refreshGroupFromServer(true);
+
+  // Optional: Add keyboard shortcut for search (Ctrl/Cmd + F)
+  document.addEventListener("keydown", function (e) {
+    if ((e.ctrlKey || e.metaKey) && e.key === "f") {
+      e.preventDefault();
+      document.getElementById("searchInput").focus();
+    }
+  });
+});
+
+// Reload whenever another tab (dashboard or history) saves something
+onStorageChange(() => loadNotesHistory());
@@ -0,0 +1,300 @@
+// ============================================
+// PUNISHMENT LEDGER
+// ============================================
+// Shared by index.html and notes.html. Requires settings.js, days.js,
+// approaches.js and exemptions.js.
+//
+// Every failed day creates one punishment record, stored in localStorage
+// under "punishments" (an array, oldest first):
+// {
+//   id, day,          // the failed day's key
+//   dueDay,           // day key whose deadline the punishment is due by
+//   createdAt,        // Unix timestamp in milliseconds
+//   closedAt,         // set once every item is checked off, else null
+//   reason: { approaches, goal, consecutiveFailures, multiplier },
+//   items: [{ id, text, done, doneAt, attachmentId }]
+// }
+// attachmentId points at a photo/video in IndexedDB (see attachments.js).
+// Items are generated from the punishment rules in settings when the day
+// is judged, so later rule changes never rewrite an existing punishment.
+
+/**
+ * Load the punishment ledger from localStorage
+ * @returns {Array} - Punishment records (empty array if none or unreadable)
+ */
+function loadPunishments() {
+  const stored = localStorage.getItem("punishments");
+  if (!stored) return [];
+
+  try {
+    const punishments = JSON.parse(stored);
+    return Array.isArray(punishments) ? punishments : [];
+  } catch (error) {
+    console.error("Error loading punishments:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the punishment ledger to localStorage
+ * @param {Array} punishments - Full list of punishment records
+ */
+function savePunishments(punishments) {
+  localStorage.setItem("punishments", JSON.stringify(punishments));
+}
+
+/**
+ * Count the misses in a row directly before a day
+ * Days without an entry count as misses too, back to the first day with
+ * any data (nothing before that can be held against you). Exempt days are
+ * stepped over, so a rest day between two misses doesn't reset the count.
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} day - Day key to count back from (not included)
+ * @param {object} settings - Settings with exemptions
+ * @returns {number} - Consecutive failed days before it
+ */
+function countConsecutiveFailures(dailyData, day, settings = loadSettings()) {
+  const dates = Object.keys(dailyData);
+  if (dates.length === 0) return 0;
+
+  const earliest = Math.min(...dates.map((date) => new Date(date).getTime()));
+  const exemptions = mapExemptions(dailyData, day, settings);
+
+  let count = 0;
+  let previous = shiftDayKey(day, -1);
+  while (
+    new Date(previous).getTime() >= earliest &&
+    !isDayComplete(dailyData[previous])
+  ) {
+    if (!exemptions[previous]) count++;
+    previous = shiftDayKey(previous, -1);
+  }
+  return count;
+}
+
+/**
+ * Work out what a failed day's punishment consists of
+ * Each rule item's amount is:
+ *   amount x shortfall (if scaleByShortfall) x escalation multiplier
+ * rounded up, and never less than 1.
+ * @param {object} rules - settings.punishmentRules
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} failedDay - Day key of the failed day
+ * @returns {object} - { items: ["700 air squats", ...], reason: {...} }
+ */
+function buildPunishment(rules, dailyData, failedDay) {
+  const entry = dailyData[failedDay];
+  // A day the app was never opened on is held to the current goal
+  const goal = entry ? getDayGoal(entry) : loadSettings().dailyGoal;
+  const approaches = getApproachCount(entry);
+
+  const shortfall = Math.max(0, goal - approaches) / goal;
+  const consecutiveFailures = countConsecutiveFailures(dailyData, failedDay);
+  const multiplier = 1 + (rules.escalationPercent / 100) * consecutiveFailures;
+  const scale = (rules.scaleByShortfall ? shortfall : 1) * multiplier;
+
+  return {
+    items: rules.items.map(
+      (item) => `${Math.max(1, Math.ceil(item.amount * scale))} ${item.label}`
+    ),
+    reason: {
+      approaches: approaches,
+      goal: goal,
+      consecutiveFailures: consecutiveFailures,
+      multiplier: multiplier,
+    },
+  };
+}
+
+/**
+ * Create the punishment for a failed day from the current rules
+ * Does nothing if that day already has one, so it's safe to call every
+ * time the day is judged (page loads, deadline rollovers, other tabs).
+ * @param {Array} punishments - Ledger (modified in place)
+ * @param {string} failedDay - Day key of the failed day
+ * @param {object} rules - settings.punishmentRules
+ * @param {object} dailyData - dailyDataStore
+ * @returns {object} - The new or existing punishment record
+ */
+function createPunishment(punishments, failedDay, rules, dailyData) {
+  const existing = punishments.find((p) => p.day === failedDay);
+  if (existing) return existing;
+
+  const { items, reason } = buildPunishment(rules, dailyData, failedDay);
+
+  // Several days can be judged in the same millisecond (see startDay in
+  // app.js), so the id goes past the newest one already in the ledger
+  const now = Date.now();
+  const punishment = {
+    id: Math.max(now, ...punishments.map((p) => Number(p.id) + 1 || 0)),
+    day: failedDay,
+    dueDay: shiftDayKey(failedDay, 1),
+    createdAt: now,
+    closedAt: null,
+    reason: reason,
+    items: items.map((text, index) => ({
+      id: index + 1,
+      text: text,
+      done: false,
+      doneAt: null,
+      attachmentId: null,
+    })),
+  };
+
+  punishments.push(punishment);
+  return punishment;
+}
+
+/**
+ * Judge every day from the last entry up to the day before a new day
+ * Called when a day is started (on either page), oldest first, so days the
+ * app wasn't opened on aren't let off:
+ * - A logged day that failed (approaches < its own goal) and wasn't
+ *   exempt spends a streak freeze if the month has one left
+ * - A day with no entry follows the current schedule, then any freezes
+ *   left in its month (see mapExemptions())
+ * - Whatever is still failed and not exempt gets its punishment from the
+ *   rules (once - re-judging the same day is harmless)
+ * @param {object} dailyData - dailyDataStore (freezes are stamped on it)
+ * @param {Array} punishments - Ledger (modified in place and saved)
+ * @param {string} today - Day key of the day being started
+ * @param {object} settings - Settings with punishmentRules and exemptions
+ */
+function judgeDaysBefore(
+  dailyData,
+  punishments,
+  today,
+  settings = loadSettings()
+) {
+  const todayTime = new Date(today).getTime();
+  const pastDays = Object.keys(dailyData).filter(
+    (date) => new Date(date).getTime() < todayTime
+  );
+  if (pastDays.length === 0) return;
+
+  const lastEntry = pastDays.reduce((a, b) =>
+    new Date(a) >= new Date(b) ? a : b
+  );
+  const last = dailyData[lastEntry];
+
+  // Judged against that day's own goal, not today's setting
+  if (
+    !isDayComplete(last) &&
+    !last.exempt &&
+    !useStreakFreeze(dailyData, lastEntry, settings)
+  ) {
+    createPunishment(
+      punishments,
+      lastEntry,
+      settings.punishmentRules,
+      dailyData
+    );
+  }
+
+  // Worked out after the last entry's freeze, so it counts against the
+  // month's allowance
+  const exemptions = mapExemptions(dailyData, today, settings);
+  for (
+    let day = shiftDayKey(lastEntry, 1);
+    day !== today;
+    day = shiftDayKey(day, 1)
+  ) {
+    if (!exemptions[day]) {
+      createPunishment(punishments, day, settings.punishmentRules, dailyData);
+    }
+  }
+
+  savePunishments(punishments);
+}
+
+/**
+ * Describe why a punishment is the size it is
+ * Example: "3/10 approaches · 2nd miss in a row (x1.5)"
+ * @param {object} punishment - Punishment record
+ * @returns {string} - Summary ("" for records without a reason)
+ */
+function describePunishmentReason(punishment) {
+  const reason = punishment.reason;
+  if (!reason) return "";
+
+  let text = `${reason.approaches}/${reason.goal} approaches`;
+  if (reason.consecutiveFailures > 0) {
+    text += ` · ${formatOrdinal(reason.consecutiveFailures + 1)} miss in a row`;
+  }
+  if (reason.multiplier !== 1) {
+    text += ` (x${Number(reason.multiplier.toFixed(2))})`;
+  }
+  return text;
+}
+
+/**
+ * Format a number as an ordinal, e.g. 2 -> "2nd", 11 -> "11th", 23 -> "23rd"
+ */
+function formatOrdinal(number) {
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+
+  const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+  return `${number}${suffixes[number % 10] || "th"}`;
+}
+
+/**
+ * Get punishments that still have unchecked items
+ * @param {Array} punishments - Ledger
+ * @returns {Array} - Open punishment records, oldest first
+ */
+function getOutstandingPunishments(punishments) {
+  return punishments.filter((p) => !p.closedAt);
+}
+
+/**
+ * Find a punishment record by id
+ * Ids come back from data attributes as strings, so compare as strings
+ */
+function findPunishment(punishments, punishmentId) {
+  return punishments.find((p) => String(p.id) === String(punishmentId));
+}
+
+/**
+ * Check an item off (or back on) and close/reopen the punishment to match
+ * A punishment is only closed once every one of its items is done.
+ * @param {object} punishment - Punishment record (modified in place)
+ * @param {number} itemId - Item id within the punishment
+ * @param {boolean} done - New state of the item
+ */
+function setPunishmentItemDone(punishment, itemId, done) {
+  const item = punishment.items.find((i) => String(i.id) === String(itemId));
+  if (!item) return;
+
+  item.done = done;
+  item.doneAt = done ? Date.now() : null;
+
+  const allDone = punishment.items.every((i) => i.done);
+  punishment.closedAt = allDone ? punishment.closedAt || Date.now() : null;
+}
+
+/**
+ * Check whether a punishment is past its due day's deadline
+ * @param {object} punishment - Punishment record
+ * @returns {boolean} - True if still open after the deadline
+ */
+function isPunishmentOverdue(punishment) {
+  return !punishment.closedAt && Date.now() > getDeadline(punishment.dueDay);
+}
+
+/**
+ * Summarize outstanding punishment debt
+ * @param {Array} punishments - Ledger
+ * @returns {object} - { punishments, items, overdue } counts of open debt
+ */
+function getPunishmentDebt(punishments) {
+  const outstanding = getOutstandingPunishments(punishments);
+  return {
+    punishments: outstanding.length,
+    items: outstanding.reduce(
+      (total, p) => total + p.items.filter((i) => !i.done).length,
+      0
+    ),
+    overdue: outstanding.filter(isPunishmentOverdue).length,
+  };
+}
@@ -0,0 +1,71 @@
+// ============================================
+// INSTALLABLE APP - SERVICE WORKER & UPDATES
+// ============================================
+// Shared by index.html and notes.html. Registers sw.js (see there for
+// how caching and versioning work) and shows the update banner when a
+// new version has been downloaded and is waiting.
+//
+// Service workers only run over https:// or on localhost - opened as a
+// plain file the app still works, just not offline.
+
+/**
+ * Show the update banner for a worker that's waiting to take over
+ * @param {ServiceWorker} worker - The installed, waiting worker
+ */
+function showUpdateBanner(worker) {
+  const banner = document.getElementById("updateBanner");
+  banner.classList.remove("hidden");
+
+  document.getElementById("updateBtn").onclick = () => {
+    worker.postMessage({ type: "SKIP_WAITING" });
+  };
+  document.getElementById("dismissUpdateBtn").onclick = () => {
+    // It'll take over on its own once every tab of the app is closed
+    banner.classList.add("hidden");
+  };
+}
+
+/**
+ * Register the service worker and watch for new versions
+ */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker
+    .register("sw.js")
+    .then((registration) => {
+      // A new version may have finished installing in an earlier visit
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+      }
+
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker.addEventListener("statechange", () => {
+          // No controller means this is the first install, not an update
+          if (
+            worker.state === "installed" &&
+            navigator.serviceWorker.controller
+          ) {
+            showUpdateBanner(worker);
+          }
+        });
+      });
+    })
+    .catch((error) => {
+      console.error("Error registering service worker:", error);
+    });
+
+  // The new version took over (in this tab or another) - load its files.
+  // Skipped on the very first install, when the worker just starts
+  // controlling a page that's already up to date.
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+}
+
+registerServiceWorker();
@@ -0,0 +1,200 @@
+// ============================================
+// DEADLINE REMINDERS
+// ============================================
+// Opt-in browser notifications, loaded by index.html. Requires
+// settings.js, days.js and approaches.js.
+//
+// There's no push server, and browsers can't schedule a notification for
+// later, so reminders are checked on every tick of the dashboard
+// countdown (updateTimer). They fire whenever the dashboard is open -
+// in a background tab or as the installed app counts too.
+//
+// settings.reminders = {
+//   enabled,     // remind before the deadline
+//   offsets,     // minutes before the deadline, e.g. [180, 60, 15]
+//   goalMissed   // notify when a deadline passes with the goal unmet
+// }
+// Sent reminders are logged in localStorage under "remindersSent"
+// ({ [dayKey]: ["180", "60", "missed", ...] }) so each fires once per day,
+// across reloads and tabs.
+
+const REMINDER_LOG_KEY = "remindersSent";
+
+// A missed day is only announced this soon after its deadline - opening
+// the dashboard the next afternoon already shows the punishment
+const MISSED_REMINDER_WINDOW = 60 * 60 * 1000;
+
+/**
+ * Parse reminder times typed in settings
+ * Accepts a comma-separated list of "3h", "1h 30m", "15m" or "15"
+ * (plain numbers are minutes).
+ * @param {string} text - Raw input
+ * @returns {Array|null} - Minutes, largest first, or null if any is invalid
+ */
+function parseReminderOffsets(text) {
+  const parts = String(text)
+    .split(",")
+    .map((part) => part.trim().toLowerCase())
+    .filter(Boolean);
+
+  const offsets = [];
+  for (const part of parts) {
+    const match = part.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*(?:m|min)?)?$/);
+    const minutes = match
+      ? Number(match[1] || 0) * 60 + Number(match[2] || 0)
+      : 0;
+    if (minutes < 1 || minutes > 24 * 60) return null;
+    offsets.push(minutes);
+  }
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * Format minutes before the deadline, e.g. 90 -> "1h 30m", 15 -> "15m"
+ */
+function formatReminderOffset(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+/**
+ * Work out which reminders are due right now
+ * Before the deadline only the most urgent unsent reminder is returned
+ * (opening the app 40 minutes out shouldn't fire the 3h and 1h ones too),
+ * and the ones it supersedes are marked as sent with it. Exempt days (see
+ * exemptions.js) get no reminders: nothing is owed for them.
+ * @param {object} dailyData - dailyDataStore
+ * @param {object} settings - Settings with reminders, deadline and timezone
+ * @param {object} sentLog - { [dayKey]: [sent keys] }
+ * @param {number} now - Unix timestamp in milliseconds
+ * @returns {Array} - [{ day, keys, title, body, tag }]
+ */
+function getDueReminders(dailyData, settings, sentLog, now) {
+  const { enabled, offsets, goalMissed } = settings.reminders;
+  const due = [];
+
+  const today = getDayKey(now, settings);
+  const entry = dailyData[today];
+  const sentToday = sentLog[today] || [];
+  const minutesLeft = (getDeadline(today, settings) - now) / (60 * 1000);
+
+  const crossed = offsets.filter(
+    (offset) => minutesLeft <= offset && !sentToday.includes(String(offset))
+  );
+  if (
+    enabled &&
+    crossed.length > 0 &&
+    !isDayComplete(entry) &&
+    !entry?.exempt
+  ) {
+    const goal = getDayGoal(entry);
+    const count = getApproachCount(entry);
+    due.push({
+      day: today,
+      keys: crossed.map(String),
+      title: `10 or DIE - ${formatReminderOffset(
+        Math.max(1, Math.ceil(minutesLeft))
+      )} left`,
+      body: `${goal - count} ${
+        goal - count === 1 ? "approach" : "approaches"
+      } to go (${count}/${goal})`,
+      tag: `${today}-reminder`,
+    });
+  }
+
+  const yesterday = shiftDayKey(today, -1);
+  const missed = dailyData[yesterday];
+  if (
+    goalMissed &&
+    missed &&
+    !isDayComplete(missed) &&
+    !missed.exempt &&
+    now - getDeadline(yesterday, settings) < MISSED_REMINDER_WINDOW &&
+    !(sentLog[yesterday] || []).includes("missed")
+  ) {
+    due.push({
+      day: yesterday,
+      keys: ["missed"],
+      title: "10 or DIE - day missed",
+      body: `Deadline passed with ${getApproachCount(missed)}/${getDayGoal(
+        missed
+      )} approaches. Your punishment is due.`,
+      tag: `${yesterday}-missed`,
+    });
+  }
+
+  return due;
+}
+
+/**
+ * Show a notification
+ * Goes through the service worker when there is one - mobile browsers
+ * only allow notifications from there
+ */
+function showReminder(title, body, tag) {
+  const options = { body: body, tag: tag, icon: "icon.png" };
+
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.showNotification(title, options))
+      .catch((error) => console.error("Error showing reminder:", error));
+  } else {
+    new Notification(title, options);
+  }
+}
+
+/**
+ * Send any reminders that are due and log them
+ * Called on every countdown tick; does nothing without permission.
+ * @param {object} dailyData - dailyDataStore
+ * @param {object} settings - Current settings
+ * @param {number} now - Unix timestamp in milliseconds (default: now)
+ */
+function checkReminders(dailyData, settings, now = Date.now()) {
+  if (!("Notification" in window) || Notification.permission !== "granted") {
+    return;
+  }
+
+  let sentLog = {};
+  try {
+    sentLog = JSON.parse(localStorage.getItem(REMINDER_LOG_KEY)) || {};
+  } catch (error) {
+    console.error("Error reading reminder log:", error);
+  }
+
+  const due = getDueReminders(dailyData, settings, sentLog, now);
+  if (due.length === 0) return;
+
+  due.forEach((reminder) => {
+    showReminder(reminder.title, reminder.body, reminder.tag);
+    sentLog[reminder.day] = [
+      ...(sentLog[reminder.day] || []),
+      ...reminder.keys,
+    ];
+  });
+
+  // Only today and yesterday can still have reminders due
+  const today = getDayKey(now, settings);
+  const keep = [today, shiftDayKey(today, -1)];
+  Object.keys(sentLog).forEach((day) => {
+    if (!keep.includes(day)) delete sentLog[day];
+  });
+  localStorage.setItem(REMINDER_LOG_KEY, JSON.stringify(sentLog));
+}
+
+/**
+ * Ask for notification permission (once - the browser remembers the answer)
+ * Must be called from a click, or browsers ignore the request.
+ * @returns {Promise<boolean>} - True if notifications may be shown
+ */
+function requestReminderPermission() {
+  if (!("Notification" in window)) return Promise.resolve(false);
+  if (Notification.permission === "granted") return Promise.resolve(true);
+  if (Notification.permission === "denied") return Promise.resolve(false);
+  return Notification.requestPermission().then(
+    (permission) => permission === "granted"
+  );
+}
@@ -0,0 +1,409 @@
+// ============================================
+// ACCOUNTABILITY REPORT
+// ============================================
+// A shareable summary of the last N days for notes.html, as plain text
+// and as a PNG drawn on a canvas. Requires settings.js, days.js,
+// approaches.js, exemptions.js, streak.js and punishments.js.
+//
+// Everything is built on this device - the report is meant to be sent
+// over any messenger, so there's nothing to host.
+
+const REPORT_DAY_OPTIONS = [7, 14, 30];
+
+/**
+ * Colors from style.css, so the image looks like the dashboard
+ */
+const REPORT_COLORS = {
+  background: "#0a0a0a",
+  panel: "rgba(255, 255, 255, 0.02)",
+  border: "rgba(255, 255, 255, 0.06)",
+  text: "#e5e7eb",
+  muted: "#9ca3af",
+  faint: "#4b5563",
+  red: "#ef4444",
+  green: "#10b981",
+  blue: "#60a5fa",
+};
+
+const REPORT_FONT = '"IBM Plex Mono", monospace';
+
+/**
+ * Gather everything the report shows
+ * Day statuses:
+ *   complete      met its goal
+ *   missed        didn't, and wasn't exempt
+ *   exempt        didn't, but was a rest day, time off or freeze
+ *   in-progress   today, not complete yet
+ *   untracked     before the first logged day
+ * @param {object} dailyData - dailyDataStore
+ * @param {Array} punishments - Punishment ledger
+ * @param {number} dayCount - How many days to cover, ending today
+ * @param {string} today - Today's day key (default: from days.js)
+ * @param {object} settings - Settings with exemptions
+ * @returns {object} - { from, to, days, completed, missed, exempt, judged,
+ *   approaches, streak, punishments, debt }
+ */
+function buildReport(
+  dailyData,
+  punishments,
+  dayCount,
+  today = getDayKey(),
+  settings = loadSettings()
+) {
+  const from = shiftDayKey(today, -(dayCount - 1));
+  const exemptions = mapExemptions(dailyData, today, settings);
+  const dates = Object.keys(dailyData);
+  const firstLogged = dates.length
+    ? Math.min(...dates.map((date) => new Date(date).getTime()))
+    : new Date(today).getTime();
+
+  const days = [];
+  for (let day = from; days.length < dayCount; day = shiftDayKey(day, 1)) {
+    const entry = dailyData[day];
+    let status = "missed";
+    if (isDayComplete(entry)) status = "complete";
+    else if (day === today) status = "in-progress";
+    else if (new Date(day).getTime() < firstLogged) status = "untracked";
+    else if (exemptions[day]) status = "exempt";
+
+    days.push({
+      date: day,
+      approaches: getApproachCount(entry),
+      goal: getDayGoal(entry),
+      status: status,
+      exemption: exemptions[day] || null,
+    });
+  }
+
+  const count = (status) => days.filter((d) => d.status === status).length;
+  const streaks = calculateStreaks(dailyData, today, settings);
+
+  // Open punishments from any day, plus the ones in range that are done
+  const inRange = new Set(days.map((d) => d.date));
+  const listed = punishments
+    .filter((p) => !p.closedAt || inRange.has(p.day))
+    .map((p) => ({
+      day: p.day,
+      done: Boolean(p.closedAt),
+      overdue: isPunishmentOverdue(p),
+      remaining: p.items.filter((item) => !item.done).map((item) => item.text),
+    }));
+
+  return {
+    from: from,
+    to: today,
+    days: days,
+    completed: count("complete"),
+    missed: count("missed"),
+    exempt: count("exempt"),
+    judged: count("complete") + count("missed"),
+    approaches: days.reduce((total, d) => total + d.approaches, 0),
+    streak: { current: streaks.current, longest: streaks.longest },
+    punishments: listed,
+    debt: getPunishmentDebt(punishments),
+  };
+}
+
+/**
+ * Format a day key for the report, e.g. "Oct 13"
+ */
+function formatReportDate(day) {
+  return new Date(day).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+}
+
+/**
+ * Describe the report's date range, e.g. "Oct 13 - Oct 19, 2026"
+ */
+function formatReportRange(report) {
+  return `${formatReportDate(report.from)} - ${formatReportDate(
+    report.to
+  )}, ${new Date(report.to).getFullYear()}`;
+}
+
+/**
+ * Describe one day's result for the text report
+ * @param {object} day - One of report.days
+ * @param {Array} punishments - report.punishments
+ * @returns {string} - e.g. "MISSED - punishment due"
+ */
+function describeReportDay(day, punishments) {
+  if (day.status === "complete") return "met";
+  if (day.status === "in-progress") return "in progress";
+  if (day.status === "untracked") return "not tracked";
+  if (day.status === "exempt") {
+    return describeExemption(day.exemption).toLowerCase();
+  }
+
+  const punishment = punishments.find((p) => p.day === day.date);
+  if (!punishment) return "MISSED";
+  return `MISSED - punishment ${punishment.done ? "done" : "due"}`;
+}
+
+/**
+ * Summarize punishments in one line, e.g. "1 open (3 items left), 1 overdue"
+ */
+function describeReportDebt(report) {
+  const { punishments, items, overdue } = report.debt;
+  if (punishments === 0) return "all done";
+  return `${punishments} open (${items} ${
+    items === 1 ? "item" : "items"
+  } left)${overdue > 0 ? `, ${overdue} overdue` : ""}`;
+}
+
+/**
+ * Write the report as plain text, ready to paste into a message
+ * @param {object} report - From buildReport()
+ * @param {string} wingman - Who it's for ("" to leave out)
+ * @returns {string} - Report text
+ */
+function formatReportText(report, wingman = "") {
+  const lines = ["10 OR DIE - ACCOUNTABILITY REPORT"];
+  if (wingman) lines.push(`For: ${wingman}`);
+  lines.push(
+    `Last ${report.days.length} days: ${formatReportRange(report)}`,
+    "",
+    `Streak: ${report.streak.current} ${
+      report.streak.current === 1 ? "day" : "days"
+    } (best ${report.streak.longest})`,
+    `Goal met: ${report.completed} of ${report.judged} days`,
+    `Missed: ${report.missed} · Exempt: ${report.exempt}`,
+    `Approaches: ${report.approaches}`,
+    ""
+  );
+
+  report.days.forEach((day) => {
+    const count = `${day.approaches}/${day.goal}`.padStart(6);
+    lines.push(
+      `${day.date.slice(0, 10)}  ${count}  ${describeReportDay(
+        day,
+        report.punishments
+      )}`
+    );
+  });
+
+  lines.push("", `Punishments: ${describeReportDebt(report)}`);
+  report.punishments
+    .filter((p) => !p.done)
+    .forEach((p) => {
+      lines.push(`- ${formatReportDate(p.day)}: ${p.remaining.join(", ")}`);
+    });
+
+  return lines.join("\n");
+}
+
+// ============================================
+// REPORT IMAGE
+// ============================================
+// Drawn at a fixed 1080px width (a good size for messengers), with the
+// height following the number of days and open punishments.
+
+const REPORT_WIDTH = 1080;
+const REPORT_PADDING = 64;
+const REPORT_CELLS_PER_ROW = 7;
+const REPORT_MAX_PUNISHMENT_LINES = 5;
+
+/**
+ * Shorten text with "…" until it fits the width
+ */
+function fitReportText(context, text, maxWidth) {
+  if (context.measureText(text).width <= maxWidth) return text;
+  let fitted = text;
+  while (fitted && context.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+/**
+ * Draw the report onto a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on (resized to fit)
+ * @param {object} report - From buildReport()
+ * @param {string} wingman - Who it's for ("" to leave out)
+ */
+function drawReportImage(canvas, report, wingman = "") {
+  const inner = REPORT_WIDTH - REPORT_PADDING * 2;
+  const gap = 12;
+  const cell = Math.floor(
+    (inner - gap * (REPORT_CELLS_PER_ROW - 1)) / REPORT_CELLS_PER_ROW
+  );
+  const rows = Math.ceil(report.days.length / REPORT_CELLS_PER_ROW);
+  const open = report.punishments.filter((p) => !p.done);
+  const punishmentLines = Math.min(open.length, REPORT_MAX_PUNISHMENT_LINES);
+
+  canvas.width = REPORT_WIDTH;
+  // Header, stats, day cells, punishments, footer - as laid out below
+  canvas.height =
+    REPORT_PADDING * 2 +
+    (wingman ? 210 : 160) +
+    180 +
+    rows * (cell + gap) +
+    28 +
+    80 +
+    punishmentLines * 40 +
+    (open.length > punishmentLines ? 40 : 0) +
+    40;
+
+  const context = canvas.getContext("2d");
+  const font = (size, weight = 400) => `${weight} ${size}px ${REPORT_FONT}`;
+
+  context.fillStyle = REPORT_COLORS.background;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = REPORT_COLORS.red;
+  context.fillRect(0, 0, 6, canvas.height);
+  context.textBaseline = "top";
+
+  // Header
+  let y = REPORT_PADDING;
+  context.fillStyle = REPORT_COLORS.red;
+  context.font = font(48, 700);
+  context.fillText("10 OR DIE", REPORT_PADDING, y);
+  y += 64;
+  context.fillStyle = REPORT_COLORS.muted;
+  context.font = font(22, 600);
+  context.fillText("ACCOUNTABILITY REPORT", REPORT_PADDING, y);
+  y += 40;
+  if (wingman) {
+    context.fillStyle = REPORT_COLORS.text;
+    context.font = font(28, 600);
+    context.fillText(
+      fitReportText(context, `For ${wingman}`, inner),
+      REPORT_PADDING,
+      y
+    );
+    y += 50;
+  }
+  context.fillStyle = REPORT_COLORS.faint;
+  context.font = font(22);
+  context.fillText(
+    `Last ${report.days.length} days · ${formatReportRange(report)}`,
+    REPORT_PADDING,
+    y
+  );
+  y += 56;
+
+  // Stats: streak, goal met, missed
+  const stats = [
+    {
+      label: "STREAK",
+      value: report.streak.current,
+      detail: `best ${report.streak.longest}`,
+      color: REPORT_COLORS.text,
+    },
+    {
+      label: "GOAL MET",
+      value: report.completed,
+      detail: `of ${report.judged} days`,
+      color: REPORT_COLORS.green,
+    },
+    {
+      label: "MISSED",
+      value: report.missed,
+      detail: `${report.exempt} exempt`,
+      color: report.missed > 0 ? REPORT_COLORS.red : REPORT_COLORS.text,
+    },
+  ];
+  const statWidth = (inner - gap * 2) / 3;
+  stats.forEach((stat, index) => {
+    const x = REPORT_PADDING + index * (statWidth + gap);
+    context.fillStyle = REPORT_COLORS.panel;
+    context.fillRect(x, y, statWidth, 140);
+    context.strokeStyle = REPORT_COLORS.border;
+    context.strokeRect(x + 0.5, y + 0.5, statWidth - 1, 139);
+
+    context.fillStyle = REPORT_COLORS.muted;
+    context.font = font(18, 600);
+    context.fillText(stat.label, x + 20, y + 18);
+    context.fillStyle = stat.color;
+    context.font = font(52, 700);
+    context.fillText(String(stat.value), x + 20, y + 46);
+    context.fillStyle = REPORT_COLORS.faint;
+    context.font = font(18);
+    context.fillText(stat.detail, x + 20, y + 108);
+  });
+  y += 140 + 40;
+
+  // One cell per day, colored like the heatmap on notes.html
+  report.days.forEach((day, index) => {
+    const x = REPORT_PADDING + (index % REPORT_CELLS_PER_ROW) * (cell + gap);
+    const top = y + Math.floor(index / REPORT_CELLS_PER_ROW) * (cell + gap);
+    const accent = {
+      complete: REPORT_COLORS.green,
+      missed: REPORT_COLORS.red,
+      exempt: REPORT_COLORS.blue,
+      "in-progress": REPORT_COLORS.text,
+      untracked: REPORT_COLORS.faint,
+    }[day.status];
+
+    context.fillStyle =
+      day.status === "complete"
+        ? "rgba(16, 185, 129, 0.15)"
+        : REPORT_COLORS.panel;
+    context.fillRect(x, top, cell, cell);
+    context.strokeStyle = accent;
+    context.lineWidth = 2;
+    context.strokeRect(x + 1, top + 1, cell - 2, cell - 2);
+
+    context.fillStyle = REPORT_COLORS.muted;
+    context.font = font(16);
+    context.fillText(day.date.slice(0, 3).toUpperCase(), x + 12, top + 12);
+    context.fillText(String(new Date(day.date).getDate()), x + 12, top + 32);
+    context.fillStyle = accent;
+    context.font = font(22, 700);
+    context.fillText(
+      day.status === "untracked" ? "-" : `${day.approaches}/${day.goal}`,
+      x + 12,
+      top + cell - 36
+    );
+  });
+  y += rows * (cell + gap) + 28;
+
+  // Punishments
+  context.fillStyle = REPORT_COLORS.muted;
+  context.font = font(18, 600);
+  context.fillText("PUNISHMENTS", REPORT_PADDING, y);
+  y += 32;
+  context.fillStyle =
+    report.debt.punishments > 0 ? REPORT_COLORS.red : REPORT_COLORS.green;
+  context.font = font(24, 600);
+  context.fillText(describeReportDebt(report), REPORT_PADDING, y);
+  y += 48;
+
+  context.font = font(20);
+  open.slice(0, punishmentLines).forEach((p) => {
+    context.fillStyle = p.overdue ? REPORT_COLORS.red : REPORT_COLORS.text;
+    context.fillText(
+      fitReportText(
+        context,
+        `${formatReportDate(p.day)}: ${p.remaining.join(", ")}`,
+        inner
+      ),
+      REPORT_PADDING,
+      y
+    );
+    y += 40;
+  });
+  if (open.length > punishmentLines) {
+    context.fillStyle = REPORT_COLORS.faint;
+    context.fillText(
+      `+ ${open.length - punishmentLines} more`,
+      REPORT_PADDING,
+      y
+    );
+  }
+
+  // Footer
+  context.fillStyle = REPORT_COLORS.faint;
+  context.font = font(16);
+  context.fillText(
+    `Generated ${new Date().toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    })}`,
+    REPORT_PADDING,
+    canvas.height - REPORT_PADDING
+  );
+}
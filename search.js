@@ -0,0 +1,284 @@
+// ============================================
+// HISTORY SEARCH - QUERY SYNTAX
+// ============================================
+// Parses and applies the search box query on notes.html. Requires days.js,
+// approaches.js and notebook.js.
+//
+// A query is a list of space-separated parts, all of which must match:
+//   cold open             notes containing both words (text or tags)
+//   "cold open"           notes containing the exact phrase
+//   -flake  -"no number"  notes NOT containing the word or phrase
+//   tag:opener            notes tagged #opener (-tag:opener to exclude)
+//   after:2024-12-01      days on or after the date
+//   before:2024-12-31     days on or before the date
+//   completed:yes / no    days that did / didn't reach their goal
+//   approaches:>=5        days by approach count (>, >=, <, <=, = or a
+//                         bare number)
+// Matching ignores case. Word, phrase and tag parts narrow each day down to
+// its matching notes; date, completed and approaches parts pick whole days,
+// so on their own they keep days that have no notes at all.
+
+const SEARCH_KEYS = ["tag", "after", "before", "completed", "approaches"];
+
+/**
+ * Parse a search query
+ * Parts that can't be read (e.g. "after:soon") are skipped and reported
+ * in errors instead of silently matching nothing
+ * @param {string} text - Query as typed
+ * @returns {object} - { terms, excludedTerms, tags, excludedTags, after,
+ *   before, completed, approaches, errors }
+ */
+function parseSearchQuery(text) {
+  const query = {
+    terms: [],
+    excludedTerms: [],
+    tags: [],
+    excludedTags: [],
+    after: null,
+    before: null,
+    completed: null,
+    approaches: null,
+    errors: [],
+  };
+
+  // -? then an optional key: then a "quoted value" (closing quote optional)
+  // or a bare word
+  const partPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+  while ((match = partPattern.exec(text)) !== null) {
+    const [raw, minus, rawKey, quoted, bare] = match;
+    const excluded = minus === "-";
+    const key = rawKey ? rawKey.toLowerCase() : "";
+    const value = (quoted ?? bare ?? "").trim();
+
+    if (key && !SEARCH_KEYS.includes(key)) {
+      // Not one of ours (e.g. "10:30" or "http://..."), so it's plain text
+      addSearchTerm(query, raw.replace(/^-/, ""), excluded);
+    } else if (key === "tag") {
+      const tag = normalizeTag(value);
+      if (tag) (excluded ? query.excludedTags : query.tags).push(tag);
+    } else if (key) {
+      if (!applySearchFilter(query, key, value.toLowerCase())) {
+        query.errors.push(raw);
+      }
+    } else {
+      addSearchTerm(query, value, excluded);
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Add a word or phrase to a query
+ */
+function addSearchTerm(query, value, excluded) {
+  const term = value.replace(/"/g, "").toLowerCase().trim();
+  if (term) (excluded ? query.excludedTerms : query.terms).push(term);
+}
+
+/**
+ * Apply one day filter (after:, before:, completed:, approaches:)
+ * @returns {boolean} - false if the value couldn't be read
+ */
+function applySearchFilter(query, key, value) {
+  if (key === "after" || key === "before") {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+      return false;
+    }
+    query[key] = value;
+    return true;
+  }
+
+  if (key === "completed") {
+    if (["yes", "true", "y"].includes(value)) query.completed = true;
+    else if (["no", "false", "n"].includes(value)) query.completed = false;
+    else return false;
+    return true;
+  }
+
+  // approaches:
+  const comparison = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+  if (!comparison) return false;
+  query.approaches = {
+    operator: comparison[1] || "=",
+    value: Number(comparison[2]),
+  };
+  return true;
+}
+
+/**
+ * Check whether a query has any parts that narrow down notes
+ */
+function hasNoteFilters(query) {
+  return (
+    query.terms.length > 0 ||
+    query.excludedTerms.length > 0 ||
+    query.tags.length > 0 ||
+    query.excludedTags.length > 0
+  );
+}
+
+/**
+ * Check whether a query filters anything at all
+ */
+function isEmptySearchQuery(query) {
+  return (
+    !hasNoteFilters(query) &&
+    !query.after &&
+    !query.before &&
+    query.completed === null &&
+    !query.approaches
+  );
+}
+
+/**
+ * Check a day against the date, completed and approaches parts
+ * @param {string} date - Day key
+ * @param {object} entry - dailyDataStore entry
+ * @param {object} query - Parsed query
+ * @returns {boolean}
+ */
+function dayMatchesQuery(date, entry, query) {
+  const isoDate = toIsoDate(date);
+  if (query.after && isoDate < query.after) return false;
+  if (query.before && isoDate > query.before) return false;
+
+  if (query.completed !== null && isDayComplete(entry) !== query.completed) {
+    return false;
+  }
+
+  if (query.approaches) {
+    const count = getApproachCount(entry);
+    const { operator, value } = query.approaches;
+    const passes = {
+      ">=": count >= value,
+      "<=": count <= value,
+      ">": count > value,
+      "<": count < value,
+      "=": count === value,
+    }[operator];
+    if (!passes) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check a note against the word, phrase and tag parts
+ * Words and phrases are looked for in the text and in the tags
+ * @returns {boolean}
+ */
+function noteMatchesQuery(note, query) {
+  const tags = getNoteTags(note);
+  const haystack = `${note.text}\n${tags
+    .map((t) => `#${t}`)
+    .join(" ")}`.toLowerCase();
+
+  return (
+    query.terms.every((term) => haystack.includes(term)) &&
+    !query.excludedTerms.some((term) => haystack.includes(term)) &&
+    query.tags.every((tag) => tags.includes(tag)) &&
+    !query.excludedTags.some((tag) => tags.includes(tag))
+  );
+}
+
+/**
+ * Filter daily data by a parsed query
+ * With word, phrase or tag parts, days are kept only if they have matching
+ * notes, and each kept day's notes are narrowed down to the matching ones.
+ * An empty query returns everything unchanged.
+ * @param {object} dailyData - dailyDataStore
+ * @param {object} query - Parsed query
+ * @returns {object} - Filtered copy shaped like dailyDataStore
+ */
+function filterDailyData(dailyData, query) {
+  if (isEmptySearchQuery(query)) return dailyData;
+
+  const filteredData = {};
+  Object.keys(dailyData).forEach((date) => {
+    const entry = dailyData[date];
+    if (!dayMatchesQuery(date, entry, query)) return;
+
+    if (!hasNoteFilters(query)) {
+      filteredData[date] = entry;
+      return;
+    }
+
+    const matchingNotes = (entry.notes || []).filter((note) =>
+      noteMatchesQuery(note, query)
+    );
+    if (matchingNotes.length > 0) {
+      filteredData[date] = { ...entry, notes: matchingNotes };
+    }
+  });
+
+  return filteredData;
+}
+
+/**
+ * Add or remove a tag: part in a query
+ * Used by the tag chips, so clicking a chip twice undoes it
+ * @param {string} text - Query as typed
+ * @param {string} tag - Normalized tag
+ * @returns {string} - New query text
+ */
+function toggleTagInQuery(text, tag) {
+  const parts = text.split(/\s+/).filter(Boolean);
+  const isTagPart = (part) =>
+    /^tag:/i.test(part) && normalizeTag(part.slice(4)) === tag;
+
+  if (parts.some(isTagPart)) {
+    return parts.filter((part) => !isTagPart(part)).join(" ");
+  }
+  return [...parts, `tag:${tag}`].join(" ");
+}
+
+// ============================================
+// HIGHLIGHTING
+// ============================================
+
+/**
+ * Wrap every match of the search words and phrases in <mark>
+ * Works on the rendered DOM (text nodes only), so Markdown markup and
+ * link addresses are never touched
+ * @param {HTMLElement} element - Rendered note text
+ * @param {Array} terms - Lowercased words and phrases
+ */
+function highlightMatches(element, terms) {
+  if (terms.length === 0) return;
+
+  // Longest first, so "cold open" wins over "cold"
+  const pattern = new RegExp(
+    [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|"),
+    "gi"
+  );
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  textNodes.forEach((node) => {
+    const text = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+
+    text.replace(pattern, (found, offset) => {
+      fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+      const mark = document.createElement("mark");
+      mark.className = "search-highlight";
+      mark.textContent = found;
+      fragment.appendChild(mark);
+      last = offset + found.length;
+      return found;
+    });
+
+    if (last > 0) {
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.parentNode.replaceChild(fragment, node);
+    }
+  });
+}
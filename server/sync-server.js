@@ -0,0 +1,339 @@
+// ============================================
+// SYNC SERVER
+// ============================================
+// Optional, self-hosted sync for a crew's devices (see sync.js for the
+// client). Node only, built-in modules only - nothing to install:
+//
+//   node server/sync-server.js [--port 8787] [--data sync-data.json]
+//                              [--token secret]
+//
+// The token can also come from the SYNC_TOKEN environment variable. When
+// set, every request needs "Authorization: Bearer <token>" - share it with
+// the crew along with the server address.
+//
+// Each user's data is a set of records (see sync.js for what's in them):
+// { key, data, deleted, updatedAt, deviceId, version }
+// version comes from the user's own counter, which goes up by one with
+// every record written, so "everything since version N" is all a device
+// needs to ask for. Everything is kept in one JSON file, rewritten after
+// each push.
+//
+// API (JSON in and out):
+//   GET  /api/health                  { ok, app }
+//   GET  /api/users                   { users: [userId, ...] }
+//   GET  /api/users/:id/records?since=N
+//                                     { clock, records: [...] } with
+//                                     version > N, oldest first
+//   POST /api/users/:id/records       { deviceId, changes: [{ key,
+//                                     baseVersion, data, deleted,
+//                                     updatedAt }] }
+//                                     -> { clock, results: [{ key, status:
+//                                     "ok", version } or { key, status:
+//                                     "conflict", record }] }
+// A change is only written if baseVersion is the record's current version
+// (0 for a new record). Otherwise the current record comes back as a
+// conflict for the device to resolve (see resolveSyncConflict in sync.js).
+//
+// Users and records are kept in objects without a prototype, so names like
+// "constructor" or "__proto__" are just more names.
+
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const USER_ID_PATTERN = /^[a-z0-9_-]{1,40}$/i;
+// "<day key>/day" or "<day key>/<type>/<id>", e.g. "Mon Dec 16 2024/note/1"
+const RECORD_KEY_PATTERN =
+  /^[A-Z][a-z]{2} [A-Z][a-z]{2} \d{2} \d{4}\/(day|(approach|note|session|edit)\/[\w .-]{1,80})$/;
+
+/**
+ * Copy an object's own properties into one without a prototype
+ */
+function toLookup(object = {}) {
+  return Object.assign(Object.create(null), object);
+}
+
+/**
+ * Load the data file, or start empty if there isn't one yet
+ * @param {string|null} dataFile - Path to the JSON file (null: memory only)
+ * @returns {object} - { users: { [userId]: { clock, records } } }
+ */
+function loadStore(dataFile) {
+  const users = toLookup();
+  if (dataFile && fs.existsSync(dataFile)) {
+    const stored = JSON.parse(fs.readFileSync(dataFile, "utf8")).users;
+    Object.keys(stored || {}).forEach((userId) => {
+      users[userId] = {
+        clock: stored[userId].clock,
+        records: toLookup(stored[userId].records),
+      };
+    });
+  }
+  return { users: users };
+}
+
+/**
+ * Write the data file
+ * Written to a temporary file first and renamed over the old one, so a
+ * crash mid-write never leaves half a file behind
+ */
+function saveStore(dataFile, store) {
+  if (!dataFile) return;
+  const temporary = `${dataFile}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(store));
+  fs.renameSync(temporary, dataFile);
+}
+
+/**
+ * Get a user's data, creating it on first use
+ */
+function getUser(store, userId) {
+  if (!store.users[userId]) {
+    store.users[userId] = { clock: 0, records: toLookup() };
+  }
+  return store.users[userId];
+}
+
+/**
+ * List a user's records written after a version
+ * @param {object} user - From getUser()
+ * @param {number} since - Last version the device has seen
+ * @returns {Array} - Records, oldest first
+ */
+function getRecordsSince(user, since) {
+  return Object.values(user.records)
+    .filter((record) => record.version > since)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Check one pushed change
+ * @returns {string|null} - What's wrong with it, or null if it's usable
+ */
+function getChangeProblem(change) {
+  if (!change || typeof change.key !== "string" || !change.key) {
+    return "every change needs a key";
+  }
+  if (!RECORD_KEY_PATTERN.test(change.key)) {
+    return `${change.key}: keys look like "<day>/day" or "<day>/<type>/<id>"`;
+  }
+  if (!Number.isInteger(change.baseVersion) || change.baseVersion < 0) {
+    return `${change.key}: baseVersion must be a whole number`;
+  }
+  if (typeof change.updatedAt !== "number") {
+    return `${change.key}: updatedAt must be a timestamp`;
+  }
+  if (!change.deleted && change.data === undefined) {
+    return `${change.key}: data is missing`;
+  }
+  return null;
+}
+
+/**
+ * Apply a device's changes to a user's records
+ * Changes are applied in order; each one is written only if the device
+ * saw the record's current version
+ * @param {object} user - From getUser() (modified in place)
+ * @param {string} deviceId - Device that made the changes
+ * @param {Array} changes - [{ key, baseVersion, data, deleted, updatedAt }]
+ * @returns {Array} - One result per change
+ */
+function applyChanges(user, deviceId, changes) {
+  return changes.map((change) => {
+    const current = user.records[change.key];
+    if ((current ? current.version : 0) !== change.baseVersion) {
+      return { key: change.key, status: "conflict", record: current || null };
+    }
+
+    user.clock++;
+    user.records[change.key] = {
+      key: change.key,
+      data: change.deleted ? null : change.data,
+      deleted: Boolean(change.deleted),
+      updatedAt: change.updatedAt,
+      deviceId: deviceId,
+      version: user.clock,
+    };
+    return { key: change.key, status: "ok", version: user.clock };
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Read a request's JSON body
+ * @returns {Promise<object>} - Parsed body
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request too large"), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch (error) {
+        reject(
+          Object.assign(new Error("Body isn't valid JSON"), { status: 400 })
+        );
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Create a sync server (not yet listening)
+ * @param {object} options - { dataFile, token } - dataFile null keeps
+ *   everything in memory, token "" turns authentication off
+ * @returns {http.Server}
+ */
+function createSyncServer({ dataFile = null, token = "" } = {}) {
+  const store = loadStore(dataFile);
+
+  return http.createServer((request, response) => {
+    // The app is usually served from somewhere else
+    response.setHeader("Access-Control-Allow-Origin", "*");
+    response.setHeader(
+      "Access-Control-Allow-Headers",
+      "Authorization, Content-Type"
+    );
+    response.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    if (request.method === "OPTIONS") {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    if (token && request.headers.authorization !== `Bearer ${token}`) {
+      sendJson(response, 401, { error: "Wrong or missing token" });
+      return;
+    }
+
+    const url = new URL(request.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    if (url.pathname === "/api/health" && request.method === "GET") {
+      sendJson(response, 200, { ok: true, app: "10ordie" });
+      return;
+    }
+
+    if (url.pathname === "/api/users" && request.method === "GET") {
+      sendJson(response, 200, { users: Object.keys(store.users).sort() });
+      return;
+    }
+
+    if (
+      parts.length !== 4 ||
+      parts[0] !== "api" ||
+      parts[1] !== "users" ||
+      parts[3] !== "records"
+    ) {
+      sendJson(response, 404, { error: "Not found" });
+      return;
+    }
+
+    let userId;
+    try {
+      userId = decodeURIComponent(parts[2]);
+    } catch (error) {
+      userId = ""; // Malformed %-escape - rejected below like any bad name
+    }
+    if (!USER_ID_PATTERN.test(userId)) {
+      sendJson(response, 400, {
+        error: "User names are 1-40 letters, numbers, - or _",
+      });
+      return;
+    }
+
+    if (request.method === "GET") {
+      const since = parseInt(url.searchParams.get("since"), 10) || 0;
+      const user = store.users[userId] || { clock: 0, records: toLookup() };
+      sendJson(response, 200, {
+        clock: user.clock,
+        records: getRecordsSince(user, since),
+      });
+      return;
+    }
+
+    if (request.method !== "POST") {
+      sendJson(response, 405, { error: "Use GET or POST" });
+      return;
+    }
+
+    readJsonBody(request)
+      .then((body) => {
+        const changes = Array.isArray(body.changes) ? body.changes : null;
+        if (!changes || typeof body.deviceId !== "string") {
+          sendJson(response, 400, { error: "Send { deviceId, changes }" });
+          return;
+        }
+        const problem = changes.map(getChangeProblem).find(Boolean);
+        if (problem) {
+          sendJson(response, 400, { error: problem });
+          return;
+        }
+
+        const user = getUser(store, userId);
+        const results = applyChanges(user, body.deviceId, changes);
+        saveStore(dataFile, store);
+        sendJson(response, 200, { clock: user.clock, results: results });
+      })
+      .catch((error) => {
+        if (!error.status) console.error("Error handling push:", error);
+        if (!response.headersSent) {
+          sendJson(response, error.status || 500, {
+            error: error.status ? error.message : "Server error",
+          });
+        }
+      });
+  });
+}
+
+/**
+ * Read "--name value" command line options
+ * @returns {object} - { port, data, token }
+ */
+function parseArguments(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, "")] = args[i + 1];
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArguments(process.argv.slice(2));
+  const port = parseInt(options.port, 10) || DEFAULT_PORT;
+  const dataFile = path.resolve(options.data || "sync-data.json");
+  const token = options.token || process.env.SYNC_TOKEN || "";
+
+  createSyncServer({ dataFile, token }).listen(port, () => {
+    console.log(`10 or DIE sync server on http://localhost:${port}`);
+    console.log(`Data file: ${dataFile}`);
+    if (!token) {
+      console.log("No token set - anyone who can reach this server can sync");
+    }
+  });
+}
+
+module.exports = { createSyncServer, applyChanges, getRecordsSince };
@@ -0,0 +1,106 @@
+// ============================================
+// SESSIONS
+// ============================================
+// Shared by index.html and notes.html. Requires settings.js, days.js and
+// approaches.js.
+//
+// Going out is done in sessions. Each one is stored on the day it started:
+// dailyDataStore[date].sessions = [
+//   { id, start, end, location }, ...   // end is null while it's running
+// ]
+// Approaches logged while a session runs carry its id as sessionId. A
+// session that runs past the deadline keeps going, so its later
+// approaches land on the next day - they still count toward the session.
+
+/**
+ * Create a new session record, starting now
+ * @param {string} location - Label for where it's happening, e.g. "Downtown"
+ * @returns {object} - Session record ready to push into a day's list
+ */
+function createSession(location = "") {
+  const now = Date.now();
+  return {
+    id: now, // Unix timestamp ensures uniqueness, same as approach ids
+    start: now,
+    end: null,
+    location: location,
+  };
+}
+
+/**
+ * Find the session that's running, if any
+ * Only today's and yesterday's sessions are looked at - anything older
+ * that was never ended is treated as abandoned.
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} today - Today's day key
+ * @returns {object|null} - { day, session }
+ */
+function findActiveSession(dailyData, today) {
+  for (const day of [today, shiftDayKey(today, -1)]) {
+    const session = (dailyData[day]?.sessions || []).find((s) => !s.end);
+    if (session) return { day: day, session: session };
+  }
+  return null;
+}
+
+/**
+ * Get the approaches logged during a session
+ * @param {object} dailyData - dailyDataStore
+ * @param {string} day - Day key the session started on
+ * @param {object} session - Session record
+ * @returns {Array} - Approach records, oldest first
+ */
+function getSessionApproaches(dailyData, day, session) {
+  return [day, shiftDayKey(day, 1)]
+    .flatMap((date) => dailyData[date]?.approaches || [])
+    .filter((approach) => String(approach.sessionId) === String(session.id))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Get how long a session has run
+ * @param {object} session - Session record
+ * @param {number} now - Used while the session is still running
+ * @returns {number} - Duration in milliseconds
+ */
+function getSessionDuration(session, now = Date.now()) {
+  return Math.max(0, (session.end || now) - session.start);
+}
+
+/**
+ * Approaches per hour over a session
+ * Sessions shorter than a minute give 0 rather than a silly rate
+ * @param {number} count - Approaches in the session
+ * @param {number} duration - Session duration in milliseconds
+ * @returns {number} - Rate, rounded to one decimal
+ */
+function getApproachesPerHour(count, duration) {
+  if (duration < 60 * 1000) return 0;
+  return Math.round((count / (duration / (60 * 60 * 1000))) * 10) / 10;
+}
+
+/**
+ * Format a duration as a clock, e.g. 3725000 -> "01:02:05"
+ */
+function formatClock(duration) {
+  const totalSeconds = Math.floor(duration / 1000);
+  return [
+    Math.floor(totalSeconds / 3600),
+    Math.floor(totalSeconds / 60) % 60,
+    totalSeconds % 60,
+  ]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+}
+
+/**
+ * Format a duration in words, e.g. 3725000 -> "1h 02m", 420000 -> "7m"
+ */
+function formatDuration(duration) {
+  const minutes = Math.floor(duration / (60 * 1000));
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(
+    2,
+    "0"
+  )}m`;
+}
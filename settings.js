@@ -0,0 +1,319 @@
+// ============================================
+// SHARED SETTINGS
+// ============================================
+// Loaded by both index.html and notes.html before the page script,
+// so every page reads the same settings object from localStorage.
+
+/**
+ * Goal used for any day recorded before goals were configurable.
+ * Old dailyDataStore entries have no "goal" field, and they were all
+ * judged against 10 approaches at the time.
+ */
+const LEGACY_DAILY_GOAL = 10;
+
+/**
+ * Earliest and latest allowed deadlines, in hours after the day's midnight
+ * Anything past 24 lands in the early hours of the following morning.
+ */
+const MIN_DEADLINE_HOUR = 12;
+const MAX_DEADLINE_HOUR = 30;
+
+/**
+ * Default punishment rules (see punishments.js for how they're applied)
+ * items: what a full punishment consists of, e.g. 1000 + "air squats"
+ * scaleByShortfall: scale amounts by how far short of the goal the day fell
+ *   (3/10 owes 70% of each amount, 9/10 owes 10%)
+ * escalationPercent: extra % per consecutive missed day before this one
+ *   (50 means the 2nd miss in a row owes 150%, the 3rd 200%, ...)
+ */
+const DEFAULT_PUNISHMENT_RULES = {
+  items: [
+    { amount: 1000, label: "air squats" },
+    { amount: 100, label: "pushups" },
+    { amount: 10, label: "minute cold shower/plunge" },
+  ],
+  scaleByShortfall: false,
+  escalationPercent: 0,
+};
+
+/**
+ * Default reminder settings (see reminders.js) - off until the user opts in
+ * offsets: minutes before the deadline to remind at
+ */
+const DEFAULT_REMINDERS = {
+  enabled: false,
+  offsets: [180, 60, 15],
+  goalMissed: false,
+};
+
+/**
+ * Default exempt days (see exemptions.js) - none until the user plans some
+ * restDays: weekdays off, 0 = Sunday
+ * ranges: scheduled time off, [{ start, end, reason, label }]
+ * freezesPerMonth: missed days forgiven automatically each month
+ */
+const DEFAULT_EXEMPTIONS = {
+  restDays: [],
+  ranges: [],
+  freezesPerMonth: 0,
+};
+
+/**
+ * Default accountability report options (see report.js)
+ * wingman: who the report is for, "" = nobody in particular
+ * days: how many days it covers, ending today
+ */
+const DEFAULT_REPORT = {
+  wingman: "",
+  days: 7,
+};
+
+/**
+ * Default group mode options (see group.js)
+ * name: what this device is called on the leaderboard, "" = "You" (also
+ *   travels in exported files, so friends who import them see it)
+ * period: leaderboard period, "week" | "month"
+ * rankBy: leaderboard order, "streak" | "rate" | "approaches"
+ * challenges: [{ id, title, target, unit, scope, start, days }]
+ */
+const DEFAULT_GROUP = {
+  name: "",
+  period: "week",
+  rankBy: "streak",
+  challenges: [],
+};
+
+/**
+ * Default settings for a fresh install
+ * dailyGoal: approaches needed to complete a day
+ * deadlineHour: when the day ends (see days.js), 20 = 8 PM
+ * timeZone: IANA timezone for day boundaries, "" = device timezone
+ * punishmentRules: how a failed day's punishment is built
+ * reminders: deadline notifications
+ * sessionIdleMinutes: nudge during a session after this long without an
+ *   approach, 0 = never
+ * exemptions: rest days, time off and streak freezes
+ * report: last used accountability report options
+ * group: leaderboard options and group challenges
+ */
+const DEFAULT_SETTINGS = {
+  dailyGoal: LEGACY_DAILY_GOAL,
+  deadlineHour: 20,
+  timeZone: "",
+  punishmentRules: DEFAULT_PUNISHMENT_RULES,
+  reminders: DEFAULT_REMINDERS,
+  sessionIdleMinutes: 15,
+  exemptions: DEFAULT_EXEMPTIONS,
+  report: DEFAULT_REPORT,
+  group: DEFAULT_GROUP,
+};
+
+/**
+ * Load settings from localStorage, filling in defaults for missing keys
+ * @returns {object} - Settings object (always has every default key)
+ */
+function loadSettings() {
+  const stored = localStorage.getItem("settings");
+  if (!stored) return { ...DEFAULT_SETTINGS };
+
+  try {
+    const parsed = JSON.parse(stored);
+    return { ...DEFAULT_SETTINGS, ...parsed };
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save settings to localStorage
+ * @param {object} settings - Full settings object
+ */
+function saveSettings(settings) {
+  localStorage.setItem("settings", JSON.stringify(settings));
+}
+
+/**
+ * Clamp a user-entered goal to a sane whole number (1-100)
+ * @param {*} value - Raw value from an input field
+ * @returns {number|null} - Valid goal, or null if the value isn't a number
+ */
+function normalizeGoal(value) {
+  const goal = parseInt(value, 10);
+  if (isNaN(goal)) return null;
+  return Math.min(100, Math.max(1, goal));
+}
+
+/**
+ * Clamp a user-entered deadline hour to the supported range
+ * @param {*} value - Raw value from an input field
+ * @returns {number|null} - Valid hour, or null if the value isn't a number
+ */
+function normalizeDeadlineHour(value) {
+  const hour = parseInt(value, 10);
+  if (isNaN(hour)) return null;
+  return Math.min(MAX_DEADLINE_HOUR, Math.max(MIN_DEADLINE_HOUR, hour));
+}
+
+/**
+ * Clamp a user-entered session idle time to 0-240 minutes
+ * @param {*} value - Raw value from an input field
+ * @returns {number} - Minutes (0 turns the nudge off)
+ */
+function normalizeIdleMinutes(value) {
+  const minutes = parseInt(value, 10);
+  if (isNaN(minutes)) return 0;
+  return Math.min(240, Math.max(0, minutes));
+}
+
+/**
+ * Clean up punishment rules entered in the rules editor
+ * Drops rows without a label or a positive amount and clamps escalation
+ * @param {object} rules - Raw { items, scaleByShortfall, escalationPercent }
+ * @returns {object} - Rules safe to save and apply
+ */
+function normalizePunishmentRules(rules) {
+  const escalation = parseInt(rules.escalationPercent, 10);
+
+  return {
+    items: rules.items
+      .map((item) => ({
+        amount: parseInt(item.amount, 10),
+        label: String(item.label).trim(),
+      }))
+      .filter((item) => item.label && item.amount > 0),
+    scaleByShortfall: Boolean(rules.scaleByShortfall),
+    escalationPercent: isNaN(escalation)
+      ? 0
+      : Math.min(500, Math.max(0, escalation)),
+  };
+}
+
+/**
+ * Clean up exempt days entered in the settings panel
+ * Drops time off without valid dates, puts reversed dates the right way
+ * round and clamps the monthly freezes to 0-31
+ * @param {object} exemptions - Raw { restDays, ranges, freezesPerMonth }
+ * @returns {object} - Exemptions safe to save and apply
+ */
+function normalizeExemptions(exemptions) {
+  const isIsoDate = (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+  const freezes = parseInt(exemptions.freezesPerMonth, 10);
+
+  return {
+    restDays: [...new Set(exemptions.restDays.map(Number))]
+      .filter((weekday) => weekday >= 0 && weekday <= 6)
+      .sort(),
+    ranges: exemptions.ranges
+      .filter((range) => isIsoDate(range.start) && isIsoDate(range.end))
+      .map((range) => ({
+        start: range.start < range.end ? range.start : range.end,
+        end: range.start < range.end ? range.end : range.start,
+        reason: ["vacation", "sick", "other"].includes(range.reason)
+          ? range.reason
+          : "other",
+        label: String(range.label || "").trim(),
+      }))
+      .sort((a, b) => a.start.localeCompare(b.start)),
+    freezesPerMonth: isNaN(freezes) ? 0 : Math.min(31, Math.max(0, freezes)),
+  };
+}
+
+/**
+ * Clean up a whole settings object that came from a file
+ * Every section goes through the same rules as the settings panel, and
+ * anything missing or unusable falls back to its default. Group challenges
+ * only get their shape checked here - group.js cleans them up one by one
+ * (see mergeChallenges()).
+ * @param {*} raw - Settings as read from a backup
+ * @returns {object} - Settings safe to save and apply
+ */
+function normalizeSettings(raw) {
+  const isObject = (value) =>
+    Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  const section = (value, defaults) => ({
+    ...defaults,
+    ...(isObject(value) ? value : {}),
+  });
+  const objects = (value, fallback) =>
+    Array.isArray(value) ? value.filter(isObject) : fallback;
+
+  const settings = section(raw, DEFAULT_SETTINGS);
+  const rules = section(settings.punishmentRules, DEFAULT_PUNISHMENT_RULES);
+  const reminders = section(settings.reminders, DEFAULT_REMINDERS);
+  const exemptions = section(settings.exemptions, DEFAULT_EXEMPTIONS);
+  const report = section(settings.report, DEFAULT_REPORT);
+  const group = section(settings.group, DEFAULT_GROUP);
+
+  return {
+    dailyGoal: normalizeGoal(settings.dailyGoal) ?? DEFAULT_SETTINGS.dailyGoal,
+    deadlineHour:
+      normalizeDeadlineHour(settings.deadlineHour) ??
+      DEFAULT_SETTINGS.deadlineHour,
+    timeZone:
+      typeof settings.timeZone === "string" &&
+      isValidTimeZone(settings.timeZone)
+        ? settings.timeZone
+        : "",
+    punishmentRules: normalizePunishmentRules({
+      ...rules,
+      items: objects(rules.items, DEFAULT_PUNISHMENT_RULES.items),
+    }),
+    reminders: {
+      enabled: Boolean(reminders.enabled),
+      offsets: Array.isArray(reminders.offsets)
+        ? [...new Set(reminders.offsets.map(Number))]
+            .filter((minutes) => Number.isInteger(minutes))
+            .filter((minutes) => minutes >= 1 && minutes <= 24 * 60)
+            .sort((a, b) => b - a)
+        : DEFAULT_REMINDERS.offsets,
+      goalMissed: Boolean(reminders.goalMissed),
+    },
+    sessionIdleMinutes: normalizeIdleMinutes(settings.sessionIdleMinutes),
+    exemptions: normalizeExemptions({
+      restDays: Array.isArray(exemptions.restDays) ? exemptions.restDays : [],
+      ranges: objects(exemptions.ranges, []),
+      freezesPerMonth: exemptions.freezesPerMonth,
+    }),
+    report: {
+      wingman: String(report.wingman ?? "").trim(),
+      days: [7, 14, 30].includes(report.days) ? report.days : 7,
+    },
+    group: {
+      name: String(group.name ?? "").trim(),
+      period: ["week", "month"].includes(group.period) ? group.period : "week",
+      rankBy: ["streak", "rate", "approaches"].includes(group.rankBy)
+        ? group.rankBy
+        : "streak",
+      challenges: objects(group.challenges, []),
+    },
+  };
+}
+
+/**
+ * Check that a timezone name is one the browser understands
+ * An empty string is valid and means "use the device timezone".
+ * @param {string} timeZone - IANA timezone name, e.g. "Europe/London"
+ * @returns {boolean} - True if usable for day boundaries
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return true;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the goal that applied to a given day
+ * Each dailyDataStore entry records its own goal when the day is created,
+ * so changing the setting never re-judges past days.
+ * @param {object} entry - dailyDataStore entry
+ * @returns {number} - Approaches needed for that day
+ */
+function getDayGoal(entry) {
+  return entry?.goal ?? LEGACY_DAILY_GOAL;
+}
@@ -0,0 +1,874 @@
+// ============================================
+// DATA STORAGE - SCHEMA & MIGRATIONS
+// ============================================
+// The one place that reads and writes dailyDataStore, shared by
+// index.html and notes.html. Requires approaches.js.
+//
+// Daily data is kept in IndexedDB (see INDEXEDDB BACKEND below), or in
+// localStorage when IndexedDB isn't available. localStorage keys:
+//   "dailyDataStore"  - { "Mon Dec 16 2024": { date, approaches, goal, notes } }
+//                       (only when falling back, or before the move)
+//   "schemaVersion"   - number of the last migration applied
+//   "quarantinedData" - [{ quarantinedAt, key, raw, problem }] anything that
+//                       failed validation, kept so it can be recovered by hand
+//
+// To change the stored shape: add a migration to the end of MIGRATIONS.
+// Never edit or reorder one that has shipped - devices that already ran it
+// won't run it again. Every function takes the storage object as its last
+// parameter (default: localStorage) so it can be pointed at a stand-in.
+
+const DAILY_DATA_KEY = "dailyDataStore";
+const SCHEMA_VERSION_KEY = "schemaVersion";
+const QUARANTINE_KEY = "quarantinedData";
+
+/**
+ * Ordered schema migrations
+ * Each one gets the daily data (modify it in place), the storage object
+ * for anything kept under other keys, and a list to add a message to for
+ * anything it had to quarantine instead of migrating.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Move notes from the old allTimeNotes key into daily data",
+    migrate(dailyData, storage, problems) {
+      const oldNotes = storage.getItem("allTimeNotes");
+      if (!oldNotes) return;
+
+      let oldNotesData = null;
+      try {
+        oldNotesData = JSON.parse(oldNotes);
+      } catch (error) {
+        console.error("Error reading allTimeNotes:", error);
+      }
+      if (
+        !oldNotesData ||
+        typeof oldNotesData !== "object" ||
+        Array.isArray(oldNotesData)
+      ) {
+        quarantine("allTimeNotes", oldNotes, "unreadable old notes", storage);
+        problems.push("the old notes couldn't be read");
+        storage.removeItem("allTimeNotes");
+        return;
+      }
+
+      Object.keys(oldNotesData).forEach((date) => {
+        const notes = oldNotesData[date] ?? [];
+        const problem = getEntryProblem(date, { notes: notes });
+        if (problem) {
+          quarantine(`allTimeNotes/${date}`, notes, problem, storage);
+          problems.push(problem);
+          return;
+        }
+        if (!dailyData[date]) {
+          dailyData[date] = {
+            date: date,
+            approaches: [], // No historical approach data available
+            notes: notes,
+          };
+        } else {
+          dailyData[date].notes = mergeById(dailyData[date].notes || [], notes);
+        }
+      });
+      storage.removeItem("allTimeNotes");
+    },
+  },
+  {
+    version: 2,
+    description: "Drop the stored streak (it's derived from daily data now)",
+    migrate(dailyData, storage) {
+      storage.removeItem("currentStreak");
+    },
+  },
+  {
+    version: 3,
+    description: "Turn bare approach counters into approach records",
+    migrate(dailyData) {
+      upgradeApproachLog(dailyData);
+    },
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Combine two lists of records, keeping the first copy of each id
+ * @param {Array} existing - Records already on this device
+ * @param {Array} incoming - Records from elsewhere (backup, old key, ...)
+ * @returns {Array} - Existing records followed by the new ones
+ */
+function mergeById(existing, incoming) {
+  const seen = new Set(existing.map((record) => String(record.id)));
+  return [
+    ...existing,
+    ...incoming.filter((record) => !seen.has(String(record.id))),
+  ];
+}
+
+// Record ids end up in data attributes, so only plain ones are usable:
+// Unix timestamps, or strings like "Mon Dec 16 2024-0" and "backfill-..."
+const RECORD_ID_PATTERN = /^[\w .-]{1,80}$/;
+
+/**
+ * Check whether a value is usable as a record id
+ */
+function isRecordId(id) {
+  return (
+    Number.isFinite(id) ||
+    (typeof id === "string" && RECORD_ID_PATTERN.test(id))
+  );
+}
+
+/**
+ * Check whether a value is a Unix timestamp, or left empty
+ */
+function isOptionalTime(value) {
+  return value === null || value === undefined || Number.isFinite(value);
+}
+
+/**
+ * Check one record in a day's approaches, notes, sessions or edits
+ * Data from backups and the sync server goes through this too, so every
+ * field that's shown without being looked up or escaped is checked here.
+ * @param {string} list - "approaches", "notes", "sessions" or "edits"
+ * @param {*} record - The stored value
+ * @returns {boolean} - True if it's usable
+ */
+function isValidRecord(list, record) {
+  if (!record || typeof record !== "object" || !isRecordId(record.id)) {
+    return false;
+  }
+  if (list === "approaches") {
+    return (
+      isOptionalTime(record.timestamp) &&
+      [null, undefined, "", 1, 2, 3, 4, 5].includes(record.rating) &&
+      (record.sessionId === null ||
+        record.sessionId === undefined ||
+        isRecordId(record.sessionId))
+    );
+  }
+  if (list === "notes") {
+    return (
+      typeof record.text === "string" &&
+      ["string", "undefined"].includes(typeof record.timestamp) &&
+      isOptionalTime(record.editedAt) &&
+      (record.tags === undefined || Array.isArray(record.tags))
+    );
+  }
+  if (list === "sessions") {
+    return Number.isFinite(record.start) && isOptionalTime(record.end);
+  }
+  if (list === "edits") {
+    return (
+      isOptionalTime(record.at) &&
+      Array.isArray(record.changes) &&
+      record.changes.every((change) => typeof change === "string")
+    );
+  }
+  return true;
+}
+
+/**
+ * What each list is called in problem messages
+ */
+const ENTRY_LIST_NAMES = {
+  notes: "notes",
+  approaches: "approaches",
+  sessions: "sessions",
+  edits: "edit history",
+};
+
+/**
+ * Check one daily data entry
+ * @param {string} date - Its key in dailyDataStore
+ * @param {*} entry - The stored value
+ * @returns {string|null} - What's wrong with it, or null if it's usable
+ */
+function getEntryProblem(date, entry) {
+  if (isNaN(new Date(date).getTime())) {
+    return `invalid date: "${date}"`;
+  }
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return `the entry for ${date} is invalid`;
+  }
+  const badList = Object.keys(ENTRY_LIST_NAMES).find(
+    (list) =>
+      entry[list] !== undefined &&
+      (!Array.isArray(entry[list]) ||
+        !entry[list].every((record) => isValidRecord(list, record)))
+  );
+  if (badList) {
+    return `the ${ENTRY_LIST_NAMES[badList]} for ${date} ${
+      badList === "edits" ? "is" : "are"
+    } invalid`;
+  }
+  if (
+    entry.goal !== undefined &&
+    !(Number.isInteger(entry.goal) && entry.goal > 0)
+  ) {
+    return `the goal for ${date} is invalid`;
+  }
+  if (
+    entry.exempt !== undefined &&
+    entry.exempt !== null &&
+    (typeof entry.exempt !== "object" ||
+      typeof entry.exempt.type !== "string" ||
+      !["string", "undefined"].includes(typeof entry.exempt.label))
+  ) {
+    return `the exemption for ${date} is invalid`;
+  }
+  return null;
+}
+
+/**
+ * Move something that failed validation out of the way
+ * It's appended to the quarantine list instead of being thrown away, so
+ * one bad entry never costs the rest of the history.
+ */
+function quarantine(key, value, problem, storage = localStorage) {
+  let quarantined = [];
+  try {
+    quarantined = JSON.parse(storage.getItem(QUARANTINE_KEY)) || [];
+  } catch (error) {
+    console.error("Error reading quarantined data:", error);
+  }
+
+  quarantined.push({
+    quarantinedAt: Date.now(),
+    key: key,
+    raw: typeof value === "string" ? value : JSON.stringify(value),
+    problem: problem,
+  });
+  storage.setItem(QUARANTINE_KEY, JSON.stringify(quarantined));
+  console.warn(`Quarantined ${key}: ${problem}`);
+}
+
+/**
+ * Validate parsed daily data, quarantining unusable entries
+ * Usable entries are completed with any missing fields.
+ * @param {*} dailyData - Parsed dailyDataStore
+ * @returns {object} - { dailyData, problems: [messages] }
+ */
+function validateDailyData(dailyData, storage = localStorage) {
+  if (!dailyData || typeof dailyData !== "object" || Array.isArray(dailyData)) {
+    const problem = "daily data isn't an object";
+    quarantine(DAILY_DATA_KEY, dailyData, problem, storage);
+    return { dailyData: {}, problems: [problem] };
+  }
+
+  const problems = [];
+  Object.keys(dailyData).forEach((date) => {
+    const entry = dailyData[date];
+    const problem = getEntryProblem(date, entry);
+
+    if (problem) {
+      quarantine(`${DAILY_DATA_KEY}/${date}`, entry, problem, storage);
+      problems.push(problem);
+      delete dailyData[date];
+      return;
+    }
+
+    entry.date = date;
+    entry.notes = entry.notes || [];
+    if (!entry.approaches && entry.approachCount === undefined) {
+      entry.approaches = [];
+    }
+  });
+
+  return { dailyData, problems };
+}
+
+/**
+ * Read the stored schema version
+ * Data from before versioning existed counts as version 0
+ */
+function getSchemaVersion(storage = localStorage) {
+  return Number(storage.getItem(SCHEMA_VERSION_KEY)) || 0;
+}
+
+/**
+ * Apply every migration newer than the stored schema version, in order
+ * The data and version are saved after each step, so if one throws, the
+ * ones before it aren't repeated next time.
+ * @param {object} dailyData - Validated daily data (modified in place)
+ * @param {Function} persist - Writes the whole dailyDataStore back
+ * @param {Array} problems - Gets a message for anything quarantined
+ * @returns {number} - How many migrations ran
+ */
+function runMigrations(
+  dailyData,
+  persist,
+  problems = [],
+  storage = localStorage
+) {
+  const pending = MIGRATIONS.filter(
+    (migration) => migration.version > getSchemaVersion(storage)
+  );
+
+  pending.forEach((migration) => {
+    migration.migrate(dailyData, storage, problems);
+    persist(dailyData);
+    storage.setItem(SCHEMA_VERSION_KEY, String(migration.version));
+    console.log(
+      `Migrated data to version ${migration.version}: ${migration.description}`
+    );
+  });
+
+  return pending.length;
+}
+
+/**
+ * Validate and migrate freshly read daily data
+ * Anything set aside along the way is reported to the user once.
+ * @param {*} parsed - Daily data as read from the backend
+ * @param {Array} problems - Problems found while reading it
+ * @param {Function} persist - Writes the whole dailyDataStore back
+ * @returns {object} - dailyDataStore, ready to use
+ */
+function prepareDailyData(parsed, problems, persist, storage = localStorage) {
+  const validated = validateDailyData(parsed, storage);
+  const dailyData = validated.dailyData;
+  problems = problems.concat(validated.problems);
+
+  if (getSchemaVersion(storage) > SCHEMA_VERSION) {
+    // Written by a newer version of the app - leave it alone
+    console.warn("Stored data is from a newer version of the app");
+  } else {
+    try {
+      runMigrations(dailyData, persist, problems, storage);
+    } catch (error) {
+      // Stay on the last good version - the failed step retries next load
+      console.error("Error during data migration:", error);
+    }
+  }
+
+  if (problems.length > 0) {
+    persist(dailyData);
+    alert(
+      `Some saved data couldn't be read and was set aside under "${QUARANTINE_KEY}" in this browser's storage (${problems.join(
+        "; "
+      )})`
+    );
+  }
+
+  return dailyData;
+}
+
+/**
+ * Read daily data from the localStorage backend
+ * @returns {object} - Validated, migrated dailyDataStore
+ */
+function loadFromLocalStorage(storage = localStorage) {
+  const stored = storage.getItem(DAILY_DATA_KEY);
+  let parsed = {};
+  const problems = [];
+
+  if (stored) {
+    try {
+      parsed = JSON.parse(stored);
+    } catch (error) {
+      console.error("Error loading dailyDataStore:", error);
+      quarantine(DAILY_DATA_KEY, stored, "not valid JSON", storage);
+      problems.push("the saved data isn't valid JSON");
+    }
+  }
+
+  return prepareDailyData(
+    parsed,
+    problems,
+    (dailyData) => storage.setItem(DAILY_DATA_KEY, JSON.stringify(dailyData)),
+    storage
+  );
+}
+
+// ============================================
+// MERGE-SAFE SAVES
+// ============================================
+// Several tabs can have the same data open. Each one only knows what was
+// stored when it last loaded or saved (its "base"), so a save never just
+// overwrites a day: it merges its own changes since the base into whatever
+// is stored now. Records added or edited here are kept, records deleted
+// here are dropped, and everything another tab did in the meantime stays.
+
+/**
+ * Three-way merge of two lists of records with ids
+ * @param {Array} base - The list as this tab last saw it stored
+ * @param {Array} ours - The list in this tab now
+ * @param {Array} theirs - The list stored now
+ * @returns {Array} - Merged list
+ */
+function mergeRecordLists(base, ours, theirs) {
+  const toMap = (records) =>
+    new Map(records.map((record) => [String(record.id), record]));
+  const baseMap = toMap(base);
+  const ourMap = toMap(ours);
+  const theirMap = toMap(theirs);
+  const changedHere = (key) =>
+    JSON.stringify(ourMap.get(key)) !== JSON.stringify(baseMap.get(key));
+
+  const merged = [];
+  theirMap.forEach((record, key) => {
+    if (!ourMap.has(key)) {
+      // Deleted here, or added by another tab
+      if (!baseMap.has(key)) merged.push(record);
+      return;
+    }
+    merged.push(changedHere(key) ? ourMap.get(key) : record);
+  });
+
+  // Added here (records deleted by another tab stay deleted)
+  ourMap.forEach((record, key) => {
+    if (!theirMap.has(key) && !baseMap.has(key)) merged.push(record);
+  });
+
+  return merged;
+}
+
+/**
+ * Three-way merge of one day's entry
+ * Plain fields (goal, ...) take this tab's value if it changed it, and
+ * approaches, sessions, notes and edits are merged record by record.
+ * @param {object} base - The entry as this tab last saw it stored ({} if new)
+ * @param {object} ours - The entry in this tab now
+ * @param {object} theirs - The entry stored now (undefined if there's none)
+ * @returns {object} - Merged entry
+ */
+function mergeDayEntry(base, ours, theirs) {
+  if (!theirs) return ours;
+
+  const merged = { ...theirs };
+  Object.keys(ours).forEach((field) => {
+    if (JSON.stringify(ours[field]) !== JSON.stringify(base[field])) {
+      merged[field] = ours[field];
+    }
+  });
+
+  ["approaches", "sessions", "notes", "edits"].forEach((list) => {
+    if (Array.isArray(ours[list]) && Array.isArray(theirs[list])) {
+      merged[list] = mergeRecordLists(
+        base[list] || [],
+        ours[list],
+        theirs[list]
+      );
+    }
+  });
+  (merged.approaches || []).sort(
+    (a, b) => (a.timestamp || 0) - (b.timestamp || 0)
+  );
+
+  return merged;
+}
+
+/**
+ * Turn a snapshot (see getRecordSnapshot) back into a day entry
+ * @returns {object} - Entry, or {} when the snapshot doesn't have the day
+ */
+function getSnapshotEntry(snapshot, date) {
+  const day = snapshot && snapshot[date];
+  if (!day) return {};
+  return {
+    ...JSON.parse(day.day),
+    notes: [...day.notes.values()].map((note) => JSON.parse(note.json)),
+  };
+}
+
+/**
+ * List the days whose records differ between two snapshots
+ * @returns {Array} - Day keys, including days that were deleted
+ */
+function getChangedDates(before, after) {
+  const dates = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...dates].filter((date) => {
+    const old = before[date];
+    const now = after[date];
+    if (!old || !now || old.day !== now.day) return true;
+    if (old.notes.size !== now.notes.size) return true;
+    return [...now.notes].some(
+      ([key, note]) => old.notes.get(key)?.json !== note.json
+    );
+  });
+}
+
+/**
+ * Save to the localStorage backend, merging with what's stored
+ * @param {object} before - Snapshot this tab last saw stored
+ * @param {object} after - Snapshot of dailyData
+ * @param {Array} dates - Days to write (see getChangedDates)
+ */
+function writeToLocalStorage(dailyData, before, after, dates, storage) {
+  let stored = {};
+  try {
+    stored = JSON.parse(storage.getItem(DAILY_DATA_KEY)) || {};
+  } catch (error) {
+    console.error("Error reading daily data before saving:", error);
+  }
+
+  dates.forEach((date) => {
+    if (!after[date]) {
+      delete stored[date];
+    } else {
+      stored[date] = mergeDayEntry(
+        getSnapshotEntry(before, date),
+        dailyData[date],
+        stored[date]
+      );
+    }
+  });
+
+  storage.setItem(DAILY_DATA_KEY, JSON.stringify(stored));
+}
+
+// ============================================
+// INDEXEDDB BACKEND
+// ============================================
+// localStorage means rewriting one big JSON string on every click, and it
+// runs out of room after a few years of notes. So daily data lives in
+// IndexedDB when the browser has it - database "10ordie", shared with
+// attachments.js:
+//   "days"        - one record per day, keyed by date: the entry minus notes
+//   "notes"       - { date, id, note }, keyed by [date, id], indexed by date
+//   "attachments" - see attachments.js
+// Saves only write the day and note records that changed since the last
+// save. The first load moves any dailyDataStore found in localStorage
+// over. Without IndexedDB (some private modes, old browsers) everything
+// keeps working from localStorage exactly as before.
+
+const DB_NAME = "10ordie";
+const DB_VERSION = 2; // 1 only had attachments
+const DAY_STORE = "days";
+const NOTE_STORE = "notes";
+
+let dbPromise = null; // Opened once, on first use
+let dataBackend = null; // "indexeddb" or "localStorage", chosen on first load
+let savedRecords = null; // What the last save wrote, see getRecordSnapshot()
+let pendingWrite = Promise.resolve(); // Loads wait for writes in flight
+
+/**
+ * Open (and if needed create or upgrade) the app's database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB isn't available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains("attachments")) {
+        db.createObjectStore("attachments", { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(DAY_STORE)) {
+        db.createObjectStore(DAY_STORE, { keyPath: "date" });
+      }
+      if (!db.objectStoreNames.contains(NOTE_STORE)) {
+        const notes = db.createObjectStore(NOTE_STORE, {
+          keyPath: ["date", "id"],
+        });
+        notes.createIndex("date", "date");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      reject(new Error("Close other 10 or DIE tabs to finish updating"));
+  });
+
+  // Let a later call retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a transaction over the day and note stores
+ * @param {IDBDatabase} db - Open database
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} work - Receives (dayStore, noteStore), may return a value
+ * @returns {Promise<*>} - What work returned, once the transaction completes
+ */
+function withDataStores(db, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([DAY_STORE, NOTE_STORE], mode);
+    const result = work(
+      transaction.objectStore(DAY_STORE),
+      transaction.objectStore(NOTE_STORE)
+    );
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Read every day and note record back into dailyDataStore shape
+ * @returns {Promise<object>} - dailyDataStore
+ */
+function readAllRecords(db) {
+  return withDataStores(db, "readonly", (dayStore, noteStore) => {
+    const days = dayStore.getAll();
+    const notes = noteStore.getAll();
+    return { days, notes };
+  }).then(({ days, notes }) => {
+    const dailyData = {};
+    days.result.forEach((day) => {
+      dailyData[day.date] = { ...day, notes: [] };
+    });
+    // Notes come back sorted by [date, id], i.e. in the order they were added
+    notes.result.forEach((record) => {
+      if (dailyData[record.date]) {
+        dailyData[record.date].notes.push(record.note);
+      }
+    });
+    return dailyData;
+  });
+}
+
+/**
+ * Serialize daily data into the records the database holds
+ * Comparing two snapshots tells which records a save has to touch.
+ * @returns {object} - { [date]: { day: json, notes: Map(String(id) -> { id, json }) } }
+ */
+function getRecordSnapshot(dailyData) {
+  const snapshot = {};
+  Object.keys(dailyData).forEach((date) => {
+    const { notes, ...day } = dailyData[date];
+    const noteMap = new Map();
+    (notes || []).forEach((note) => {
+      noteMap.set(String(note.id), { id: note.id, json: JSON.stringify(note) });
+    });
+    snapshot[date] = { day: JSON.stringify(day), notes: noteMap };
+  });
+  return snapshot;
+}
+
+/**
+ * Write the records that differ between two snapshots
+ * Changed day records are merged with the stored ones (see
+ * mergeDayEntry). Notes are records of their own, so they're just written.
+ * @param {object} dailyData - dailyDataStore being saved
+ * @param {object} before - Snapshot this tab last saw stored (null:
+ *   unknown, so clear both stores and write everything)
+ * @param {object} after - Snapshot of dailyData
+ */
+function writeRecords(db, dailyData, before, after) {
+  return withDataStores(db, "readwrite", (dayStore, noteStore) => {
+    if (!before) {
+      dayStore.clear();
+      noteStore.clear();
+      before = {};
+    }
+
+    Object.keys(after).forEach((date) => {
+      const old = before[date];
+      if (!old || old.day !== after[date].day) {
+        const { notes, ...day } = dailyData[date];
+        const base = old ? JSON.parse(old.day) : {};
+        const request = dayStore.get(date);
+        request.onsuccess = () => {
+          dayStore.put(mergeDayEntry(base, day, request.result));
+        };
+      }
+      after[date].notes.forEach((note, key) => {
+        const oldNote = old && old.notes.get(key);
+        if (!oldNote || oldNote.json !== note.json) {
+          noteStore.put({
+            date: date,
+            id: note.id,
+            note: JSON.parse(note.json),
+          });
+        }
+      });
+    });
+
+    Object.keys(before).forEach((date) => {
+      if (!after[date]) {
+        dayStore.delete(date);
+      }
+      before[date].notes.forEach((note, key) => {
+        if (!after[date] || !after[date].notes.has(key)) {
+          noteStore.delete([date, note.id]);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Load daily data from IndexedDB, moving localStorage data over first
+ * @returns {Promise<object>} - Validated, migrated dailyDataStore
+ */
+function loadFromIndexedDb(db, storage = localStorage) {
+  return readAllRecords(db).then((stored) => {
+    const persist = (dailyData) => {
+      savedRecords = null; // Rewrite everything
+      return saveDailyData(dailyData);
+    };
+
+    if (storage.getItem(DAILY_DATA_KEY) === null) {
+      return prepareDailyData(stored, [], persist, storage);
+    }
+
+    // Data saved to localStorage - from before IndexedDB was used, or
+    // from a session that had to fall back - wins over what's stored here
+    const local = loadFromLocalStorage(storage);
+    const dailyData = { ...stored, ...local };
+    return writeRecords(db, dailyData, null, getRecordSnapshot(dailyData))
+      .then(() => {
+        storage.removeItem(DAILY_DATA_KEY);
+        console.log("Moved daily data from localStorage to IndexedDB");
+        return dailyData;
+      })
+      .catch((error) => {
+        console.error("Error moving daily data to IndexedDB:", error);
+        return dailyData;
+      });
+  });
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Load daily data: read, validate, then migrate to the current schema
+ * Unreadable data is quarantined rather than silently reset, and the user
+ * is told about it once.
+ * @returns {Promise<object>} - dailyDataStore (empty object if nothing yet)
+ */
+function loadDailyData(storage = localStorage) {
+  const write = pendingWrite;
+
+  return write
+    .then(() => {
+      if (dataBackend === "localStorage") {
+        return loadFromLocalStorage(storage);
+      }
+
+      return openDatabase()
+        .then((db) => {
+          dataBackend = "indexeddb";
+          return loadFromIndexedDb(db, storage);
+        })
+        .catch((error) => {
+          console.warn("Falling back to localStorage:", error);
+          dataBackend = "localStorage";
+          return loadFromLocalStorage(storage);
+        });
+    })
+    .then((dailyData) => {
+      // A save that started while reading might be missing - read again
+      if (pendingWrite !== write) return loadDailyData(storage);
+
+      savedRecords = getRecordSnapshot(dailyData);
+      return dailyData;
+    });
+}
+
+/**
+ * Save daily data
+ * Only the days that changed since the last load or save are written,
+ * merged with whatever other tabs stored meanwhile, and then announced
+ * to those tabs (see onStorageChange).
+ * @param {object} dailyData - Full dailyDataStore
+ * @returns {Promise<void>}
+ */
+function saveDailyData(dailyData, storage = localStorage) {
+  // Diff now, so later saves compare against this one even while it's
+  // still being written
+  const before = savedRecords;
+  const after = getRecordSnapshot(dailyData);
+  const dates = before ? getChangedDates(before, after) : Object.keys(after);
+  savedRecords = after;
+
+  if (before && dates.length === 0) return pendingWrite;
+
+  const write =
+    dataBackend === "indexeddb"
+      ? openDatabase().then((db) => writeRecords(db, dailyData, before, after))
+      : pendingWrite.then(() =>
+          before
+            ? writeToLocalStorage(dailyData, before, after, dates, storage)
+            : storage.setItem(DAILY_DATA_KEY, JSON.stringify(dailyData))
+        );
+
+  pendingWrite = write
+    .then(() => announceChange(DAILY_DATA_KEY))
+    .catch((error) => {
+      console.error("Error saving daily data:", error);
+      if (dataBackend !== "indexeddb") {
+        alert("Couldn't save - this browser's storage is full");
+      }
+      // Try these changes again with the next save
+      if (savedRecords === after) savedRecords = before;
+    });
+  return pendingWrite;
+}
+
+/**
+ * Delete all daily data
+ * The schema version stays, so nothing is migrated again afterwards
+ * @returns {Promise<void>}
+ */
+function clearDailyData(storage = localStorage) {
+  if (dataBackend === "indexeddb") {
+    storage.removeItem(DAILY_DATA_KEY);
+  }
+  return saveDailyData({}, storage);
+}
+
+// ============================================
+// CROSS-TAB SYNC
+// ============================================
+// Saves are announced over a BroadcastChannel, or, in browsers without
+// one, by touching a localStorage key so other tabs get a "storage"
+// event. Settings and punishments are small localStorage values, so their
+// own "storage" events are enough. Neither reaches the tab that saved.
+
+const SYNC_CHANNEL_NAME = "10ordie-sync";
+const CHANGE_KEY = "dataChangedAt";
+
+const syncChannel =
+  typeof BroadcastChannel === "function"
+    ? new BroadcastChannel(SYNC_CHANNEL_NAME)
+    : null;
+
+/**
+ * Tell other tabs that stored data changed
+ * @param {string} key - What changed, e.g. "dailyDataStore"
+ */
+function announceChange(key) {
+  if (syncChannel) {
+    syncChannel.postMessage({ key: key });
+  } else {
+    localStorage.setItem(CHANGE_KEY, JSON.stringify({ key, at: Date.now() }));
+  }
+}
+
+/**
+ * Run a callback whenever another tab changes stored data
+ * @param {Function} callback - Receives the key that changed:
+ *   "dailyDataStore", "settings" or "punishments"
+ */
+function onStorageChange(callback) {
+  if (syncChannel) {
+    syncChannel.addEventListener("message", (event) =>
+      callback(event.data.key)
+    );
+  }
+
+  window.addEventListener("storage", (event) => {
+    if (event.key === "settings" || event.key === "punishments") {
+      callback(event.key);
+    } else if (event.key === CHANGE_KEY && event.newValue) {
+      callback(JSON.parse(event.newValue).key);
+    }
+  });
+}
@@ -0,0 +1,73 @@
+// ============================================
+// STREAK CALCULATOR
+// ============================================
+// Shared by index.html and notes.html. Requires settings.js, days.js,
+// approaches.js and exemptions.js.
+//
+// Streaks are never stored - they are derived from dailyDataStore every
+// time, so undoing, resetting, re-completing or backfilling a day can't
+// make them drift. A streak is a run of consecutive calendar days that
+// each met their own goal. A day with no entry at all counts as a miss.
+// Exempt days (see exemptions.js) that miss their goal are skipped: they
+// don't end a run, and they don't add to it either.
+
+/**
+ * Calculate streaks from daily data
+ * Today only extends a streak once it's complete - while today is still
+ * in progress the current streak is the run that ended yesterday.
+ * Days are walked with shiftDayKey(), which moves by calendar date rather
+ * than by 24 hours, so DST changes never skip or repeat a day.
+ * @param {object} dailyData - dailyDataStore (date key -> entry)
+ * @param {string} today - Today's day key (default: from days.js)
+ * @param {object} settings - Settings with exemptions (for days with no
+ *   entry)
+ * @returns {object} - { current, longest, history: [{ start, end, length }] }
+ *   history lists every streak oldest first; start/end are day keys
+ */
+function calculateStreaks(
+  dailyData,
+  today = getDayKey(),
+  settings = loadSettings()
+) {
+  const todayTime = new Date(today).getTime();
+
+  // Days after today (e.g. logged before a timezone change) can't count yet
+  const dates = Object.keys(dailyData).filter(
+    (date) => new Date(date).getTime() <= todayTime
+  );
+
+  const history = [];
+  if (dates.length === 0) {
+    return { current: 0, longest: 0, history };
+  }
+
+  const earliest = dates.reduce((a, b) => (new Date(a) <= new Date(b) ? a : b));
+  const exemptions = mapExemptions(dailyData, today, settings);
+
+  let run = null;
+  for (
+    let day = earliest;
+    new Date(day).getTime() <= todayTime;
+    day = shiftDayKey(day, 1)
+  ) {
+    if (isDayComplete(dailyData[day])) {
+      if (run) {
+        run.end = day;
+        run.length++;
+      } else {
+        run = { start: day, end: day, length: 1 };
+        history.push(run);
+      }
+    } else if (day !== today && !exemptions[day]) {
+      // A missed day ends the run (an unfinished today doesn't, yet, and
+      // an exempt one never does)
+      run = null;
+    }
+  }
+
+  return {
+    current: run ? run.length : 0,
+    longest: Math.max(0, ...history.map((streak) => streak.length)),
+    history: history,
+  };
+}
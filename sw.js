@@ -0,0 +1,114 @@
+// ============================================
+// SERVICE WORKER - OFFLINE CACHE
+// ============================================
+// Caches every file the app needs, so both pages work with no signal at
+// all. Files are served from the cache first; the network is only used
+// for anything not cached.
+//
+// When shipping a new version: bump CACHE_VERSION. Browsers notice the
+// changed sw.js, install it alongside the running one and cache the new
+// files, and pwa.js offers to reload into it. Old caches are deleted once
+// the new worker takes over.
+
+const CACHE_VERSION = 10;
+const CACHE_NAME = `10ordie-v${CACHE_VERSION}`;
+
+const APP_FILES = [
+  "./",
+  "index.html",
+  "notes.html",
+  "style.css",
+  "manifest.json",
+  "icon.png",
+  "settings.js",
+  "days.js",
+  "approaches.js",
+  "storage.js",
+  "sync.js",
+  "sessions.js",
+  "notebook.js",
+  "markdown.js",
+  "exemptions.js",
+  "streak.js",
+  "punishments.js",
+  "attachments.js",
+  "reminders.js",
+  "backup.js",
+  "analytics.js",
+  "search.js",
+  "backfill.js",
+  "report.js",
+  "group.js",
+  "pwa.js",
+  "app.js",
+  "notes.js",
+];
+
+/**
+ * Install: cache every app file
+ * The new worker then waits until the page tells it to take over (see
+ * the message handler), so a running page never mixes old and new files
+ */
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_FILES))
+  );
+});
+
+/**
+ * Activate: delete the caches of older versions
+ */
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("10ordie-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Fetch: cache first, then network
+ * Page URLs with a query string or hash (e.g. notes.html?q=...) are
+ * matched against the cached page without it
+ */
+self.addEventListener("fetch", (event) => {
+  if (event.request.method !== "GET") return;
+
+  event.respondWith(
+    caches
+      .match(event.request, { ignoreSearch: event.request.mode === "navigate" })
+      .then((cached) => cached || fetch(event.request))
+  );
+});
+
+/**
+ * Clicking a reminder (see reminders.js) opens the dashboard
+ */
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((windows) => {
+      const dashboard = windows.find((client) => {
+        const path = new URL(client.url).pathname;
+        return path.endsWith("/") || path.endsWith("index.html");
+      });
+      return dashboard ? dashboard.focus() : self.clients.openWindow("./");
+    })
+  );
+});
+
+/**
+ * The page asks a waiting worker to take over once the user agrees
+ */
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
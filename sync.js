@@ -0,0 +1,548 @@
+// ============================================
+// SYNC CLIENT
+// ============================================
+// Keeps this device's daily data in step with a self-hosted sync server
+// (server/sync-server.js). Shared by index.html and notes.html. Requires
+// storage.js.
+//
+// Sync is off until a server is set in the dashboard's settings panel.
+// localStorage keys (kept apart from "settings", so backups and exported
+// files never carry the token):
+//   "syncConfig" - { serverUrl, userId, token }
+//   "syncState"  - { deviceId, since, records: { [key]: { version, hash } },
+//                    lastSyncedAt, lastError }
+//                  what the server held when this device last synced
+//   "syncQueue"  - { [key]: { key, baseVersion, data, deleted, updatedAt,
+//                    hash } } local changes not yet accepted by the server
+//
+// Every day is split into records, so two devices editing different notes
+// of the same day never collide:
+//   "<day key>/day"                  the entry minus its lists
+//   "<day key>/approach/<id>"        one per approach (likewise note,
+//   "<day key>/note/<id>", ...       session and edit)
+//
+// Changes are queued whenever the page saves, and survive being offline or
+// closing the tab. A sync pulls first, then pushes the queue. When the same
+// record changed on two devices, the later change wins, and on a tie the
+// higher deviceId - both devices reach the same answer on their own.
+
+const SYNC_CONFIG_KEY = "syncConfig";
+const SYNC_STATE_KEY = "syncState";
+const SYNC_QUEUE_KEY = "syncQueue";
+const SYNC_INTERVAL = 60 * 1000; // ms between background syncs
+const SYNC_DELAY = 5 * 1000; // ms after a save before syncing it
+const SYNC_MAX_ROUNDS = 3; // pushes per sync while conflicts get resolved
+
+/**
+ * List record type for each list in a day's entry
+ */
+const SYNC_LISTS = {
+  approaches: "approach",
+  notes: "note",
+  sessions: "session",
+  edits: "edit",
+};
+
+let syncInProgress = null; // Promise of the sync that's running, if any
+let syncTimer = null;
+let syncLoopStarted = false;
+
+/**
+ * Read a JSON value from localStorage
+ */
+function readSyncValue(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Load the sync settings
+ * @returns {object} - { serverUrl, userId, token } ("" when not set)
+ */
+function loadSyncConfig() {
+  return {
+    serverUrl: "",
+    userId: "",
+    token: "",
+    ...readSyncValue(SYNC_CONFIG_KEY, {}),
+  };
+}
+
+/**
+ * Save the sync settings
+ * A different server or user starts over, so everything on this device
+ * is pushed to the new place
+ * @param {object} config - { serverUrl, userId, token }
+ */
+function saveSyncConfig(config) {
+  const old = loadSyncConfig();
+  if (old.serverUrl !== config.serverUrl || old.userId !== config.userId) {
+    const { deviceId } = loadSyncState();
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify({ deviceId }));
+    localStorage.removeItem(SYNC_QUEUE_KEY);
+  }
+  localStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify(config));
+}
+
+/**
+ * Check whether sync is set up on this device
+ */
+function isSyncConfigured(config = loadSyncConfig()) {
+  return Boolean(config.serverUrl && config.userId);
+}
+
+/**
+ * Load what this device knows about the server
+ * A device id is made up the first time
+ */
+function loadSyncState() {
+  const state = {
+    since: 0,
+    records: {},
+    lastSyncedAt: null,
+    lastError: null,
+    ...readSyncValue(SYNC_STATE_KEY, {}),
+  };
+  if (!state.deviceId) {
+    state.deviceId = `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+  }
+  return state;
+}
+
+function saveSyncState(state) {
+  localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+}
+
+function loadSyncQueue() {
+  return readSyncValue(SYNC_QUEUE_KEY, {});
+}
+
+function saveSyncQueue(queue) {
+  localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
+}
+
+// ============================================
+// RECORDS
+// ============================================
+
+/**
+ * Hash a record's JSON (32-bit FNV-1a), to tell whether it changed
+ * without keeping a second copy of everything
+ */
+function hashSyncData(json) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Split daily data into sync records
+ * @param {object} dailyData - dailyDataStore
+ * @returns {object} - { [key]: data }
+ */
+function getSyncRecords(dailyData) {
+  const records = {};
+  Object.keys(dailyData).forEach((date) => {
+    const entry = dailyData[date];
+    const day = { ...entry };
+    Object.keys(SYNC_LISTS).forEach((list) => {
+      delete day[list];
+      (entry[list] || []).forEach((record) => {
+        records[`${date}/${SYNC_LISTS[list]}/${record.id}`] = record;
+      });
+    });
+    records[`${date}/day`] = day;
+  });
+  return records;
+}
+
+/**
+ * Split a record key into its parts
+ * @returns {object} - { date, type, id } (type "day" has no id)
+ */
+function parseSyncKey(key) {
+  const [date, type, ...id] = key.split("/");
+  return { date, type, id: id.join("/") };
+}
+
+/**
+ * Check a record from the server before it goes anywhere near the page
+ * Anyone with the server's token can write any user's records, so they
+ * get the same checks as stored data (see getEntryProblem in storage.js)
+ * @param {object} record - { key, data, deleted }
+ * @returns {string|null} - What's wrong with it, or null if it's usable
+ */
+function getSyncRecordProblem(record) {
+  if (!record || typeof record.key !== "string") return "a record has no key";
+
+  const { date, type, id } = parseSyncKey(record.key);
+  const list = Object.keys(SYNC_LISTS).find((l) => SYNC_LISTS[l] === type);
+
+  if (type !== "day" && !list) return `unknown record type: "${type}"`;
+  if (record.deleted) return getEntryProblem(date, {});
+  if (type === "day") return getEntryProblem(date, record.data);
+  if (!isValidRecord(list, record.data) || String(record.data.id) !== id) {
+    return `the record ${record.key} is invalid`;
+  }
+  return getEntryProblem(date, {});
+}
+
+/**
+ * Write one record from the server into daily data
+ * Applying the same record twice changes nothing. Records that fail
+ * getSyncRecordProblem() are skipped.
+ * @param {object} dailyData - dailyDataStore (modified in place)
+ * @param {object} record - { key, data, deleted }
+ */
+function applySyncRecord(dailyData, record) {
+  const problem = getSyncRecordProblem(record);
+  if (problem) {
+    console.warn(`Skipped a synced record: ${problem}`);
+    return;
+  }
+
+  const { date, type, id } = parseSyncKey(record.key);
+
+  if (type === "day") {
+    if (record.deleted) {
+      delete dailyData[date];
+    } else {
+      const lists = {};
+      Object.keys(SYNC_LISTS).forEach((list) => {
+        lists[list] = dailyData[date]?.[list] || [];
+      });
+      dailyData[date] = { ...record.data, ...lists };
+    }
+    return;
+  }
+
+  const list = Object.keys(SYNC_LISTS).find((l) => SYNC_LISTS[l] === type);
+  if (!dailyData[date]) {
+    // The day record usually comes first, but a list record can't wait
+    dailyData[date] = { date: date, approaches: [], notes: [], sessions: [] };
+  }
+
+  const entry = dailyData[date];
+  entry[list] = entry[list] || [];
+  const index = entry[list].findIndex((r) => String(r.id) === id);
+  if (record.deleted) {
+    if (index !== -1) entry[list].splice(index, 1);
+  } else if (index !== -1) {
+    entry[list][index] = record.data;
+  } else {
+    entry[list].push(record.data);
+  }
+  if (list === "approaches") {
+    entry.approaches.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  }
+}
+
+// ============================================
+// QUEUE & CONFLICTS
+// ============================================
+
+/**
+ * Queue every record that differs from what the server last had
+ * Called after each save. Queued changes keep their original time unless
+ * they change again.
+ * @param {object} dailyData - dailyDataStore
+ * @returns {number} - Changes waiting to be pushed
+ */
+function queueSyncChanges(dailyData) {
+  if (!isSyncConfigured()) return 0;
+
+  const state = loadSyncState();
+  const queue = loadSyncQueue();
+  const records = getSyncRecords(dailyData);
+  const now = Date.now();
+
+  const queueChange = (key, data, deleted) => {
+    const hash = deleted ? null : hashSyncData(JSON.stringify(data));
+    const known = state.records[key];
+    if ((known ? known.hash : null) === hash) {
+      delete queue[key]; // Back to what the server has
+    } else if (!queue[key] || queue[key].hash !== hash) {
+      queue[key] = {
+        key: key,
+        baseVersion: known ? known.version : 0,
+        data: deleted ? null : data,
+        deleted: deleted,
+        updatedAt: now,
+        hash: hash,
+      };
+    }
+  };
+
+  Object.keys(records).forEach((key) => queueChange(key, records[key], false));
+  Object.keys(state.records).forEach((key) => {
+    if (!records[key]) queueChange(key, null, true);
+  });
+
+  saveSyncQueue(queue);
+  return Object.keys(queue).length;
+}
+
+/**
+ * Decide which of two versions of a record wins
+ * Later updatedAt wins; on a tie the higher deviceId does, so every
+ * device picks the same one
+ * @param {object} local - Queued change, with this device's deviceId
+ * @param {object} remote - Record from the server
+ * @returns {string} - "local" or "remote"
+ */
+function resolveSyncConflict(local, remote) {
+  if (local.updatedAt !== remote.updatedAt) {
+    return local.updatedAt > remote.updatedAt ? "local" : "remote";
+  }
+  return local.deviceId > remote.deviceId ? "local" : "remote";
+}
+
+/**
+ * Take in a record from the server that may clash with a queued change
+ * @param {object} state - Sync state (modified in place)
+ * @param {object} queue - Sync queue (modified in place)
+ * @param {object} record - Server record
+ * @returns {boolean} - True if the record should be applied to daily data
+ */
+function receiveSyncRecord(state, queue, record) {
+  const hash = record.deleted
+    ? null
+    : hashSyncData(JSON.stringify(record.data));
+  const queued = queue[record.key];
+  state.records[record.key] = { version: record.version, hash: hash };
+
+  if (queued) {
+    if (queued.hash === hash) {
+      // Same change from both sides (or from another tab) - nothing to do
+      delete queue[record.key];
+      return false;
+    }
+    const winner = resolveSyncConflict(
+      { ...queued, deviceId: state.deviceId },
+      record
+    );
+    if (winner === "local") {
+      // Push ours again, on top of the server's version
+      queued.baseVersion = record.version;
+      return false;
+    }
+    delete queue[record.key];
+  }
+  return true;
+}
+
+// ============================================
+// TALKING TO THE SERVER
+// ============================================
+
+/**
+ * Call the sync server
+ * @param {string} path - e.g. "/api/users/alex/records"
+ * @param {object} body - JSON body for a POST (omit for a GET)
+ * @returns {Promise<object>} - Parsed response
+ */
+function callSyncServer(path, body, config = loadSyncConfig()) {
+  const headers = { "Content-Type": "application/json" };
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+
+  return fetch(`${config.serverUrl.replace(/\/+$/, "")}${path}`, {
+    method: body ? "POST" : "GET",
+    headers: headers,
+    body: body ? JSON.stringify(body) : undefined,
+  }).then((response) =>
+    response
+      .json()
+      .catch(() => ({}))
+      .then((result) => {
+        if (!response.ok) {
+          throw new Error(result.error || `Server said ${response.status}`);
+        }
+        return result;
+      })
+  );
+}
+
+/**
+ * Pull everything new from the server
+ * @returns {Promise<Array>} - Records to apply to daily data
+ */
+function pullSyncRecords(state, queue, config) {
+  const userPath = `/api/users/${encodeURIComponent(config.userId)}/records`;
+  return callSyncServer(`${userPath}?since=${state.since}`, null, config).then(
+    (result) => {
+      const incoming = result.records.filter((record) => {
+        const known = state.records[record.key];
+        if (known && known.version >= record.version) return false;
+        return receiveSyncRecord(state, queue, record);
+      });
+      state.since = result.clock;
+      return incoming;
+    }
+  );
+}
+
+/**
+ * Push the queue, resolving conflicts until it's empty (or gives up)
+ * @returns {Promise<Array>} - Records that won a conflict, to apply to
+ *   daily data
+ */
+function pushSyncQueue(state, queue, config, round = 1) {
+  const changes = Object.values(queue);
+  if (changes.length === 0) return Promise.resolve([]);
+
+  const userPath = `/api/users/${encodeURIComponent(config.userId)}/records`;
+  return callSyncServer(
+    userPath,
+    {
+      deviceId: state.deviceId,
+      changes: changes.map(({ hash, ...change }) => change),
+    },
+    config
+  ).then((result) => {
+    const incoming = [];
+    result.results.forEach((outcome, index) => {
+      const pushed = changes[index];
+      if (outcome.status === "ok") {
+        state.records[pushed.key] = {
+          version: outcome.version,
+          hash: pushed.hash,
+        };
+        delete queue[pushed.key];
+      } else if (outcome.record) {
+        if (receiveSyncRecord(state, queue, outcome.record)) {
+          incoming.push(outcome.record);
+        }
+      } else {
+        delete state.records[pushed.key];
+        pushed.baseVersion = 0; // The server lost it - send it as new
+      }
+    });
+
+    if (round >= SYNC_MAX_ROUNDS) return incoming;
+    return pushSyncQueue(state, queue, config, round + 1).then((more) => [
+      ...incoming,
+      ...more,
+    ]);
+  });
+}
+
+/**
+ * Sync with the server: queue local changes, pull, then push
+ * Runs one at a time - a second call while one is running gets the same
+ * promise. Records from other devices are handed to applyRecords, and
+ * what the server holds (state.records, since) only moves forward once
+ * they're applied and saved - otherwise the next queueSyncChanges() would
+ * take records this device never got for local deletes. Failures (offline,
+ * server down) go back to the last saved state, keep the error for the
+ * status line and leave the queue for next time. A change queued by a
+ * save during the sync is found again by the next queueSyncChanges(),
+ * since the queue is always a diff against what the server has.
+ * @param {object} dailyData - dailyDataStore, to queue its changes
+ * @param {Function} applyRecords - Applies records from other devices
+ *   with applySyncRecord() to whatever dailyDataStore is by then (the page
+ *   may have reloaded it meanwhile) and saves it; returns a Promise
+ * @returns {Promise<void>}
+ */
+function syncNow(dailyData, applyRecords) {
+  const config = loadSyncConfig();
+  if (!isSyncConfigured(config)) return Promise.resolve();
+  if (syncInProgress) return syncInProgress;
+
+  queueSyncChanges(dailyData);
+  const state = loadSyncState();
+  const queue = loadSyncQueue();
+
+  const commit = (incoming) =>
+    Promise.resolve(incoming.length > 0 ? applyRecords(incoming) : null).then(
+      () => {
+        saveSyncState(state);
+        saveSyncQueue(queue);
+      }
+    );
+
+  syncInProgress = pullSyncRecords(state, queue, config)
+    .then(commit)
+    .then(() => pushSyncQueue(state, queue, config))
+    .then(commit)
+    .then(() => {
+      state.lastSyncedAt = Date.now();
+      state.lastError = null;
+      saveSyncState(state);
+    })
+    .catch((error) => {
+      console.error("Error syncing:", error);
+      const saved = loadSyncState();
+      saved.lastError = navigator.onLine === false ? "Offline" : error.message;
+      saveSyncState(saved);
+    })
+    .then(() => {
+      syncInProgress = null;
+    });
+  return syncInProgress;
+}
+
+/**
+ * Sync now and every SYNC_INTERVAL, and when the device comes back online
+ * Safe to call again (e.g. once sync is set up) - it just syncs now
+ * @param {Function} run - The page's sync function (calls syncNow with its
+ *   own data and a function that applies, saves and redraws what comes
+ *   back)
+ */
+function startSyncLoop(run) {
+  if (!isSyncConfigured()) return;
+  run();
+  if (syncLoopStarted) return;
+  syncLoopStarted = true;
+  setInterval(() => {
+    if (document.visibilityState === "visible") run();
+  }, SYNC_INTERVAL);
+  window.addEventListener("online", run);
+}
+
+/**
+ * Queue a save's changes and sync them soon, so a burst of taps is
+ * pushed together
+ * @param {object} dailyData - dailyDataStore, just saved
+ * @param {Function} run - The page's sync function
+ */
+function queueSync(dailyData, run) {
+  if (queueSyncChanges(dailyData) === 0) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(run, SYNC_DELAY);
+}
+
+/**
+ * Describe the sync state for the settings panel
+ * @returns {string} - e.g. "Synced 7:05 PM · 2 changes waiting"
+ */
+function describeSyncStatus() {
+  if (!isSyncConfigured()) return "Sync is off";
+
+  const state = loadSyncState();
+  const waiting = Object.keys(loadSyncQueue()).length;
+  const parts = [];
+  if (state.lastError) parts.push(`Not synced: ${state.lastError}`);
+  else if (state.lastSyncedAt) {
+    parts.push(
+      `Synced ${new Date(state.lastSyncedAt).toLocaleTimeString("en-US", {
+        hour: "numeric",
+        minute: "2-digit",
+        hour12: true,
+      })}`
+    );
+  } else parts.push("Not synced yet");
+  if (waiting > 0) {
+    parts.push(`${waiting} ${waiting === 1 ? "change" : "changes"} waiting`);
+  }
+  return parts.join(" · ");
+}
@@ -0,0 +1,107 @@
+// ============================================
+// ANALYTICS & GROUP STATS TESTS
+// ============================================
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load-scripts");
+
+const app = loadScripts([
+  "settings.js",
+  "days.js",
+  "approaches.js",
+  "storage.js",
+  "sync.js",
+  "exemptions.js",
+  "streak.js",
+  "punishments.js",
+  "backup.js",
+  "analytics.js",
+  "group.js",
+]);
+const SETTINGS = app.run("DEFAULT_SETTINGS");
+
+/**
+ * Build daily data from { dayKey: approaches } (goal 10)
+ * @param {object} days - Approach counts by day key
+ * @param {object} exempt - { dayKey: exemption } for exempt days
+ */
+function buildData(days, exempt = {}) {
+  const dailyData = {};
+  Object.keys(days).forEach((key) => {
+    dailyData[key] = {
+      date: key,
+      goal: 10,
+      approachCount: days[key],
+      notes: [],
+      exempt: exempt[key] || null,
+    };
+  });
+  return dailyData;
+}
+
+test("the stats view and the leaderboard judge the same days", () => {
+  const today = "Thu Oct 15 2026";
+  const dailyData = buildData(
+    {
+      "Sun Oct 11 2026": 10,
+      "Mon Oct 12 2026": 2,
+      "Tue Oct 13 2026": 3,
+      "Wed Oct 14 2026": 12,
+    },
+    { "Mon Oct 12 2026": { type: "sick", label: "" } }
+  );
+
+  const analytics = app.computeAnalytics(dailyData, today, SETTINGS);
+  const stats = app.computeMemberStats(
+    dailyData,
+    SETTINGS.exemptions,
+    "week",
+    today
+  );
+
+  // The sick day is forgiven in both, the plain miss counts in both
+  assert.strictEqual(analytics.evaluatedDays, 3);
+  assert.strictEqual(analytics.completionRate, 2 / 3);
+  assert.strictEqual(stats.judged, 3);
+  assert.strictEqual(stats.rate, analytics.completionRate);
+});
+
+test("members named after Object's own members are ordinary members", () => {
+  const members = app.loadGroupMembers();
+  ["__proto__", "constructor"].forEach((name) => {
+    app.setGroupMember(members, {
+      name: name,
+      source: "file",
+      dailyData: buildData({ "Sun Oct 11 2026": 10 }),
+    });
+  });
+  app.saveGroupMembers(members);
+
+  const loaded = app.loadGroupMembers();
+  assert.deepStrictEqual(Object.keys(loaded).sort(), [
+    "__proto__",
+    "constructor",
+  ]);
+  assert.strictEqual(loaded.__proto__.name, "__proto__");
+  assert.strictEqual(Object.getPrototypeOf(loaded), null);
+});
+
+test("this week is compared with the same days of last week", () => {
+  const days = {};
+  for (let date = 4; date <= 13; date++) {
+    days[new Date(2026, 9, date).toDateString()] = 10;
+  }
+  const dailyData = buildData(days);
+
+  // Sunday to Tuesday both weeks, not three days against seven
+  const analytics = app.computeAnalytics(
+    dailyData,
+    "Tue Oct 13 2026",
+    SETTINGS
+  );
+  assert.strictEqual(analytics.weekly[analytics.weekly.length - 1].days, 3);
+  assert.strictEqual(analytics.weekOverWeek, 0);
+});
@@ -0,0 +1,104 @@
+// ============================================
+// JSON BACKUP TESTS
+// ============================================
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, plain } = require("./load-scripts");
+
+const app = loadScripts([
+  "settings.js",
+  "days.js",
+  "approaches.js",
+  "storage.js",
+  "exemptions.js",
+  "streak.js",
+  "punishments.js",
+  "backup.js",
+]);
+
+function punishment(overrides = {}) {
+  return {
+    id: 1734300000000,
+    day: "Fri Dec 13 2024",
+    dueDay: "Sat Dec 14 2024",
+    createdAt: 1734300000000,
+    closedAt: null,
+    reason: { approaches: 3, goal: 10, consecutiveFailures: 0, multiplier: 1 },
+    items: [
+      {
+        id: 1,
+        text: "700 air squats",
+        done: false,
+        doneAt: null,
+        attachmentId: null,
+      },
+    ],
+    ...overrides,
+  };
+}
+
+function backupText(fields) {
+  return JSON.stringify({
+    app: "10ordie",
+    version: 1,
+    dailyDataStore: {},
+    ...fields,
+  });
+}
+
+test("imported punishments are checked like stored days", () => {
+  const parsed = app.parseBackup(backupText({ punishments: [punishment()] }));
+  assert.deepStrictEqual(plain(parsed.punishments), [punishment()]);
+
+  const broken = [
+    punishment({ id: '1"><img src=x onerror=alert(1)>' }),
+    punishment({ createdAt: "yesterday" }),
+    punishment({ reason: { approaches: "<b>3</b>", goal: 10 } }),
+    punishment({ items: [{ id: 1, text: "squats", done: "no" }] }),
+    punishment({ items: null }),
+    null,
+  ];
+  broken.forEach((record) => {
+    assert.throws(
+      () => app.parseBackup(backupText({ punishments: [record] })),
+      /The backup has/
+    );
+  });
+});
+
+test("imported settings go through the settings panel's rules", () => {
+  const parsed = app.parseBackup(
+    backupText({
+      settings: {
+        dailyGoal: "lots",
+        deadlineHour: 99,
+        timeZone: "Not/AZone",
+        punishmentRules: { scaleByShortfall: 1 },
+        reminders: { enabled: true, offsets: [15, "60", -5, 9999] },
+        sessionIdleMinutes: 1000,
+        exemptions: { restDays: "weekends", ranges: [null] },
+        report: { days: 365 },
+        group: { period: "year", challenges: [1, { id: "x" }] },
+      },
+    })
+  );
+  const settings = plain(parsed.settings);
+  const defaults = plain(app.run("DEFAULT_SETTINGS"));
+
+  assert.strictEqual(settings.dailyGoal, defaults.dailyGoal);
+  assert.strictEqual(settings.deadlineHour, app.run("MAX_DEADLINE_HOUR"));
+  assert.strictEqual(settings.timeZone, "");
+  assert.deepStrictEqual(settings.punishmentRules.items, [
+    ...defaults.punishmentRules.items,
+  ]);
+  assert.strictEqual(settings.punishmentRules.scaleByShortfall, true);
+  assert.deepStrictEqual(settings.reminders.offsets, [60, 15]);
+  assert.strictEqual(settings.sessionIdleMinutes, 240);
+  assert.deepStrictEqual(settings.exemptions, defaults.exemptions);
+  assert.strictEqual(settings.report.days, 7);
+  assert.strictEqual(settings.group.period, "week");
+  assert.deepStrictEqual(settings.group.challenges, [{ id: "x" }]);
+});
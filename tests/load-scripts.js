@@ -0,0 +1,70 @@
+// ============================================
+// TEST HELPER - LOAD THE APP'S SCRIPTS
+// ============================================
+// The app is plain browser scripts sharing one global scope, so tests run
+// them the same way: in order, in a fresh context with an in-memory
+// localStorage. Each call gets its own context, so two "devices" never
+// share state.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Create an in-memory stand-in for localStorage
+ * @param {object} initial - { key: value } to start with
+ */
+function createStorage(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+    clear: () => values.clear(),
+    key: (index) => [...values.keys()][index] ?? null,
+    get length() {
+      return values.size;
+    },
+  };
+}
+
+/**
+ * Run app scripts in a new context
+ * @param {Array} files - Script paths from the repo root, in page order
+ * @param {object} globals - Extra globals (fetch, alert, ...)
+ * @returns {object} - The context; call the scripts' functions on it, and
+ *   use run() for top-level constants
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console: { ...console, log: () => {} }, // Keep migration logs quiet
+    setTimeout,
+    clearTimeout,
+    localStorage: createStorage(),
+    navigator: { onLine: true },
+    window: {},
+    alert: () => {},
+    ...globals,
+  });
+  files.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, {
+      filename: file,
+    });
+  });
+  context.run = (code) => vm.runInContext(code, context);
+  return context;
+}
+
+/**
+ * Copy a value out of a script context, so deepStrictEqual compares it
+ * with plain objects from the test
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createStorage, loadScripts, plain };
@@ -0,0 +1,129 @@
+// ============================================
+// NOTE FORMATTING TESTS
+// ============================================
+// renderMarkdown() output goes straight into innerHTML, so most of these
+// are about what it must never let through.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load-scripts");
+
+const { renderMarkdown, escapeMarkup } = loadScripts(["markdown.js"]);
+
+const LINK_ATTRIBUTES = 'target="_blank" rel="noopener noreferrer"';
+
+test("supported formatting renders", () => {
+  assert.strictEqual(
+    renderMarkdown("# Night out\n**Bold** and *italic*, __bold__ and _italic_"),
+    "<h4>Night out</h4><p><strong>Bold</strong> and <em>italic</em>, " +
+      "<strong>bold</strong> and <em>italic</em></p>"
+  );
+  assert.strictEqual(
+    renderMarkdown("- one\n- two\n\n1. first\n2) second"),
+    "<ul><li>one</li><li>two</li></ul><ol><li>first</li><li>second</li></ol>"
+  );
+  assert.strictEqual(
+    renderMarkdown("line one\nline two\r\n\r\nnext"),
+    "<p>line one<br />line two</p><p>next</p>"
+  );
+});
+
+test("snake_case words aren't italicized", () => {
+  assert.strictEqual(renderMarkdown("my_cool_opener"), "<p>my_cool_opener</p>");
+});
+
+test("http, https and mailto links render", () => {
+  assert.strictEqual(
+    renderMarkdown("[site](https://example.com/a?b=1&c=2)"),
+    `<p><a href="https://example.com/a?b=1&amp;c=2" ${LINK_ATTRIBUTES}>site</a></p>`
+  );
+  assert.strictEqual(
+    renderMarkdown("[mail](mailto:sam@example.com)"),
+    `<p><a href="mailto:sam@example.com" ${LINK_ATTRIBUTES}>mail</a></p>`
+  );
+});
+
+test("javascript: links stay plain text", () => {
+  for (const url of [
+    "javascript:alert(1)",
+    "JavaScript:alert(1)",
+    " javascript:alert(1)",
+    "java&#115;cript:alert(1)",
+  ]) {
+    const html = renderMarkdown(`[click](${url})`);
+    assert.doesNotMatch(html, /<a /, url);
+  }
+});
+
+test("data: and other protocols stay plain text", () => {
+  for (const url of [
+    "data:text/html,<script>alert(1)</script>",
+    "data:text/html;base64,PHNjcmlwdD4=",
+    "vbscript:msgbox(1)",
+    "//evil.example.com",
+    "file:///etc/passwd",
+  ]) {
+    const html = renderMarkdown(`[click](${url})`);
+    assert.doesNotMatch(html, /<a /, url);
+    assert.doesNotMatch(html, /<script/, url);
+  }
+});
+
+test("quotes in a URL can't leave the href attribute", () => {
+  const html = renderMarkdown(
+    `[x](https://example.com/"onmouseover="alert(1))`
+  );
+  assert.strictEqual(
+    html,
+    `<p><a href="https://example.com/&quot;onmouseover=&quot;alert(1" ${LINK_ATTRIBUTES}>x</a>)</p>`
+  );
+
+  const single = renderMarkdown(`[x](https://example.com/'onfocus='alert(1))`);
+  assert.doesNotMatch(single, /'/);
+});
+
+test("raw HTML is shown as text", () => {
+  assert.strictEqual(
+    renderMarkdown('<img src=x onerror="alert(1)"> & <script>x</script>'),
+    "<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; " +
+      "&lt;script&gt;x&lt;/script&gt;</p>"
+  );
+  assert.strictEqual(
+    renderMarkdown("**<b>bold</b>**"),
+    "<p><strong>&lt;b&gt;bold&lt;/b&gt;</strong></p>"
+  );
+});
+
+test("typed \\u0000 placeholders can't pull in a link", () => {
+  // Looks like the placeholder for link 0 - the real link is somewhere
+  // else in the text
+  const html = renderMarkdown(
+    "\u00000\u0000 [a](https://example.com) \u00000\u0000"
+  );
+  assert.strictEqual(
+    html,
+    `<p>0 <a href="https://example.com" ${LINK_ATTRIBUTES}>a</a> 0</p>`
+  );
+  assert.doesNotMatch(renderMarkdown("\u00005\u0000"), /undefined/);
+});
+
+test("emphasis wraps links without reaching into their URLs", () => {
+  assert.strictEqual(
+    renderMarkdown("**[read](https://example.com/a_b_c*d*)**"),
+    `<p><strong><a href="https://example.com/a_b_c*d*" ${LINK_ATTRIBUTES}>read</a></strong></p>`
+  );
+  assert.strictEqual(
+    renderMarkdown("_see [the *guide*](https://example.com/__x__)_"),
+    `<p><em>see <a href="https://example.com/__x__" ${LINK_ATTRIBUTES}>the <em>guide</em></a></em></p>`
+  );
+});
+
+test("escapeMarkup escapes everything that matters in an attribute", () => {
+  assert.strictEqual(
+    escapeMarkup(`<a href="x" title='y'>&</a>`),
+    "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;"
+  );
+  assert.strictEqual(escapeMarkup(42), "42");
+});
@@ -0,0 +1,40 @@
+// ============================================
+// NOTE RECORD TESTS
+// ============================================
+// Tags end up in data-tag attributes, so they must never carry quotes or
+// markup, whichever way they came in.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, plain } = require("./load-scripts");
+
+const app = loadScripts(["approaches.js", "sessions.js", "notebook.js"]);
+
+test("tags keep only letters, numbers, _ and -", () => {
+  assert.strictEqual(app.normalizeTag("#Cold Approach"), "cold-approach");
+  assert.strictEqual(
+    app.normalizeTag('a"autofocus/onfocus="alert(1)'),
+    "aautofocusonfocusalert1"
+  );
+  assert.strictEqual(app.normalizeTag("<b>café</b>"), "bcaféb");
+  assert.deepStrictEqual(plain(app.parseTagInput('"", lesson, <>')), [
+    "lesson",
+  ]);
+});
+
+test("stored tags from imports and sync are normalized on read", () => {
+  const note = {
+    text: "Went well #opener",
+    tags: ["opener", 'x" onfocus="alert(1)', "Opener", "<>"],
+  };
+
+  assert.deepStrictEqual(plain(app.getNoteTags(note)), [
+    "opener",
+    "x-onfocusalert1",
+  ]);
+  assert.deepStrictEqual(plain(app.getNoteTags({ text: "#Late #late" })), [
+    "late",
+  ]);
+});
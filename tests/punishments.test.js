@@ -0,0 +1,68 @@
+// ============================================
+// PUNISHMENT LEDGER TESTS
+// ============================================
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, plain } = require("./load-scripts");
+
+const app = loadScripts([
+  "settings.js",
+  "days.js",
+  "approaches.js",
+  "exemptions.js",
+  "punishments.js",
+]);
+const SETTINGS = app.run("DEFAULT_SETTINGS");
+const RULES = SETTINGS.punishmentRules;
+
+test("days judged in the same millisecond get their own ids", () => {
+  app.run("Date.now = () => 1734300000000");
+  const days = ["Fri Dec 13 2024", "Sat Dec 14 2024", "Sun Dec 15 2024"];
+  const ledger = [];
+
+  days.forEach((day) => app.createPunishment(ledger, day, RULES, {}));
+
+  const ids = plain(ledger.map((p) => p.id));
+  assert.strictEqual(new Set(ids).size, 3);
+  days.forEach((day, index) => {
+    assert.strictEqual(app.findPunishment(ledger, String(ids[index])).day, day);
+  });
+
+  // Judging a day again returns its punishment rather than a new one
+  assert.strictEqual(
+    app.createPunishment(ledger, days[1], RULES, {}).id,
+    ids[1]
+  );
+  assert.strictEqual(ledger.length, 3);
+});
+
+test("starting a day judges every day since the last entry", () => {
+  const dailyData = {
+    "Wed Dec 11 2024": {
+      date: "Wed Dec 11 2024",
+      goal: 10,
+      approachCount: 4,
+      notes: [],
+    },
+  };
+  const ledger = [];
+
+  app.judgeDaysBefore(dailyData, ledger, "Sat Dec 14 2024", SETTINGS);
+
+  assert.deepStrictEqual(plain(ledger.map((p) => p.day)), [
+    "Wed Dec 11 2024",
+    "Thu Dec 12 2024",
+    "Fri Dec 13 2024",
+  ]);
+  assert.deepStrictEqual(
+    plain(app.loadPunishments().map((p) => p.day)),
+    plain(ledger.map((p) => p.day))
+  );
+
+  // Judging again (from the other page) adds nothing
+  app.judgeDaysBefore(dailyData, ledger, "Sat Dec 14 2024", SETTINGS);
+  assert.strictEqual(ledger.length, 3);
+});
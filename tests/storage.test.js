@@ -0,0 +1,301 @@
+// ============================================
+// STORAGE - VALIDATION & MIGRATION TESTS
+// ============================================
+// storage.js on its localStorage backend, pointed at an in-memory
+// stand-in.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createStorage, loadScripts, plain } = require("./load-scripts");
+
+const SCRIPTS = ["settings.js", "days.js", "approaches.js", "storage.js"];
+const DAY = "Mon Dec 16 2024";
+const NEXT_DAY = "Tue Dec 17 2024";
+
+/**
+ * Load storage.js with localStorage holding the given values
+ * Objects are stored as JSON, like the app does
+ */
+function setUp(values = {}) {
+  const initial = {};
+  Object.keys(values).forEach((key) => {
+    initial[key] =
+      typeof values[key] === "string"
+        ? values[key]
+        : JSON.stringify(values[key]);
+  });
+  const alerts = [];
+  const storage = createStorage(initial);
+  const app = loadScripts(SCRIPTS, {
+    localStorage: storage,
+    alert: (message) => alerts.push(message),
+    console: { ...console, log: () => {}, error: () => {}, warn: () => {} },
+  });
+  return { app, storage, alerts };
+}
+
+function readJson(storage, key) {
+  return JSON.parse(storage.getItem(key));
+}
+
+test("v1 moves allTimeNotes into daily data, merging by id", () => {
+  const { app, storage } = setUp({
+    schemaVersion: "0",
+    allTimeNotes: {
+      [DAY]: [
+        { id: 1, text: "Already there" },
+        { id: 2, text: "Only in the old key" },
+      ],
+      [NEXT_DAY]: [{ id: 3, text: "A day with no entry" }],
+    },
+  });
+  const dailyData = {
+    [DAY]: { date: DAY, approaches: [], notes: [{ id: 1, text: "Kept" }] },
+  };
+
+  app.run("MIGRATIONS")[0].migrate(dailyData, storage);
+
+  assert.deepStrictEqual(plain(dailyData[DAY].notes), [
+    { id: 1, text: "Kept" },
+    { id: 2, text: "Only in the old key" },
+  ]);
+  assert.deepStrictEqual(plain(dailyData[NEXT_DAY]), {
+    date: NEXT_DAY,
+    approaches: [],
+    notes: [{ id: 3, text: "A day with no entry" }],
+  });
+  assert.strictEqual(storage.getItem("allTimeNotes"), null);
+});
+
+test("v1 does nothing without an allTimeNotes key", () => {
+  const { app, storage } = setUp();
+  const dailyData = { [DAY]: { date: DAY, approaches: [], notes: [] } };
+
+  app.run("MIGRATIONS")[0].migrate(dailyData, storage);
+
+  assert.deepStrictEqual(plain(dailyData), {
+    [DAY]: { date: DAY, approaches: [], notes: [] },
+  });
+});
+
+test("unreadable allTimeNotes are set aside and the rest still loads", () => {
+  const { app, storage, alerts } = setUp({
+    dailyDataStore: { [DAY]: { date: DAY, approachCount: 1, notes: [] } },
+    allTimeNotes: "{broken",
+    currentStreak: "2",
+  });
+
+  const dailyData = app.loadFromLocalStorage(storage);
+
+  assert.strictEqual(storage.getItem("schemaVersion"), "3");
+  assert.strictEqual(dailyData[DAY].approaches.length, 1);
+  assert.strictEqual(storage.getItem("allTimeNotes"), null);
+  assert.strictEqual(storage.getItem("currentStreak"), null);
+  assert.deepStrictEqual(
+    readJson(storage, "quarantinedData").map((item) => [item.key, item.raw]),
+    [["allTimeNotes", "{broken"]]
+  );
+  assert.strictEqual(alerts.length, 1);
+});
+
+test("v1 sets aside old notes it can't use and moves the rest", () => {
+  const { app, storage } = setUp({
+    allTimeNotes: {
+      [DAY]: [{ id: 1, text: "Fine" }],
+      [NEXT_DAY]: "not a list",
+      "not a date": [{ id: 2, text: "Lost date" }],
+    },
+  });
+  const dailyData = {};
+  const problems = [];
+
+  app.run("MIGRATIONS")[0].migrate(dailyData, storage, problems);
+
+  assert.deepStrictEqual(plain(Object.keys(dailyData)), [DAY]);
+  assert.strictEqual(problems.length, 2);
+  assert.deepStrictEqual(
+    readJson(storage, "quarantinedData").map((item) => item.key),
+    [`allTimeNotes/${NEXT_DAY}`, "allTimeNotes/not a date"]
+  );
+});
+
+test("v2 removes the stored currentStreak", () => {
+  const { app, storage } = setUp({ currentStreak: "4" });
+
+  app.run("MIGRATIONS")[1].migrate({}, storage);
+
+  assert.strictEqual(storage.getItem("currentStreak"), null);
+});
+
+test("v3 turns approach counters into approach records", () => {
+  const { app, storage } = setUp();
+  const dailyData = {
+    [DAY]: { date: DAY, approachCount: 2, notes: [] },
+    [NEXT_DAY]: { date: NEXT_DAY, approaches: [{ id: 9 }], notes: [] },
+  };
+
+  app.run("MIGRATIONS")[2].migrate(dailyData, storage);
+
+  assert.deepStrictEqual(
+    plain(dailyData[DAY].approaches.map((approach) => approach.id)),
+    [`${DAY}-0`, `${DAY}-1`]
+  );
+  assert.strictEqual(dailyData[DAY].approaches[0].timestamp, null);
+  assert.strictEqual("approachCount" in dailyData[DAY], false);
+  assert.deepStrictEqual(plain(dailyData[NEXT_DAY].approaches), [{ id: 9 }]);
+});
+
+test("loading old data runs every migration in order", () => {
+  const { app, storage } = setUp({
+    dailyDataStore: { [DAY]: { date: DAY, approachCount: 1, notes: [] } },
+    allTimeNotes: { [NEXT_DAY]: [{ id: 1, text: "Old note" }] },
+    currentStreak: "3",
+  });
+
+  const dailyData = app.loadFromLocalStorage(storage);
+
+  assert.strictEqual(storage.getItem("schemaVersion"), "3");
+  assert.strictEqual(dailyData[DAY].approaches.length, 1);
+  assert.deepStrictEqual(plain(dailyData[NEXT_DAY].notes), [
+    { id: 1, text: "Old note" },
+  ]);
+  assert.strictEqual(storage.getItem("currentStreak"), null);
+  assert.deepStrictEqual(readJson(storage, "dailyDataStore"), plain(dailyData));
+});
+
+test("only migrations newer than the stored version run", () => {
+  const { app, storage } = setUp({
+    schemaVersion: "2",
+    allTimeNotes: { [NEXT_DAY]: [{ id: 1, text: "Left alone" }] },
+  });
+  const dailyData = { [DAY]: { date: DAY, approachCount: 1, notes: [] } };
+
+  const ran = app.runMigrations(dailyData, () => {}, [], storage);
+
+  assert.strictEqual(ran, 1);
+  assert.strictEqual(dailyData[DAY].approaches.length, 1);
+  assert.strictEqual(dailyData[NEXT_DAY], undefined);
+  assert.strictEqual(storage.getItem("schemaVersion"), "3");
+  assert.notStrictEqual(storage.getItem("allTimeNotes"), null);
+});
+
+test("a failing migration keeps the steps before it", () => {
+  const { app, storage } = setUp({ schemaVersion: "1" });
+  const dailyData = { [DAY]: { date: DAY, approachCount: 1, notes: [] } };
+  const persisted = [];
+  app.run("MIGRATIONS").push({
+    version: 4,
+    description: "Broken",
+    migrate() {
+      throw new Error("Broken migration");
+    },
+  });
+
+  assert.throws(
+    () =>
+      app.runMigrations(
+        dailyData,
+        (data) => persisted.push(plain(data)),
+        [],
+        storage
+      ),
+    /Broken migration/
+  );
+
+  // v2 and v3 were saved; v4 retries next time
+  assert.strictEqual(storage.getItem("schemaVersion"), "3");
+  assert.strictEqual(persisted.length, 2);
+  assert.strictEqual(persisted[1][DAY].approaches.length, 1);
+});
+
+test("data from a newer version of the app isn't migrated", () => {
+  const { app, storage } = setUp({
+    schemaVersion: "99",
+    dailyDataStore: { [DAY]: { date: DAY, approachCount: 2, notes: [] } },
+  });
+
+  const dailyData = app.loadFromLocalStorage(storage);
+
+  assert.strictEqual(dailyData[DAY].approachCount, 2);
+  assert.strictEqual(storage.getItem("schemaVersion"), "99");
+});
+
+test("validateDailyData quarantines bad entries and keeps the rest", () => {
+  const { app, storage } = setUp();
+  const dailyData = {
+    [DAY]: { approaches: [] },
+    [NEXT_DAY]: { notes: "not a list" },
+    "not a date": { notes: [] },
+  };
+
+  const result = app.validateDailyData(dailyData, storage);
+
+  assert.deepStrictEqual(plain(Object.keys(result.dailyData)), [DAY]);
+  assert.deepStrictEqual(plain(result.dailyData[DAY]), {
+    approaches: [],
+    date: DAY,
+    notes: [],
+  });
+  assert.strictEqual(result.problems.length, 2);
+
+  const quarantined = readJson(storage, "quarantinedData");
+  assert.deepStrictEqual(
+    quarantined.map((item) => item.key),
+    [`dailyDataStore/${NEXT_DAY}`, "dailyDataStore/not a date"]
+  );
+  assert.deepStrictEqual(JSON.parse(quarantined[0].raw), {
+    notes: "not a list",
+  });
+});
+
+test("validateDailyData checks every record's fields", () => {
+  const { app, storage } = setUp();
+  const day = (fields) => ({ approaches: [], notes: [], ...fields });
+
+  const result = app.validateDailyData(
+    {
+      "Fri Dec 13 2024": day({ approaches: [{ id: '1"><b>', timestamp: 1 }] }),
+      "Sat Dec 14 2024": day({ goal: "<b>10</b>" }),
+      "Sun Dec 15 2024": day({ notes: [{ id: 1, text: "x", timestamp: 5 }] }),
+      [DAY]: day({
+        goal: 12,
+        approaches: [{ id: `${DAY}-0`, timestamp: null, rating: 3 }],
+        sessions: [{ id: 2, start: 1, end: null }],
+        edits: [{ id: 3, at: 4, changes: ["Added 1 approach"] }],
+      }),
+    },
+    storage
+  );
+
+  assert.deepStrictEqual(plain(Object.keys(result.dailyData)), [DAY]);
+  assert.deepStrictEqual(plain(result.problems), [
+    "the approaches for Fri Dec 13 2024 are invalid",
+    "the goal for Sat Dec 14 2024 is invalid",
+    "the notes for Sun Dec 15 2024 are invalid",
+  ]);
+});
+
+test("validateDailyData quarantines data that isn't an object", () => {
+  const { app, storage } = setUp();
+
+  const result = app.validateDailyData([1, 2], storage);
+
+  assert.deepStrictEqual(plain(result.dailyData), {});
+  assert.deepStrictEqual(plain(result.problems), [
+    "daily data isn't an object",
+  ]);
+  assert.strictEqual(readJson(storage, "quarantinedData").length, 1);
+});
+
+test("unreadable JSON is set aside and reported once", () => {
+  const { app, storage, alerts } = setUp({ dailyDataStore: "{broken" });
+
+  const dailyData = app.loadFromLocalStorage(storage);
+
+  assert.deepStrictEqual(plain(dailyData), {});
+  assert.strictEqual(readJson(storage, "quarantinedData")[0].raw, "{broken");
+  assert.strictEqual(alerts.length, 1);
+  assert.match(alerts[0], /set aside/);
+});
@@ -0,0 +1,252 @@
+// ============================================
+// STREAK CALCULATOR TESTS
+// ============================================
+// Run in a timezone with daylight saving time, so the DST cases below
+// actually cross a 23- and a 25-hour day.
+
+"use strict";
+
+process.env.TZ = "America/New_York";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, plain } = require("./load-scripts");
+
+const app = loadScripts([
+  "settings.js",
+  "days.js",
+  "approaches.js",
+  "exemptions.js",
+  "streak.js",
+  "backfill.js",
+]);
+const SETTINGS = app.run("DEFAULT_SETTINGS");
+
+/**
+ * Day key for a calendar date (month 1-12)
+ */
+function day(year, month, date) {
+  return new Date(year, month - 1, date).toDateString();
+}
+
+/**
+ * Build daily data from { dayKey: approaches } (goal 10 unless given)
+ */
+function buildData(days, goal = 10) {
+  const dailyData = {};
+  Object.keys(days).forEach((key) => {
+    dailyData[key] = {
+      date: key,
+      goal: goal,
+      approaches: Array.from({ length: days[key] }, (_, i) => ({
+        id: `${key}-${i}`,
+        timestamp: null,
+      })),
+      notes: [],
+    };
+  });
+  return dailyData;
+}
+
+/**
+ * Streaks as plain { current, longest, runs: [length, ...] }
+ */
+function streaks(dailyData, today, settings = SETTINGS) {
+  const result = app.calculateStreaks(dailyData, today, settings);
+  return {
+    current: result.current,
+    longest: result.longest,
+    runs: plain(result.history.map((run) => run.length)),
+  };
+}
+
+test("no data means no streak", () => {
+  assert.deepStrictEqual(streaks({}, day(2024, 12, 16)), {
+    current: 0,
+    longest: 0,
+    runs: [],
+  });
+});
+
+test("an unfinished today doesn't end or extend the streak", () => {
+  const today = day(2024, 12, 16);
+  const dailyData = buildData({
+    [day(2024, 12, 13)]: 10,
+    [day(2024, 12, 14)]: 12,
+    [day(2024, 12, 15)]: 10,
+    [today]: 4,
+  });
+
+  assert.strictEqual(streaks(dailyData, today).current, 3);
+
+  dailyData[today] = buildData({ [today]: 10 })[today];
+  assert.strictEqual(streaks(dailyData, today).current, 4);
+});
+
+test("a multi-day gap with no entries ends the streak", () => {
+  const today = day(2024, 12, 20);
+  const dailyData = buildData({
+    [day(2024, 12, 10)]: 10,
+    [day(2024, 12, 11)]: 10,
+    [day(2024, 12, 12)]: 10,
+    // 13th - 16th never opened
+    [day(2024, 12, 17)]: 10,
+    [day(2024, 12, 18)]: 10,
+    [day(2024, 12, 19)]: 10,
+  });
+
+  assert.deepStrictEqual(streaks(dailyData, today), {
+    current: 3,
+    longest: 3,
+    runs: [3, 3],
+  });
+
+  // ...and a gap right before today leaves no current streak at all
+  assert.deepStrictEqual(streaks(dailyData, day(2024, 12, 23)), {
+    current: 0,
+    longest: 3,
+    runs: [3, 3],
+  });
+});
+
+test("a day short of its goal resets the streak", () => {
+  const today = day(2024, 12, 16);
+  const dailyData = buildData({
+    [day(2024, 12, 11)]: 10,
+    [day(2024, 12, 12)]: 10,
+    [day(2024, 12, 13)]: 10,
+    [day(2024, 12, 14)]: 9,
+    [day(2024, 12, 15)]: 10,
+  });
+
+  assert.deepStrictEqual(streaks(dailyData, today), {
+    current: 1,
+    longest: 3,
+    runs: [3, 1],
+  });
+});
+
+test("each day is judged against its own goal", () => {
+  const today = day(2024, 12, 16);
+  const dailyData = {
+    ...buildData({ [day(2024, 12, 14)]: 3 }, 3),
+    ...buildData({ [day(2024, 12, 15)]: 3 }, 10),
+  };
+
+  assert.deepStrictEqual(streaks(dailyData, today).runs, [1]);
+  assert.strictEqual(streaks(dailyData, today).current, 0);
+});
+
+test("days logged after today don't count yet", () => {
+  const today = day(2024, 12, 16);
+  const dailyData = buildData({
+    [day(2024, 12, 15)]: 10,
+    [day(2024, 12, 17)]: 10,
+  });
+
+  assert.deepStrictEqual(streaks(dailyData, today), {
+    current: 1,
+    longest: 1,
+    runs: [1],
+  });
+});
+
+test("the spring-forward day counts once", () => {
+  // Clocks in New York went forward on Sun Mar 9 2025
+  const today = day(2025, 3, 12);
+  const dailyData = buildData({
+    [day(2025, 3, 7)]: 10,
+    [day(2025, 3, 8)]: 10,
+    [day(2025, 3, 9)]: 10,
+    [day(2025, 3, 10)]: 10,
+    [day(2025, 3, 11)]: 10,
+  });
+
+  assert.strictEqual(app.shiftDayKey(day(2025, 3, 8), 1), day(2025, 3, 9));
+  assert.strictEqual(app.shiftDayKey(day(2025, 3, 9), 1), day(2025, 3, 10));
+  assert.deepStrictEqual(streaks(dailyData, today), {
+    current: 5,
+    longest: 5,
+    runs: [5],
+  });
+});
+
+test("a miss on the spring-forward day still ends the streak", () => {
+  const today = day(2025, 3, 12);
+  const dailyData = buildData({
+    [day(2025, 3, 7)]: 10,
+    [day(2025, 3, 8)]: 10,
+    [day(2025, 3, 10)]: 10,
+    [day(2025, 3, 11)]: 10,
+  });
+
+  assert.deepStrictEqual(streaks(dailyData, today).runs, [2, 2]);
+});
+
+test("the fall-back day counts once", () => {
+  // Clocks in New York went back on Sun Nov 2 2025
+  const today = day(2025, 11, 4);
+  const dailyData = buildData({
+    [day(2025, 11, 1)]: 10,
+    [day(2025, 11, 2)]: 10,
+    [day(2025, 11, 3)]: 10,
+  });
+
+  assert.deepStrictEqual(streaks(dailyData, today), {
+    current: 3,
+    longest: 3,
+    runs: [3],
+  });
+});
+
+test("backfilling a missed day joins the runs around it", () => {
+  const today = day(2024, 12, 16);
+  const missed = day(2024, 12, 13);
+  const dailyData = buildData({
+    [day(2024, 12, 11)]: 10,
+    [day(2024, 12, 12)]: 10,
+    [day(2024, 12, 14)]: 10,
+    [day(2024, 12, 15)]: 10,
+  });
+  assert.deepStrictEqual(streaks(dailyData, today).runs, [2, 2]);
+
+  dailyData[missed] = app.createDayEntry(dailyData, missed, SETTINGS);
+  app.addBackfilledApproaches(dailyData[missed], 10, null);
+
+  assert.deepStrictEqual(streaks(dailyData, today), {
+    current: 5,
+    longest: 5,
+    runs: [5],
+  });
+});
+
+test("backfilling part of a day that's still short doesn't help", () => {
+  const today = day(2024, 12, 16);
+  const dailyData = buildData({
+    [day(2024, 12, 14)]: 6,
+    [day(2024, 12, 15)]: 10,
+  });
+
+  app.addBackfilledApproaches(dailyData[day(2024, 12, 14)], 3, null);
+  assert.deepStrictEqual(streaks(dailyData, today).runs, [1]);
+
+  app.addBackfilledApproaches(dailyData[day(2024, 12, 14)], 1, null);
+  assert.deepStrictEqual(streaks(dailyData, today).runs, [2]);
+});
+
+test("exempt days are skipped without ending the streak", () => {
+  const today = day(2024, 12, 16);
+  const dailyData = buildData({
+    [day(2024, 12, 12)]: 10,
+    [day(2024, 12, 13)]: 0,
+    [day(2024, 12, 14)]: 10,
+    [day(2024, 12, 15)]: 10,
+  });
+  dailyData[day(2024, 12, 13)].exempt = { type: "rest", label: "" };
+
+  assert.deepStrictEqual(streaks(dailyData, today), {
+    current: 3,
+    longest: 3,
+    runs: [3],
+  });
+});
@@ -0,0 +1,373 @@
+// ============================================
+// SYNC SERVER & CLIENT TESTS
+// ============================================
+// Devices are sync.js loaded into separate contexts, talking to an
+// in-process server (server/sync-server.js) that keeps everything in
+// memory.
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSyncServer, applyChanges } = require("../server/sync-server");
+const { loadScripts, plain } = require("./load-scripts");
+
+const SCRIPTS = [
+  "settings.js",
+  "days.js",
+  "approaches.js",
+  "storage.js",
+  "sync.js",
+];
+const DAY = "Mon Dec 16 2024";
+const quiet = { ...console, log: () => {}, error: () => {}, warn: () => {} };
+
+/**
+ * Start a server on a free port, run the test, then stop it
+ */
+async function withServer(options, run) {
+  const server = createSyncServer(options);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await run(url);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+/**
+ * Set up a device synced as userId
+ * device.data is its dailyDataStore; device.failPosts makes pushes fail
+ * as if the connection dropped
+ */
+function createDevice(url, userId = "alex") {
+  const device = loadScripts(SCRIPTS, {
+    console: quiet,
+    fetch: (address, options) =>
+      device.failPosts && options.method === "POST"
+        ? Promise.reject(new Error("Network down"))
+        : fetch(address, options),
+  });
+  device.saveSyncConfig({ serverUrl: url, userId: userId, token: "" });
+  device.data = {};
+  device.sync = () =>
+    device.syncNow(device.data, (records) => {
+      records.forEach((record) => device.applySyncRecord(device.data, record));
+    });
+  return device;
+}
+
+function createDay(approachIds = [], notes = []) {
+  return {
+    date: DAY,
+    goal: 10,
+    approaches: approachIds.map((id) => ({ id: id, timestamp: id })),
+    notes: notes,
+    sessions: [],
+  };
+}
+
+function getServerRecords(url, userId = "alex") {
+  return fetch(`${url}/api/users/${userId}/records?since=0`).then((r) =>
+    r.json()
+  );
+}
+
+test("a day pushed by one device is pulled by another", async () => {
+  await withServer({}, async (url) => {
+    const a = createDevice(url);
+    const b = createDevice(url);
+    a.data[DAY] = createDay([1, 2], [{ id: 5, text: "Opened with a joke" }]);
+
+    await a.sync();
+    await b.sync();
+
+    assert.deepStrictEqual(plain(b.data[DAY].approaches), [
+      { id: 1, timestamp: 1 },
+      { id: 2, timestamp: 2 },
+    ]);
+    assert.deepStrictEqual(plain(b.data[DAY].notes), [
+      { id: 5, text: "Opened with a joke" },
+    ]);
+    assert.strictEqual(b.data[DAY].goal, 10);
+    assert.strictEqual(b.describeSyncStatus().startsWith("Synced"), true);
+  });
+});
+
+test("changes to different records of the same day are both kept", async () => {
+  await withServer({}, async (url) => {
+    const a = createDevice(url);
+    const b = createDevice(url);
+    a.data[DAY] = createDay([1]);
+    await a.sync();
+    await b.sync();
+
+    a.data[DAY].notes.push({ id: 7, text: "From A" });
+    b.data[DAY].approaches.push({ id: 2, timestamp: 2 });
+    await a.sync();
+    await b.sync();
+    await a.sync();
+
+    for (const device of [a, b]) {
+      assert.deepStrictEqual(
+        plain(device.data[DAY].approaches.map((approach) => approach.id)),
+        [1, 2]
+      );
+      assert.deepStrictEqual(plain(device.data[DAY].notes), [
+        { id: 7, text: "From A" },
+      ]);
+    }
+  });
+});
+
+test("a deleted note is deleted on the other device", async () => {
+  await withServer({}, async (url) => {
+    const a = createDevice(url);
+    const b = createDevice(url);
+    a.data[DAY] = createDay([], [{ id: 5, text: "Typo" }]);
+    await a.sync();
+    await b.sync();
+
+    a.data[DAY].notes = [];
+    await a.sync();
+    await b.sync();
+
+    assert.deepStrictEqual(plain(b.data[DAY].notes), []);
+  });
+});
+
+test("applyChanges only writes a change made on the current version", () => {
+  const user = { clock: 0, records: {} };
+  const change = (baseVersion, data) => ({
+    key: `${DAY}/day`,
+    baseVersion: baseVersion,
+    data: data,
+    deleted: false,
+    updatedAt: 1,
+  });
+
+  assert.deepStrictEqual(applyChanges(user, "a", [change(0, { goal: 10 })]), [
+    { key: `${DAY}/day`, status: "ok", version: 1 },
+  ]);
+
+  // Device b never saw version 1
+  const [conflict] = applyChanges(user, "b", [change(0, { goal: 12 })]);
+  assert.strictEqual(conflict.status, "conflict");
+  assert.strictEqual(conflict.record.version, 1);
+  assert.deepStrictEqual(conflict.record.data, { goal: 10 });
+
+  assert.deepStrictEqual(applyChanges(user, "b", [change(1, { goal: 12 })]), [
+    { key: `${DAY}/day`, status: "ok", version: 2 },
+  ]);
+  assert.strictEqual(user.clock, 2);
+});
+
+test("the server answers a stale baseVersion with a conflict", async () => {
+  await withServer({}, async (url) => {
+    const push = (baseVersion) =>
+      fetch(`${url}/api/users/alex/records`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          deviceId: "a",
+          changes: [{ key: `${DAY}/day`, baseVersion, data: {}, updatedAt: 1 }],
+        }),
+      }).then((response) => response.json());
+
+    assert.strictEqual((await push(0)).results[0].status, "ok");
+    const second = await push(0);
+    assert.strictEqual(second.results[0].status, "conflict");
+    assert.strictEqual(second.results[0].record.version, 1);
+  });
+});
+
+test("resolveSyncConflict picks the same winner on every device", () => {
+  const { resolveSyncConflict } = loadScripts(SCRIPTS);
+  const a = { updatedAt: 100, deviceId: "device-a" };
+  const b = { updatedAt: 100, deviceId: "device-b" };
+
+  // Each device sees its own change as local
+  assert.strictEqual(resolveSyncConflict(a, b), "remote");
+  assert.strictEqual(resolveSyncConflict(b, a), "local");
+
+  // The later change wins whatever the device ids
+  const later = { updatedAt: 200, deviceId: "device-a" };
+  assert.strictEqual(resolveSyncConflict(later, b), "local");
+  assert.strictEqual(resolveSyncConflict(b, later), "remote");
+});
+
+test("both devices end with the later edit of the same note", async () => {
+  await withServer({}, async (url) => {
+    const a = createDevice(url);
+    const b = createDevice(url);
+    a.data[DAY] = createDay([], [{ id: 5, text: "First" }]);
+    await a.sync();
+    await b.sync();
+
+    a.data[DAY].notes[0] = { id: 5, text: "Edited on A" };
+    a.queueSyncChanges(a.data);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    b.data[DAY].notes[0] = { id: 5, text: "Edited on B" };
+    b.queueSyncChanges(b.data);
+
+    await a.sync();
+    await b.sync();
+    await a.sync();
+
+    assert.deepStrictEqual(plain(a.data[DAY].notes), [
+      { id: 5, text: "Edited on B" },
+    ]);
+    assert.deepStrictEqual(plain(b.data[DAY].notes), [
+      { id: 5, text: "Edited on B" },
+    ]);
+  });
+});
+
+test("a failed push never turns pulled records into deletes", async () => {
+  await withServer({}, async (url) => {
+    const a = createDevice(url);
+    const b = createDevice(url);
+    a.data[DAY] = createDay([1]);
+    await a.sync();
+
+    // B has something of its own to push, and the push fails
+    b.data["Tue Dec 17 2024"] = { ...createDay([9]), date: "Tue Dec 17 2024" };
+    b.failPosts = true;
+    await b.sync();
+    assert.deepStrictEqual(
+      plain(b.data[DAY].approaches.map((approach) => approach.id)),
+      [1]
+    );
+    assert.match(b.describeSyncStatus(), /Not synced: Network down/);
+
+    b.failPosts = false;
+    await b.sync();
+
+    const { records } = await getServerRecords(url);
+    const deleted = records.filter((record) => record.deleted);
+    assert.deepStrictEqual(plain(deleted), []);
+    assert.strictEqual(
+      records.some((record) => record.key === "Tue Dec 17 2024/day"),
+      true
+    );
+  });
+});
+
+test("records that couldn't be applied are pulled again", async () => {
+  await withServer({}, async (url) => {
+    const a = createDevice(url);
+    const b = createDevice(url);
+    a.data[DAY] = createDay([1]);
+    await a.sync();
+
+    await b.syncNow(b.data, () => Promise.reject(new Error("Disk full")));
+    assert.strictEqual(b.data[DAY], undefined);
+    assert.strictEqual(b.loadSyncState().since, 0);
+
+    await b.sync();
+    assert.strictEqual(b.data[DAY].approaches.length, 1);
+
+    const { records } = await getServerRecords(url);
+    assert.strictEqual(
+      records.some((record) => record.deleted),
+      false
+    );
+  });
+});
+
+test("the server rejects bad user names and wrong tokens", async () => {
+  await withServer({ token: "secret" }, async (url) => {
+    const get = (path, token = "secret") =>
+      fetch(`${url}${path}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+    assert.strictEqual((await get("/api/users", "wrong")).status, 401);
+    assert.strictEqual((await get("/api/users/%E0%A4%A/records")).status, 400);
+    assert.strictEqual((await get("/api/users/a%20b/records")).status, 400);
+    // Still up after the malformed request
+    assert.strictEqual((await get("/api/health")).status, 200);
+  });
+});
+
+test("names of Object's own members are ordinary users and keys", async () => {
+  await withServer({}, async (url) => {
+    for (const userId of ["constructor", "__proto__", "toString"]) {
+      const response = await fetch(`${url}/api/users/${userId}/records`);
+      assert.strictEqual(response.status, 200, userId);
+      assert.deepStrictEqual(await response.json(), { clock: 0, records: [] });
+    }
+
+    const a = createDevice(url, "__proto__");
+    a.data[DAY] = createDay([1]);
+    await a.sync();
+    assert.strictEqual((await getServerRecords(url, "__proto__")).clock, 2);
+    assert.strictEqual((await getServerRecords(url, "alex")).clock, 0);
+    assert.deepStrictEqual(
+      (await (await fetch(`${url}/api/users`)).json()).users,
+      ["__proto__"]
+    );
+  });
+});
+
+test("the server only takes record keys shaped like the client's", async () => {
+  await withServer({}, async (url) => {
+    const push = (key) =>
+      fetch(`${url}/api/users/alex/records`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          deviceId: "a",
+          changes: [{ key, baseVersion: 0, data: {}, updatedAt: 1 }],
+        }),
+      });
+
+    for (const key of [
+      "__proto__",
+      "constructor",
+      `${DAY}/note/"><img src=x>`,
+      `${DAY}/secret/1`,
+      "not a day/day",
+    ]) {
+      assert.strictEqual((await push(key)).status, 400, key);
+    }
+    assert.strictEqual((await push(`${DAY}/approach/${DAY}-0`)).status, 200);
+  });
+});
+
+test("records with markup in their fields are never applied", async () => {
+  await withServer({}, async (url) => {
+    const push = (changes) =>
+      fetch(`${url}/api/users/alex/records`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          deviceId: "mallory",
+          changes: changes.map(([key, data]) => ({
+            key,
+            baseVersion: 0,
+            data,
+            updatedAt: 1,
+          })),
+        }),
+      });
+    await push([
+      [`${DAY}/day`, { date: DAY, goal: '10"><img src=x onerror=alert(1)>' }],
+      [`${DAY}/note/6`, { id: '6"><img src=x>', text: "Hi", timestamp: "" }],
+      [`${DAY}/note/7`, { id: 7, text: "Hi", timestamp: ["<b>"] }],
+      [`${DAY}/approach/8`, { id: 8, timestamp: 1, rating: "<img src=x>" }],
+      [`${DAY}/approach/9`, { id: 9, timestamp: 2, rating: 4 }],
+    ]);
+
+    const b = createDevice(url);
+    await b.sync();
+
+    assert.deepStrictEqual(plain(b.data[DAY].notes), []);
+    assert.deepStrictEqual(
+      plain(b.data[DAY].approaches.map((approach) => approach.id)),
+      [9]
+    );
+    assert.strictEqual(b.data[DAY].goal, undefined);
+  });
+});